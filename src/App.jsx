@@ -1,4 +1,4 @@
-import { useEffect, useMemo, useRef, useState } from 'react';
+import { useDeferredValue, useEffect, useMemo, useRef, useState } from 'react';
 import * as XLSX from 'xlsx';
 
 import {
@@ -15,6 +15,182 @@ import {
 } from 'chart.js';
 import { Bar, Doughnut, Line } from 'react-chartjs-2';
 
+import {
+  clientKeyOf,
+  dateInputToISO,
+  formatBR,
+  isoToDateInput,
+  norm,
+  numberToInput,
+  omit,
+  onlyDigits,
+  parseBRLToNumber,
+  sameDay,
+  toBRL,
+  uid,
+} from './lib/utils';
+import {
+  addContact,
+  amountOf,
+  applyLedger,
+  CONTACT_CHANNELS,
+  CONTACT_OUTCOMES,
+  dropStoreKey,
+  dueTime,
+  EMPTY_CLIENT_FORM,
+  expandInstallments,
+  isPago,
+  isParcial,
+  labelOf,
+  lastContactIn,
+  ledgerKeyFor,
+  PAYMENT_METHODS,
+  PERIODICIDADES,
+  renameStoreKey,
+  saldoOf,
+  scheduleFromForm,
+  sumPayments,
+  updateContactOutcome,
+  valorInvalido,
+  valorNum,
+  valorTotals,
+} from './lib/ledger';
+import {
+  buildCampaignItems,
+  campaignProgress,
+  markCampaignItem,
+  stepCampaign,
+} from './lib/campaigns';
+import {
+  PROMISE_OUTCOMES,
+  PROMISE_WEEKS,
+  resolvePromise,
+  startOfDay,
+  startOfWeek,
+} from './lib/promises';
+import {
+  AGING_BUCKETS,
+  agingBucketFor,
+  DEFAULT_POLICY,
+  policyFromDraft,
+  stageFor,
+  stagePillStyle,
+  stageToDraft,
+} from './lib/policy';
+import {
+  ANON_LABEL,
+  anonymizePromise,
+  anonymizeRow,
+  DEFAULT_PRIVACY,
+  eraseSubjectIn,
+  findSubject,
+  loadSubjectStores,
+  parseSubjectQuery,
+  RETENTION_OPTIONS,
+  SUBJECT_TYPES,
+  subjectErasers,
+} from './lib/privacy';
+import {
+  AUDIT_ACTIONS,
+  AUDIT_ENTITIES,
+  AUDIT_KEEP,
+  AUDIT_PAGE_SIZE,
+  appendAudit,
+  auditChanges,
+  auditDiff,
+  redactAudit,
+} from './lib/audit';
+import {
+  ADV_PROMISE,
+  ADV_SOURCES,
+  advFilterChips,
+  CLIENT_COLUMNS,
+  CLIENT_PAGE_SIZES,
+  compareSortValues,
+  EMPTY_ADV_FILTERS,
+  filterNumber,
+} from './lib/clientFilters';
+import {
+  isTypingTarget,
+  pickEntries,
+  restoreEntries,
+  UNDO_LIMIT,
+  UNDO_STORES,
+  UNDO_TOAST_MS,
+} from './lib/undo';
+import {
+  applyImportFix,
+  carryImportEdits,
+  columnLabel,
+  diffDatasets,
+  downloadBlob,
+  downloadCSV,
+  downloadXLSX,
+  draftHeaders,
+  draftItems,
+  EMPTY_IMPORT_VIEW,
+  findHeaderRow,
+  guessMapping,
+  headerSignature,
+  MAP_FIELDS,
+  validateImportItems,
+} from './lib/spreadsheet';
+import {
+  BACKUP_APP,
+  BACKUP_STORES,
+  BACKUP_VERSION,
+  countStore,
+  mergeStore,
+  parseBackup,
+} from './lib/backup';
+import {
+  buildWhatsLinkBR,
+  DEFAULT_TEMPLATES,
+  renderTemplate,
+  TEMPLATE_PLACEHOLDERS,
+} from './lib/messages';
+import {
+  DEFAULT_WORKSPACE_ID,
+  flushWrites,
+  hasPendingWrites,
+  IDB_DATASET_KEY,
+  idbDel,
+  isQuotaError,
+  loadDataset,
+  loadStore,
+  lockStorage,
+  LS_AUDIT,
+  LS_CAMPAIGNS,
+  LS_CONTACTS,
+  LS_MANUAL_CLIENTS,
+  LS_MAPPING_PROFILES,
+  LS_PAYMENTS,
+  LS_POLICY,
+  LS_PRIVACY,
+  LS_PROMISES,
+  LS_QUARANTINE_PREFIX,
+  LS_SNAPSHOTS,
+  LS_TEMPLATES,
+  LS_WORKSPACES,
+  nsKey,
+  onStorageError,
+  persistDataset,
+  purgeRecoveryCopies,
+  readJSON,
+  readLockConfig,
+  rekeyStorage,
+  removeRaw,
+  runMigrations,
+  saveStore,
+  storageKeys,
+  unlockStorage,
+  writeJSON,
+  writeLockConfig,
+} from './lib/storage';
+import { IDLE_OPTIONS, PIN_MIN_LENGTH } from './lib/crypto';
+import { monthGrid, MS_DAY, WEEKDAYS_BR } from './lib/calendar';
+import { pruneSnapshots, TREND_RANGES } from './lib/snapshots';
+
 ChartJS.register(
   CategoryScale,
   LinearScale,
@@ -27,291 +203,18 @@ ChartJS.register(
   Filler
 );
 
-/** ===================== Utils ===================== */
-function norm(s) {
-  return String(s ?? '')
-    .trim()
-    .toLowerCase()
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '')
-    .replace(/[^a-z0-9 ]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-function onlyDigits(s) {
-  return String(s || '').replace(/\D/g, '');
-}
-function excelToDate(value) {
-  if (value instanceof Date && !isNaN(value)) return value;
-
-  if (typeof value === 'number') {
-    const d = XLSX.SSF.parse_date_code(value);
-    if (d) return new Date(d.y, d.m - 1, d.d);
-  }
-
-  const s = String(value || '').trim();
-  const m = s.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
-  if (m) return new Date(Number(m[3]), Number(m[2]) - 1, Number(m[1]));
-
-  const d2 = new Date(s);
-  if (!isNaN(d2)) return d2;
-
-  return null;
-}
-function sameDay(a, b) {
-  return (
-    a &&
-    b &&
-    a.getFullYear() === b.getFullYear() &&
-    a.getMonth() === b.getMonth() &&
-    a.getDate() === b.getDate()
-  );
-}
-function formatBR(d) {
-  return d ? d.toLocaleDateString('pt-BR') : '';
-}
-function toBRL(v) {
-  if (typeof v === 'number')
-    return v.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
-
-  const s = String(v ?? '').trim();
-  if (!s) return '';
-
-  const n = Number(s.replace(/\./g, '').replace(',', '.'));
-  if (Number.isFinite(n))
-    return n.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
-
-  return s;
-}
-function parseBRLToNumber(v) {
-  if (typeof v === 'number') return v;
-  const s = String(v ?? '').trim();
-  if (!s) return '';
-  const n = Number(s.replace(/\./g, '').replace(',', '.'));
-  return Number.isFinite(n) ? n : v;
-}
-function safeParse(s, fallback) {
-  try {
-    return JSON.parse(s);
-  } catch {
-    return fallback;
-  }
-}
-function uid() {
-  return `id:${Date.now()}_${Math.random().toString(16).slice(2)}`;
-}
-function dateInputToISO(yyyyMmDd) {
-  if (!yyyyMmDd) return '';
-  const [y, m, d] = yyyyMmDd.split('-').map(Number);
-  if (!y || !m || !d) return '';
-  const dt = new Date(y, m - 1, d);
-  return isNaN(dt) ? '' : dt.toISOString();
-}
-function isoToDateInput(iso) {
-  if (!iso) return '';
-  const d = new Date(iso);
-  if (isNaN(d)) return '';
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  return `${y}-${m}-${day}`;
-}
-function keyForClientLike(r) {
-  const cpf = onlyDigits(r?.CPF);
-  if (cpf && cpf.length >= 8) return `cpf:${cpf}`;
-  const tel = onlyDigits(r?.Telefone);
-  if (tel && tel.length >= 10) return `tel:${tel}`;
-  return '';
-}
-
-/** ===================== Excel helpers ===================== */
-function findHeaderRow(aoa) {
-  const maxScan = Math.min(25, aoa.length);
-
-  const looksCpf = (cell) => {
-    const t = norm(cell);
-    return (
-      t === 'cpf' ||
-      t.includes('cpf') ||
-      t.includes('cpf cnpj') ||
-      t.includes('cpf/cnpj') ||
-      t.includes('documento')
-    );
-  };
-
-  const looksNome = (cell) => {
-    const t = norm(cell);
-    return t === 'nome' || t.includes('nome') || t.includes('cliente');
-  };
-
-  for (let i = 0; i < maxScan; i++) {
-    const row = aoa[i] || [];
-    let cpfOk = false;
-    let nomeOk = false;
-
-    for (const cell of row) {
-      if (!cpfOk && looksCpf(cell)) cpfOk = true;
-      if (!nomeOk && looksNome(cell)) nomeOk = true;
-    }
-    if (cpfOk && nomeOk) return i;
-  }
-
-  for (let i = 0; i < maxScan; i++) {
-    const filled = (aoa[i] || []).filter(
-      (c) => String(c ?? '').trim() !== ''
-    ).length;
-    if (filled >= 3) return i;
-  }
-
-  return 0;
-}
-
-function mapRow(rawObj) {
-  const keys = Object.keys(rawObj);
-
-  const getBy = (predicate) => {
-    for (const k of keys) {
-      const nk = norm(k);
-      if (predicate(nk)) return rawObj[k];
-    }
-    return '';
-  };
-
-  const cpf = getBy(
-    (k) =>
-      k === 'cpf' ||
-      k.includes('cpf') ||
-      k.includes('cpf cnpj') ||
-      k.includes('cpf/cnpj') ||
-      k.includes('documento')
-  );
-
-  const nome = getBy(
-    (k) => k === 'nome' || k.includes('nome') || k.includes('cliente')
-  );
-
-  const valor = getBy(
-    (k) =>
-      k === 'valor' ||
-      k.includes('valor') ||
-      k.includes('vlr') ||
-      k.includes('parcela') ||
-      k.includes('acordo')
-  );
-
-  const vencRaw = getBy(
-    (k) =>
-      k === 'data' ||
-      k.includes('venc') ||
-      k.includes('vencimento') ||
-      k.includes('data venc') ||
-      k.includes('dt venc') ||
-      k.includes('vcto')
-  );
-
-  const telefone = getBy(
-    (k) =>
-      k.includes('tel') ||
-      k.includes('fone') ||
-      k.includes('cel') ||
-      k.includes('contato') ||
-      k.includes('whats')
-  );
-
-  const tipoNegociacao = getBy(
-    (k) =>
-      k.includes('tipo') ||
-      k.includes('negoci') ||
-      k.includes('tipo de negoci') ||
-      k.includes('modalidade')
-  );
-
-  const status = getBy(
-    (k) =>
-      k === 'status' ||
-      k.includes('status') ||
-      k.includes('situacao') ||
-      k.includes('sit') ||
-      k.includes('pag')
-  );
-
-  const obs = getBy(
-    (k) =>
-      k.includes('obs') ||
-      k.includes('observacao') ||
-      k.includes('observação') ||
-      k.includes('coment') ||
-      k.includes('anot')
-  );
-
-  const vencDate = excelToDate(vencRaw);
-
-  return {
-    CPF: String(cpf ?? '').trim(),
-    Nome: String(nome ?? '').trim(),
-    Valor: valor,
-    VencimentoISO: vencDate ? vencDate.toISOString() : '',
-    Telefone: String(telefone ?? '').trim(),
-    TipoNegociacao: String(tipoNegociacao ?? '').trim(),
-    Status: String(status ?? '').trim(),
-    Obs: String(obs ?? '').trim(),
-  };
-}
-
-/** ===================== Export helpers ===================== */
-function downloadBlob(filename, blob) {
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  a.click();
-  URL.revokeObjectURL(url);
-}
-function downloadCSV(rows, filename) {
-  if (!rows.length) return;
-
-  const headers = Object.keys(rows[0]);
-  const esc = (val) => {
-    const s = String(val ?? '');
-    if (s.includes('"') || s.includes(',') || s.includes('\n'))
-      return `"${s.replace(/"/g, '""')}"`;
-    return s;
-  };
-
-  const csv = [
-    headers.join(','),
-    ...rows.map((r) => headers.map((h) => esc(r[h])).join(',')),
-  ].join('\n');
-
-  downloadBlob(filename, new Blob([csv], { type: 'text/csv;charset=utf-8' }));
-}
-function downloadXLSX(rows, filename) {
-  const ws = XLSX.utils.json_to_sheet(rows);
-  const wb = XLSX.utils.book_new();
-  XLSX.utils.book_append_sheet(wb, ws, 'Clientes');
-  const array = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
-  downloadBlob(
-    filename,
-    new Blob([array], {
-      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    })
-  );
-}
-
-/** ===================== Whats ===================== */
-function buildWhatsLinkBR(telefoneComDDD, message) {
-  const d = onlyDigits(telefoneComDDD);
-  const e164 = d.startsWith('55') ? d : `55${d}`;
-  if (e164.length < 12) return '';
-  return `https://wa.me/${e164}?text=${encodeURIComponent(message)}`;
-}
-
-/** ===================== Storage Keys ===================== */
-const LS_MANUAL_CLIENTS = 'operador_clientes_manuais_v4';
-const LS_PROMISES = 'operador_promessas_v4';
-
-/** ===================== Time ===================== */
-const MS_DAY = 24 * 60 * 60 * 1000;
+/** ===================== Pages ===================== */
+const PAGE_TITLES = {
+  dashboard: 'Dashboard',
+  clientes: 'Clientes',
+  promessas: 'Promessas',
+  modelos: 'Mensagens',
+  tendencias: 'Tendências',
+  calendario: 'Calendário',
+  politica: 'Política de cobrança',
+  privacidade: 'Privacidade (LGPD)',
+  auditoria: 'Auditoria',
+};
 
 /** ===================== Modal ===================== */
 function Modal({ open, title, children, onClose }) {
@@ -331,20 +234,108 @@ function Modal({ open, title, children, onClose }) {
   );
 }
 
+/** ===================== Lock screen ===================== */
+function LockScreen({ onUnlock }) {
+  const [pin, setPin] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  async function submit(e) {
+    e.preventDefault();
+    if (!pin || busy) return;
+    setBusy(true);
+    setError('');
+    try {
+      if (!(await onUnlock(pin))) {
+        setError('PIN incorreto.');
+        setPin('');
+      }
+    } catch (err) {
+      console.error(err);
+      setError('Não foi possível abrir os dados. Veja o Console (F12).');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="lockScreen">
+      <form className="modalCard lockCard" onSubmit={submit}>
+        <div className="brand">
+          <div className="brandDot" />
+          <div>
+            <div className="brandTitle">Operador</div>
+            <div className="brandSub">Dados protegidos por PIN</div>
+          </div>
+        </div>
+        <input
+          className="input"
+          type="password"
+          autoFocus
+          value={pin}
+          onChange={(e) => setPin(e.target.value)}
+          placeholder="PIN ou senha"
+          style={{ marginTop: 14 }}
+        />
+        {error ? (
+          <div className="sideHint" style={{ color: 'var(--d)' }}>
+            {error}
+          </div>
+        ) : null}
+        <button
+          className="btn btnPrimary full"
+          type="submit"
+          disabled={!pin || busy}
+          style={{ marginTop: 12 }}
+        >
+          {busy ? 'Abrindo…' : 'Desbloquear'}
+        </button>
+        <div className="sideHint">
+          Sem o PIN os dados salvos neste navegador não podem ser recuperados.
+        </div>
+      </form>
+    </div>
+  );
+}
+
 /** ===================== App ===================== */
-export default function App() {
+function Workspace({
+  security,
+  workspace,
+  workspaces,
+  onSwitchWorkspace,
+  onCreateWorkspace,
+  onEditWorkspace,
+  onDeleteWorkspace,
+}) {
+  // Fixo durante a vida do componente (a carteira troca remontando por `key`).
+  const ws = workspace.id;
+
   /** ===== Toast ===== */
   const [toastMsg, setToastMsg] = useState('');
+  const [toastAction, setToastAction] = useState(null); // { label, run }
   const toastTimer = useRef(null);
-  function toast(msg) {
+  function toast(msg, action = null) {
     setToastMsg(msg);
+    setToastAction(action);
     if (toastTimer.current) clearTimeout(toastTimer.current);
-    toastTimer.current = setTimeout(() => setToastMsg(''), 1700);
+    toastTimer.current = setTimeout(
+      () => {
+        setToastMsg('');
+        setToastAction(null);
+      },
+      action ? UNDO_TOAST_MS : 1700
+    );
   }
 
   /** ===== Base ===== */
   const [page, setPage] = useState('dashboard'); // dashboard | clientes | promessas
-  const [rows, setRows] = useState([]);
+  /** Base importada (persistida no IndexedDB): { rows, fileName, sheetName, importedAt } */
+  const [imported, setImported] = useState(null);
+  const [importedReady, setImportedReady] = useState(false);
+  // Falhou ao ler o que está salvo: nunca apagar por cima (só regravar
+  // se o usuário importar outra base).
+  const [importedLoadFailed, setImportedLoadFailed] = useState(false);
 
   /** Excel import */
   const [wb, setWb] = useState(null);
@@ -354,7 +345,8 @@ export default function App() {
 
   /** Filters (clientes) */
   const [q, setQ] = useState('');
-  const [filter, setFilter] = useState('TODOS'); // TODOS | VENCE_HOJE | ATRASADO | PAGO | PENDENTE
+  const [filter, setFilter] = useState('TODOS'); // TODOS | VENCE_HOJE | ATRASADO | PAGO | PENDENTE | VALOR_INVALIDO
+  const [dashMetric, setDashMetric] = useState('count'); // count | valor
 
   /** Actions menu */
   const [menuOpenId, setMenuOpenId] = useState(null);
@@ -362,6 +354,7 @@ export default function App() {
 
   /** Modals */
   const [openNewClient, setOpenNewClient] = useState(false);
+  const [editingClientId, setEditingClientId] = useState(null);
   const [openPromiseModal, setOpenPromiseModal] = useState(false);
 
   /** Promessa modal data (from a client) */
@@ -376,24 +369,210 @@ export default function App() {
   });
 
   /** ===== Persistência ===== */
-  const [manualClients, setManualClients] = useState(() => {
-    const raw = localStorage.getItem(LS_MANUAL_CLIENTS);
-    return safeParse(raw, []);
-  });
+  const [manualClients, setManualClients] = useState(() =>
+    loadStore(LS_MANUAL_CLIENTS, [], ws)
+  );
 
-  const [promises, setPromises] = useState(() => {
-    const raw = localStorage.getItem(LS_PROMISES);
-    return safeParse(raw, {});
-  });
+  const [promises, setPromises] = useState(() =>
+    loadStore(LS_PROMISES, {}, ws)
+  );
 
   useEffect(() => {
-    localStorage.setItem(LS_MANUAL_CLIENTS, JSON.stringify(manualClients));
+    saveStore(LS_MANUAL_CLIENTS, manualClients, ws);
   }, [manualClients]);
 
   useEffect(() => {
-    localStorage.setItem(LS_PROMISES, JSON.stringify(promises));
+    saveStore(LS_PROMISES, promises, ws);
   }, [promises]);
 
+  /** { [ledgerKey]: [{ id, dateISO, amount, method, note, createdAt }] } */
+  const [payments, setPayments] = useState(() =>
+    loadStore(LS_PAYMENTS, {}, ws)
+  );
+
+  useEffect(() => {
+    saveStore(LS_PAYMENTS, payments, ws);
+  }, [payments]);
+
+  /** { [ledgerKey]: [{ id, at, channel, message, outcome }] } */
+  const [contacts, setContacts] = useState(() =>
+    loadStore(LS_CONTACTS, {}, ws)
+  );
+
+  useEffect(() => {
+    saveStore(LS_CONTACTS, contacts, ws);
+  }, [contacts]);
+
+  const [templates, setTemplates] = useState(() => {
+    const list = loadStore(LS_TEMPLATES, null, ws);
+    return Array.isArray(list) && list.length ? list : DEFAULT_TEMPLATES;
+  });
+
+  useEffect(() => {
+    saveStore(LS_TEMPLATES, templates, ws);
+  }, [templates]);
+
+  const [campaigns, setCampaigns] = useState(() =>
+    loadStore(LS_CAMPAIGNS, [], ws)
+  );
+
+  useEffect(() => {
+    saveStore(LS_CAMPAIGNS, campaigns, ws);
+  }, [campaigns]);
+
+  const [policy, setPolicy] = useState(() => {
+    const parsed = loadStore(LS_POLICY, null, ws);
+    return Array.isArray(parsed) && parsed.length ? parsed : DEFAULT_POLICY;
+  });
+
+  useEffect(() => {
+    saveStore(LS_POLICY, policy, ws);
+  }, [policy]);
+
+  const [snapshots, setSnapshots] = useState(() =>
+    loadStore(LS_SNAPSHOTS, {}, ws)
+  );
+
+  useEffect(() => {
+    saveStore(LS_SNAPSHOTS, snapshots, ws);
+  }, [snapshots]);
+
+  const [privacy, setPrivacy] = useState(() =>
+    loadStore(LS_PRIVACY, DEFAULT_PRIVACY, ws)
+  );
+
+  useEffect(() => {
+    saveStore(LS_PRIVACY, privacy, ws);
+  }, [privacy]);
+
+  const [mappingProfiles, setMappingProfiles] = useState(() =>
+    loadStore(LS_MAPPING_PROFILES, [], ws)
+  );
+
+  useEffect(() => {
+    saveStore(LS_MAPPING_PROFILES, mappingProfiles, ws);
+  }, [mappingProfiles]);
+
+  /** ===== Auditoria (só acrescenta) ===== */
+  // Fica fora do backup: restaurar nunca reescreve o histórico, só entra
+  // nele como registros novos (um por mudança aplicada). Guarda os
+  // AUDIT_KEEP mais recentes, para não esgotar o localStorage.
+  const [audit, setAudit] = useState(() => loadStore(LS_AUDIT, [], ws));
+
+  useEffect(() => {
+    saveStore(LS_AUDIT, audit, ws);
+  }, [audit]);
+
+  // Compara cada store com a versão anterior: toda mudança vira registro,
+  // venha de onde vier (formulários, restauração de backup, LGPD...).
+  const auditPrev = useRef({ manualClients, promises, payments });
+  const auditRedact = useRef(new Set());
+
+  useEffect(() => {
+    const prev = auditPrev.current;
+    const base = {
+      at: new Date().toISOString(),
+      operator: workspace.operator || '',
+    };
+    let entries = [
+      ...auditDiff('cliente', prev.manualClients, manualClients, base),
+      ...auditDiff('promessa', prev.promises, promises, base),
+      ...auditDiff('pagamento', prev.payments, payments, base),
+    ];
+    auditPrev.current = { manualClients, promises, payments };
+    if (!entries.length) return;
+    if (auditRedact.current.size) {
+      entries = redactAudit(entries, auditRedact.current);
+      auditRedact.current = new Set();
+    }
+    setAudit((list) => appendAudit(list, entries));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [manualClients, promises, payments]);
+
+  /** ===== Desfazer / refazer ===== */
+  // Cada entrada guarda só os registros que a ação mexeu (por id/chave):
+  // desfazer não passa por cima do que mudou depois em outros registros.
+  const undoHistory = useRef({ past: [], future: [] });
+  const undoStores = useRef({});
+  undoStores.current = { manualClients, promises, payments, contacts };
+  const undoSetters = {
+    manualClients: setManualClients,
+    promises: setPromises,
+    payments: setPayments,
+    contacts: setContacts,
+  };
+
+  /** `touched`: `{ [store]: [ids] }` que a ação vai mexer. */
+  function checkpoint(label, touched) {
+    const h = undoHistory.current;
+    const entries = {};
+    for (const [store, ids] of Object.entries(touched))
+      entries[store] = pickEntries(
+        undoStores.current[store],
+        ids,
+        UNDO_STORES[store]
+      );
+    h.past = [...h.past, { label, entries }].slice(-UNDO_LIMIT);
+    h.future = [];
+  }
+
+  function clearUndoHistory() {
+    undoHistory.current = { past: [], future: [] };
+  }
+
+  function stepHistory(from, to) {
+    const h = undoHistory.current;
+    const entry = h[from][h[from].length - 1];
+    if (!entry) return null;
+    const back = { label: entry.label, entries: {} };
+    for (const [store, saved] of Object.entries(entry.entries)) {
+      const idField = UNDO_STORES[store];
+      back.entries[store] = pickEntries(
+        undoStores.current[store],
+        saved.map((e) => e.id),
+        idField
+      );
+      undoSetters[store]((prev) => restoreEntries(prev, saved, idField));
+    }
+    h[from] = h[from].slice(0, -1);
+    h[to] = [...h[to], back];
+    return entry.label;
+  }
+
+  function undo() {
+    const label = stepHistory('past', 'future');
+    if (!label) return toast('Nada para desfazer.');
+    toast(`Desfeito: ${label}`, { label: 'Refazer', run: redo });
+  }
+
+  function redo() {
+    const label = stepHistory('future', 'past');
+    if (!label) return toast('Nada para refazer.');
+    toast(`Refeito: ${label}`, { label: 'Desfazer', run: undo });
+  }
+
+  function toastUndo(msg) {
+    toast(msg, { label: 'Desfazer', run: undo });
+  }
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (isTypingTarget(e.target)) return;
+      const k = e.key.toLowerCase();
+      if (k === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((k === 'z' && e.shiftKey) || k === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
   /** close menu on outside click */
   useEffect(() => {
     function onDocMouseDown(e) {
@@ -415,9 +594,6 @@ export default function App() {
   function vencDate(r) {
     return r?.VencimentoISO ? new Date(r.VencimentoISO) : null;
   }
-  function isPago(r) {
-    return norm(r?.Status).includes('pago');
-  }
   function venceHoje(r) {
     const d = vencDate(r);
     return d ? sameDay(d, today) && !isPago(r) : false;
@@ -426,6 +602,9 @@ export default function App() {
     const d = vencDate(r);
     return d ? d < baseHoje && !isPago(r) : false;
   }
+  function agingOf(r) {
+    return atrasado(r) ? agingBucketFor(daysLate(r)) : null;
+  }
   function daysLate(r) {
     const d = vencDate(r);
     if (!d) return 0;
@@ -433,20 +612,50 @@ export default function App() {
     const diff = baseHoje.getTime() - baseVenc.getTime();
     return Math.floor(diff / MS_DAY);
   }
-  function msgHoje(r) {
+  function templateVarsForRow(r) {
     const d = vencDate(r);
-    const data = d ? formatBR(d) : 'hoje';
-    const valor = toBRL(r.Valor);
-    return `Olá, ${r.Nome}. Passando para confirmar o pagamento do acordo com vencimento ${data}. Valor: ${valor}. Assim que efetuar, me envie o comprovante para anexarmos.`;
+    const k = r ? clientKeyOf(r) : '';
+    const p = k ? promises?.[k] : null;
+    return {
+      nome: r?.Nome || '',
+      valor: toBRL(r?.Valor),
+      vencimento: d ? formatBR(d) : 'hoje',
+      dias_atraso: r && atrasado(r) ? String(daysLate(r)) : '',
+      promessa: p?.promiseISO ? formatBR(new Date(p.promiseISO)) : '',
+      obs: p?.note || r?.Obs || '',
+    };
+  }
+  function templateVarsForPromise(p) {
+    return {
+      nome: p.snapshot?.Nome || '-',
+      valor: toBRL(p.snapshot?.Valor ?? ''),
+      vencimento: '',
+      dias_atraso: '',
+      promessa: formatBR(new Date(p.promiseISO)),
+      obs: p.note || '',
+    };
+  }
+  function templateBody(id) {
+    const list = templates || [];
+    return (list.find((t) => t.id === id) || list[0])?.body || '';
+  }
+  /** Modelo da etapa do cliente, a menos que o operador escolha outro. */
+  function msgHoje(r) {
+    const id = clientTplId || stageOf(r)?.templateId || 'tpl_vencimento';
+    return renderTemplate(templateBody(id), templateVarsForRow(r));
+  }
+  function stageOf(r) {
+    if (isPago(r) || !vencDate(r)) return null;
+    return stageFor(policy, daysLate(r), saldoOf(r));
   }
   function badgeForVenc(r) {
-    const pago = isPago(r);
-    const hoje_ = venceHoje(r);
-    const atr = atrasado(r);
-    if (pago) return 'pill pillGood';
-    if (atr) return 'pill pillBad';
-    if (hoje_) return 'pill pillWarn';
-    return 'pill';
+    if (isPago(r)) return { className: 'pill pillGood' };
+    const stage = stageOf(r);
+    return {
+      className: 'pill',
+      style: stagePillStyle(stage),
+      title: stage?.name,
+    };
   }
 
   /** ===== Promessas ===== */
@@ -457,14 +666,60 @@ export default function App() {
         delete next[key];
         return next;
       }
-      next[key] = payloadOrNull;
+      const old = next[key];
+      if (!old?.promiseISO) {
+        next[key] = { ...payloadOrNull, createdAt: payloadOrNull.updatedAt };
+        return next;
+      }
+      if (
+        sameDay(new Date(old.promiseISO), new Date(payloadOrNull.promiseISO))
+      ) {
+        next[key] = {
+          ...payloadOrNull,
+          createdAt: old.createdAt || old.updatedAt,
+          resolution: old.resolution,
+          history: old.history || [],
+        };
+        return next;
+      }
+      // Nova data: a promessa anterior vai para o histórico como renegociada
+      // (a menos que já tenha sido cumprida).
+      const outcome = promiseOutcome(key, old);
+      next[key] = {
+        ...payloadOrNull,
+        createdAt: payloadOrNull.updatedAt,
+        history: [
+          ...(old.history || []),
+          {
+            promiseISO: old.promiseISO,
+            createdAt: old.createdAt || old.updatedAt,
+            note: old.note || '',
+            valor: old.snapshot?.Valor ?? '',
+            status: outcome.status === 'cumprida' ? 'cumprida' : 'renegociada',
+            recovered: outcome.recovered,
+            resolvedAt: payloadOrNull.updatedAt,
+          },
+        ],
+      };
       return next;
     });
   }
 
+  function setPromiseResolution(key, status) {
+    checkpoint('resultado da promessa', { promises: [key] });
+    setPromises((prev) => {
+      const p = prev?.[key];
+      if (!p) return prev;
+      const resolution = status
+        ? { status, at: new Date().toISOString() }
+        : undefined;
+      return { ...prev, [key]: { ...p, resolution } };
+    });
+  }
+
   function mergePromisesIntoRows(inRows) {
     return (inRows || []).map((r) => {
-      const k = keyForClientLike(r);
+      const k = clientKeyOf(r);
       const p = k ? promises?.[k] : null;
       if (!p?.promiseISO) return r;
       return { ...r, PromessaISO: p.promiseISO };
@@ -484,6 +739,9 @@ export default function App() {
       Status: c.Status || '',
       Obs: c.Obs || '',
       PromessaISO: c.PromessaISO || '',
+      Parcelas: Array.isArray(c.Parcelas) ? c.Parcelas : [],
+      Plano: c.Plano || null,
+      _anonKey: c._anonKey || '',
       _source: 'manual',
       createdAt: c.createdAt || '',
     }));
@@ -494,14 +752,184 @@ export default function App() {
     return mergePromisesIntoRows([...manualRows, ...imp]);
   }
 
-  /** init rows */
+  const rows = useMemo(
+    () =>
+      applyLedger(expandInstallments(composeRows(imported?.rows)), payments),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [manualRows, imported, promises, payments]
+  );
+
+  const rowsByKey = useMemo(() => {
+    const map = new Map();
+    for (const r of rows) {
+      if (!map.has(r._ledgerKey)) map.set(r._ledgerKey, []);
+      map.get(r._ledgerKey).push(r);
+    }
+    return map;
+  }, [rows]);
+
+  function promiseOutcome(key, p) {
+    const related = rowsByKey.get(key) || [];
+    return resolvePromise(p, {
+      payments: payments?.[key],
+      allPaid: related.length > 0 && related.every(isPago),
+      today: baseHoje,
+    });
+  }
+
+  /** restore imported dataset */
+  useEffect(() => {
+    let alive = true;
+    loadDataset(nsKey(IDB_DATASET_KEY, ws))
+      .then((ds) => {
+        // Se o usuário já importou algo enquanto carregava, vale o dele.
+        if (alive && Array.isArray(ds?.rows)) setImported((prev) => prev || ds);
+      })
+      .catch((err) => {
+        console.error(err);
+        if (!alive) return;
+        setImportedLoadFailed(true);
+        toast('Não foi possível carregar a base importada salva.');
+      })
+      .finally(() => alive && setImportedReady(true));
+    return () => {
+      alive = false;
+    };
+  }, []);
+
   useEffect(() => {
-    setRows((prev) => {
-      if (prev && prev.length) return prev;
-      return mergePromisesIntoRows([...manualRows]);
+    if (!importedReady) return;
+    const job = persistDataset(
+      nsKey(IDB_DATASET_KEY, ws),
+      imported,
+      importedLoadFailed
+    );
+    job?.catch((err) => {
+      console.error(err);
+      toast('Não foi possível salvar a base importada no navegador.');
     });
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  }, [imported, importedReady, importedLoadFailed]);
+
+  /** ===== PIN ===== */
+  const [pinForm, setPinForm] = useState(null); // { pin, confirm, busy }
+
+  async function savePin() {
+    const pin = String(pinForm?.pin || '');
+    if (pin.length < PIN_MIN_LENGTH)
+      return alert(`O PIN precisa de pelo menos ${PIN_MIN_LENGTH} caracteres.`);
+    if (pin !== pinForm.confirm) return alert('Os PINs não conferem.');
+    setPinForm((prev) => ({ ...prev, busy: true }));
+    try {
+      await security.setPin(pin);
+      setPinForm(null);
+      toast(
+        security.enabled ? 'PIN trocado ✅' : 'Dados protegidos por PIN ✅'
+      );
+    } catch (err) {
+      console.error(err);
+      setPinForm((prev) => ({ ...prev, busy: false }));
+      alert('Não foi possível cifrar os dados. Veja o Console (F12).');
+    }
+  }
+
+  async function removePin() {
+    if (
+      !confirm(
+        'Remover o PIN? Os dados voltam a ficar legíveis neste navegador.'
+      )
+    )
+      return;
+    try {
+      await security.removePin();
+      toast('PIN removido.');
+    } catch (err) {
+      console.error(err);
+      alert('Não foi possível remover o PIN. Veja o Console (F12).');
+    }
+  }
+
+  /** ===== Backup ===== */
+  const [restoreDraft, setRestoreDraft] = useState(null); // { fileName, backup, mode }
+
+  const backupStores = {
+    manualClients: [manualClients, setManualClients],
+    promises: [promises, setPromises],
+    payments: [payments, setPayments],
+    contacts: [contacts, setContacts],
+    templates: [templates, setTemplates],
+    campaigns: [campaigns, setCampaigns],
+    mappingProfiles: [mappingProfiles, setMappingProfiles],
+    snapshots: [snapshots, setSnapshots],
+    policy: [policy, setPolicy],
+    privacy: [privacy, setPrivacy],
+  };
+
+  function exportBackup() {
+    const stores = {};
+    for (const store of BACKUP_STORES)
+      stores[store.id] = backupStores[store.id][0];
+    const backup = {
+      app: BACKUP_APP,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      stores,
+      imported: imported || null,
+    };
+    downloadBlob(
+      `backup_operador_${isoToDateInput(backup.exportedAt)}.json`,
+      new Blob([JSON.stringify(backup)], { type: 'application/json' })
+    );
+    toast('Backup exportado ✅');
+  }
+
+  function handleBackupFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (evt) => {
+      const { backup, error } = parseBackup(evt.target.result);
+      if (error) return alert(error);
+      setRestoreDraft({ fileName: file.name, backup, mode: 'merge' });
+    };
+    reader.readAsText(file);
+  }
+
+  const restoreMissing = restoreDraft
+    ? BACKUP_STORES.filter(
+        (st) => restoreDraft.backup.stores[st.id] === undefined
+      )
+    : [];
+
+  function applyRestore() {
+    if (!restoreDraft) return;
+    const { backup, mode } = restoreDraft;
+    if (
+      mode === 'replace' &&
+      !confirm('Substituir TODOS os dados atuais pelos do backup?')
+    )
+      return;
+
+    for (const store of BACKUP_STORES) {
+      const incoming = backup.stores[store.id];
+      const [current, set] = backupStores[store.id];
+      if (mode === 'replace') {
+        // "Substituir TODOS": o que o backup não traz volta ao padrão.
+        set(incoming !== undefined ? incoming : store.initial());
+      } else {
+        set(mergeStore(store, current, incoming));
+      }
+    }
+    if (mode === 'replace') setImported(backup.imported || null);
+    else if (!imported && backup.imported) setImported(backup.imported);
+
+    clearUndoHistory();
+    setRestoreDraft(null);
+    setMenuOpenId(null);
+    toast(mode === 'replace' ? 'Backup restaurado ✅' : 'Backup mesclado ✅');
+  }
 
   /** ===== Excel Import ===== */
   function handleFile(e) {
@@ -520,7 +948,6 @@ export default function App() {
         const first = workbook.SheetNames?.[0] || '';
         setSelectedSheet(first);
 
-        setRows(mergePromisesIntoRows([...manualRows]));
         setQ('');
         setFilter('TODOS');
         setMenuOpenId(null);
@@ -535,6 +962,18 @@ export default function App() {
     reader.readAsArrayBuffer(file);
   }
 
+  /** Importação em etapas: mapping -> validation. { stage, sheet, aoa, rowOffset, headerRow, mapping, profile*, items } */
+  const [importDraft, setImportDraft] = useState(null);
+
+  function mappingForHeaders(headers) {
+    const sig = headerSignature(headers);
+    const profile = sig
+      ? (mappingProfiles || []).find((p) => p.signature === sig)
+      : null;
+    if (profile) return { mapping: { ...profile.mapping }, profile };
+    return { mapping: guessMapping(headers), profile: null };
+  }
+
   function loadSelectedSheet() {
     if (!wb || !selectedSheet) {
       alert('Selecione uma aba primeiro.');
@@ -547,39 +986,264 @@ export default function App() {
         return;
       }
 
-      const aoa = XLSX.utils.sheet_to_json(ws, { header: 1, defval: '' });
-      const headerRow = findHeaderRow(aoa);
-      const json = XLSX.utils.sheet_to_json(ws, {
+      const aoa = XLSX.utils.sheet_to_json(ws, {
+        header: 1,
         defval: '',
-        range: headerRow,
+        blankrows: true,
+      });
+      const rowOffset = ws['!ref']
+        ? XLSX.utils.decode_range(ws['!ref']).s.r
+        : 0;
+      const headerRow = findHeaderRow(aoa);
+      const headers = (aoa[headerRow] || []).map((c) => String(c ?? ''));
+      const { mapping, profile } = mappingForHeaders(headers);
+
+      setImportDraft({
+        stage: 'mapping',
+        sheet: selectedSheet,
+        aoa,
+        rowOffset,
+        headerRow,
+        mapping,
+        profileId: profile?.id || '',
+        profileName: profile?.name || '',
+        saveProfile: !profile,
       });
-
-      const mapped = json
-        .map(mapRow)
-        .filter((r) => r.CPF || r.Nome || r.Telefone);
-
-      const withId = mapped.map((r, i) => ({ _id: String(i + 1), ...r }));
-
-      setRows(composeRows(withId));
-      setQ('');
-      setFilter('TODOS');
       setMenuOpenId(null);
 
-      toast('Aba carregada ✅');
+      if (profile) toast(`Perfil “${profile.name}” aplicado ✅`);
     } catch (err) {
       console.error(err);
       alert('Erro ao carregar a aba. Veja o Console (F12).');
     }
   }
 
+  function changeDraftHeaderRow(sheetRowNumber) {
+    setImportDraft((prev) => {
+      if (!prev) return prev;
+      const idx = Math.min(
+        Math.max(Number(sheetRowNumber) - 1 - prev.rowOffset, 0),
+        Math.max(prev.aoa.length - 1, 0)
+      );
+      const headers = (prev.aoa[idx] || []).map((c) => String(c ?? ''));
+      const { mapping, profile } = mappingForHeaders(headers);
+      return {
+        ...prev,
+        headerRow: idx,
+        mapping,
+        profileId: profile?.id || '',
+        profileName: profile?.name || prev.profileName,
+      };
+    });
+  }
+
+  function applyProfileToDraft(profileId) {
+    const profile = (mappingProfiles || []).find((p) => p.id === profileId);
+    setImportDraft((prev) => {
+      if (!prev) return prev;
+      if (!profile) return { ...prev, profileId: '' };
+      return {
+        ...prev,
+        mapping: { ...guessMapping([]), ...profile.mapping },
+        profileId: profile.id,
+        profileName: profile.name,
+      };
+    });
+  }
+
+  function deleteMappingProfile(profileId) {
+    if (!profileId) return;
+    if (!confirm('Excluir este perfil de mapeamento?')) return;
+    setMappingProfiles((prev) =>
+      (prev || []).filter((p) => p.id !== profileId)
+    );
+    setImportDraft((prev) => (prev ? { ...prev, profileId: '' } : prev));
+    toast('Perfil excluído.');
+  }
+
+  const importView = useMemo(() => {
+    if (!importDraft) return EMPTY_IMPORT_VIEW;
+    const headers = draftHeaders(importDraft);
+    if (importDraft.stage === 'diff') {
+      return {
+        ...EMPTY_IMPORT_VIEW,
+        headers,
+        diff: diffDatasets(imported?.rows, importDraft.pendingRows),
+      };
+    }
+    if (importDraft.stage === 'validation') {
+      const issues = validateImportItems(
+        importDraft.items,
+        importDraft.mapping
+      );
+      const withIssues = importDraft.items
+        .map((it, i) => ({ it, i, issues: issues[i] }))
+        .filter((x) => x.issues.length || x.it.edited);
+      const isPending = (x) => x.issues.length && !x.it.decision;
+      return {
+        ...EMPTY_IMPORT_VIEW,
+        headers,
+        issues,
+        withIssues,
+        pending: withIssues.filter(isPending).length,
+        skipped: importDraft.items.filter((it) => it.decision === 'skip')
+          .length,
+        visible: importDraft.onlyPending
+          ? withIssues.filter(isPending)
+          : withIssues,
+      };
+    }
+    return {
+      ...EMPTY_IMPORT_VIEW,
+      headers,
+      preview: draftItems({
+        ...importDraft,
+        aoa: importDraft.aoa.slice(0, importDraft.headerRow + 21),
+      })
+        .map((it) => it.row)
+        .filter((r) => r.CPF || r.Nome || r.Telefone)
+        .slice(0, 3),
+    };
+  }, [importDraft, imported]);
+
+  function confirmMapping() {
+    const draft = importDraft;
+    if (!draft) return;
+
+    const headers = draftHeaders(draft);
+    if (
+      draft.mapping.CPF < 0 &&
+      draft.mapping.Nome < 0 &&
+      draft.mapping.Telefone < 0
+    )
+      return alert('Mapeie pelo menos CPF, Nome ou Telefone.');
+
+    if (draft.saveProfile) {
+      const name = String(draft.profileName || '').trim();
+      if (!name)
+        return alert('Dê um nome ao perfil (ou desmarque “Salvar perfil”).');
+      const signature = headerSignature(headers);
+      setMappingProfiles((prev) => {
+        const list = [...(prev || [])];
+        const idx = list.findIndex(
+          (p) => p.id === draft.profileId || p.signature === signature
+        );
+        const profile = {
+          id: idx >= 0 ? list[idx].id : uid(),
+          name,
+          signature,
+          headers,
+          mapping: { ...draft.mapping },
+          updatedAt: new Date().toISOString(),
+        };
+        if (idx >= 0) list[idx] = profile;
+        else list.unshift(profile);
+        return list;
+      });
+    }
+
+    const items = carryImportEdits(draftItems(draft), draft.items);
+    const issues = validateImportItems(items, draft.mapping);
+    if (issues.every((list) => !list.length)) {
+      reviewImport(
+        { ...draft, items },
+        items.map((it) => it.row)
+      );
+      return;
+    }
+
+    setImportDraft({ ...draft, stage: 'validation', items, onlyPending: true });
+  }
+
+  /** ===== Importação: validação ===== */
+  function updateImportItem(idx, patch) {
+    setImportDraft((prev) => {
+      if (!prev) return prev;
+      const items = [...prev.items];
+      items[idx] = { ...items[idx], ...patch };
+      return { ...prev, items };
+    });
+  }
+
+  function editImportField(idx, field, value) {
+    const item = importDraft?.items?.[idx];
+    if (!item) return;
+    updateImportItem(idx, {
+      ...applyImportFix(item, field, value),
+      decision: '',
+    });
+  }
+
+  function decideAllPending(decision) {
+    setImportDraft((prev) => {
+      if (!prev) return prev;
+      const issues = validateImportItems(prev.items, prev.mapping);
+      const items = prev.items.map((it, i) =>
+        issues[i].length && !it.decision ? { ...it, decision } : it
+      );
+      return { ...prev, items };
+    });
+  }
+
+  function confirmValidation() {
+    const draft = importDraft;
+    if (!draft) return;
+    const issues = validateImportItems(draft.items, draft.mapping);
+    const pending = draft.items.filter(
+      (it, i) => issues[i].length && !it.decision
+    ).length;
+    if (pending)
+      return alert(`Ainda há ${pending} linha(s) com problema sem decisão.`);
+
+    reviewImport(
+      draft,
+      draft.items.filter((it) => it.decision !== 'skip').map((it) => it.row)
+    );
+  }
+
+  /** ===== Importação: diferenças x base anterior ===== */
+  function reviewImport(draft, mapped) {
+    if (!imported?.rows?.length) return commitImport(mapped);
+    setImportDraft({
+      ...draft,
+      stage: 'diff',
+      backStage: draft.stage === 'validation' ? 'validation' : 'mapping',
+      pendingRows: mapped,
+      onlyPaid: false,
+    });
+  }
+
+  function commitImport(mapped) {
+    const withId = mapped.map((r, i) => ({ _id: String(i + 1), ...r }));
+
+    setImported({
+      rows: withId,
+      fileName: fileLabel,
+      sheetName: importDraft?.sheet || selectedSheet,
+      importedAt: new Date().toISOString(),
+    });
+    setImportDraft(null);
+    setQ('');
+    setFilter('TODOS');
+    setMenuOpenId(null);
+
+    toast(`Aba carregada ✅ (${withId.length} linhas)`);
+  }
+
+  function discardImported() {
+    if (
+      !confirm(
+        'Descartar a base importada? Clientes manuais e promessas são mantidos.'
+      )
+    )
+      return;
+    setImported(null);
+    toast('Base importada descartada.');
+  }
+
   /** ===== Cadastro manual (Modal) ===== */
-  const [cForm, setCForm] = useState({
-    CPF: '',
-    Nome: '',
-    Telefone: '',
-    Valor: '',
-    VencDate: '',
-  });
+  const [cForm, setCForm] = useState(EMPTY_CLIENT_FORM);
+  const cSchedule = useMemo(() => scheduleFromForm(cForm), [cForm]);
 
   function saveManualClient() {
     const CPF = String(cForm.CPF || '').trim();
@@ -592,40 +1256,277 @@ export default function App() {
       return alert('Preencha pelo menos Nome e Telefone.');
     if (!vencISO) return alert('Escolha o Vencimento.');
 
+    const parcelado =
+      Number(cForm.NumParcelas || 1) > 1 || String(cForm.Entrada || '').trim();
+    const schedule = parcelado ? scheduleFromForm(cForm) : null;
+    if (schedule?.error) return alert(schedule.error);
+
+    const current = editingClientId
+      ? (manualClients || []).find((c) => c._id === editingClientId)
+      : null;
+
     const item = {
-      _id: uid(),
+      TipoNegociacao: '',
+      Status: '',
+      Obs: '',
+      PromessaISO: '',
+      ...(current || {}),
+      _id: current?._id || uid(),
       CPF,
       Nome,
       Telefone,
       Valor: parseBRLToNumber(Valor),
       VencimentoISO: vencISO,
-      TipoNegociacao: '',
-      Status: '',
-      Obs: '',
-      PromessaISO: '',
-      createdAt: new Date().toISOString(),
+      Parcelas: schedule ? schedule.items : [],
+      Plano: schedule
+        ? {
+            entrada: parseBRLToNumber(cForm.Entrada) || 0,
+            parcelas: Number(cForm.NumParcelas || 1),
+            periodicidade: cForm.Periodicidade,
+          }
+        : null,
+      createdAt: current?.createdAt || new Date().toISOString(),
+      ...(current ? { updatedAt: new Date().toISOString() } : {}),
     };
 
-    setManualClients((prev) => [item, ...(prev || [])]);
-    setRows((prev) =>
-      mergePromisesIntoRows([{ ...item, _source: 'manual' }, ...(prev || [])])
+    // CPF/telefone mudou: promessas, pagamentos e contatos acompanham,
+    // a não ser que a chave antiga também seja de outra linha.
+    const oldKey = current
+      ? ledgerKeyFor({ ...current, _source: 'manual' })
+      : '';
+    const newKey = ledgerKeyFor({ ...item, _source: 'manual' });
+    const rekey =
+      !!current &&
+      oldKey !== newKey &&
+      ownLedgerKeys([current]).includes(oldKey);
+
+    checkpoint(current ? 'editar cliente' : 'novo cliente', {
+      manualClients: [item._id],
+      ...(rekey ? ledgerTouched([oldKey, newKey]) : {}),
+    });
+    setManualClients((prev) =>
+      current
+        ? (prev || []).map((c) => (c._id === current._id ? item : c))
+        : [item, ...(prev || [])]
     );
-    setCForm({ CPF: '', Nome: '', Telefone: '', Valor: '', VencDate: '' });
+    if (rekey) {
+      setPromises((prev) => renameStoreKey(prev, oldKey, newKey));
+      setPayments((prev) => renameStoreKey(prev, oldKey, newKey));
+      setContacts((prev) => renameStoreKey(prev, oldKey, newKey));
+    }
+    setCForm(EMPTY_CLIENT_FORM);
+    closeClientModal();
+    toastUndo(current ? 'Cliente atualizado ✅' : 'Cliente salvo ✅');
+  }
 
+  /** Rascunho de cliente novo sobrevive ao fechar; o de edição não. */
+  function closeClientModal() {
+    if (editingClientId) setCForm(EMPTY_CLIENT_FORM);
+    setEditingClientId(null);
     setOpenNewClient(false);
-    toast('Cliente salvo ✅');
+  }
+
+  function openEditClient(r) {
+    const c = (manualClients || []).find((m) => m._id === r?._agreementId);
+    if (!c) return toast('Cliente não encontrado.');
+    const parcelas = Array.isArray(c.Parcelas) ? c.Parcelas : [];
+    setCForm({
+      ...EMPTY_CLIENT_FORM,
+      CPF: c.CPF || '',
+      Nome: c.Nome || '',
+      Telefone: c.Telefone || '',
+      Valor: numberToInput(c.Valor),
+      VencDate: isoToDateInput(parcelas[0]?.VencimentoISO || c.VencimentoISO),
+      Entrada: c.Plano?.entrada ? numberToInput(c.Plano.entrada) : '',
+      NumParcelas: String(c.Plano?.parcelas || 1),
+      Periodicidade: c.Plano?.periodicidade || 'mensal',
+    });
+    setEditingClientId(c._id);
+    setOpenNewClient(true);
+  }
+
+  function ledgerTouched(keys) {
+    return { promises: keys, payments: keys, contacts: keys };
+  }
+
+  /** Chaves só desses clientes (as compartilhadas com a planilha ficam). */
+  function ownLedgerKeys(list) {
+    const ids = new Set(list.map((c) => c._id));
+    const keys = new Set(
+      list.map((c) => ledgerKeyFor({ ...c, _source: 'manual' }))
+    );
+    return [...keys].filter((k) =>
+      (rowsByKey.get(k) || []).every(
+        (r) => r._source === 'manual' && ids.has(r._agreementId)
+      )
+    );
+  }
+
+  function dropLedgerKeys(keys) {
+    const drop = (prev) => keys.reduce(dropStoreKey, prev);
+    setPromises(drop);
+    setPayments(drop);
+    setContacts(drop);
+  }
+
+  function deleteManualClient(id) {
+    const c = (manualClients || []).find((m) => m._id === id);
+    if (!c) return;
+    const keys = ownLedgerKeys([c]);
+    checkpoint('excluir cliente', {
+      manualClients: [id],
+      ...ledgerTouched(keys),
+    });
+    setManualClients((prev) => (prev || []).filter((m) => m._id !== id));
+    dropLedgerKeys(keys);
+    if (editingClientId === id) closeClientModal();
+    toastUndo('Cliente excluído.');
   }
 
   function deleteAllManualClients() {
     if (!confirm('Apagar TODOS os clientes manuais?')) return;
+    const keys = ownLedgerKeys(manualClients || []);
+    checkpoint('apagar clientes manuais', {
+      manualClients: (manualClients || []).map((c) => c._id),
+      ...ledgerTouched(keys),
+    });
     setManualClients([]);
-    setRows((prev) => (prev || []).filter((r) => r._source !== 'manual'));
-    toast('Clientes manuais apagados.');
+    dropLedgerKeys(keys);
+    toastUndo('Clientes manuais apagados.');
+  }
+
+  /** ===== Pagamentos ===== */
+  const [paymentTarget, setPaymentTarget] = useState(null); // { key, Nome }
+  const [paymentForm, setPaymentForm] = useState({
+    date: '',
+    amount: '',
+    method: 'PIX',
+    note: '',
+  });
+
+  function openPaymentsForClient(r) {
+    const key = r?._ledgerKey || ledgerKeyFor(r);
+    // Sem CPF, telefone nem nome, a chave não distingue um devedor do outro.
+    if (key.startsWith('linha:') && !norm(r?.Nome))
+      return toast('Linha sem CPF, telefone ou nome: sem como lançar.');
+    setPaymentTarget({ key, Nome: r?.Nome || '' });
+    setPaymentForm({
+      date: isoToDateInput(new Date().toISOString()),
+      amount: '',
+      method: 'PIX',
+      note: '',
+    });
   }
 
+  function savePayment() {
+    if (!paymentTarget?.key) return;
+    const dateISO = dateInputToISO(paymentForm.date);
+    const amount = parseBRLToNumber(paymentForm.amount);
+    if (!dateISO) return alert('Informe a data do pagamento.');
+    if (typeof amount !== 'number' || !(amount > 0))
+      return alert('Informe um valor válido (ex: 250,00).');
+
+    const entry = {
+      id: uid(),
+      dateISO,
+      amount,
+      method: paymentForm.method,
+      note: String(paymentForm.note || '').trim(),
+      createdAt: new Date().toISOString(),
+    };
+
+    setPayments((prev) => ({
+      ...(prev || {}),
+      [paymentTarget.key]: [...(prev?.[paymentTarget.key] || []), entry],
+    }));
+    setPaymentForm((p) => ({ ...p, amount: '', note: '' }));
+    toast('Pagamento registrado ✅');
+  }
+
+  function removePayment(key, id) {
+    if (!confirm('Remover este pagamento?')) return;
+    setPayments((prev) => {
+      const list = (prev?.[key] || []).filter((p) => p.id !== id);
+      const next = { ...(prev || {}) };
+      if (list.length) next[key] = list;
+      else delete next[key];
+      return next;
+    });
+    toast('Pagamento removido.');
+  }
+
+  const paymentView = useMemo(() => {
+    if (!paymentTarget) return null;
+    const related = rows.filter((r) => r._ledgerKey === paymentTarget.key);
+    const entries = [...(payments?.[paymentTarget.key] || [])].sort(
+      (a, b) => new Date(b.dateISO) - new Date(a.dateISO)
+    );
+    const total = related.reduce((acc, r) => acc + amountOf(r.Valor), 0);
+    const pago = sumPayments(entries);
+    return {
+      related,
+      entries,
+      total,
+      pago,
+      saldo: Math.max(total - pago, 0),
+    };
+  }, [paymentTarget, rows, payments]);
+
   /** ===== Clientes: computed ===== */
+  /** ===== Filtros avançados ===== */
+  const [advFilters, setAdvFilters] = useState(EMPTY_ADV_FILTERS);
+  const [openAdvFilters, setOpenAdvFilters] = useState(false);
+
+  const advChips = useMemo(() => advFilterChips(advFilters), [advFilters]);
+
+  const advOptions = useMemo(() => {
+    const distinct = (field) =>
+      [...new Set((rows || []).map((r) => r[field]).filter(Boolean))].sort(
+        (a, b) => String(a).localeCompare(String(b), 'pt-BR')
+      );
+    return { tipos: distinct('TipoNegociacao'), status: distinct('Status') };
+  }, [rows]);
+
+  function setAdvField(field, value) {
+    setAdvFilters((prev) => ({ ...prev, [field]: value }));
+  }
+
+  function clearAdvChip(chip) {
+    setAdvFilters((prev) => {
+      const next = { ...prev };
+      for (const f of chip.fields) next[f] = '';
+      return next;
+    });
+  }
+
+  /** Números da carteira inteira: nunca dependem de busca ou filtro. */
+  const stats = useMemo(() => {
+    const acordos = (list) =>
+      new Set(list.map((r) => `${r._source}:${r._agreementId ?? r._id}`)).size;
+    const all = rows || [];
+
+    // Todos os contadores são por parcela (linha), para os cards fecharem;
+    // `acordos` é só informativo.
+    return {
+      totalClientes: all.length,
+      acordos: acordos(all),
+      pendentes: (rows || []).filter((r) => !isPago(r)).length,
+      pagos: (rows || []).filter(isPago).length,
+      venceHoje: (rows || []).filter(venceHoje).length,
+      atrasados: (rows || []).filter(atrasado).length,
+      manuais: all.filter((r) => r._source === 'manual').length,
+      parciais: (rows || []).filter(isParcial).length,
+      valorInvalido: all.filter(valorInvalido).length,
+      valores: valorTotals(all, { venceHoje, atrasado }),
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [rows, today, baseHoje, policy]);
+
+  // A busca filtra 10k+ linhas: o campo responde já, a tabela acompanha.
+  const deferredQ = useDeferredValue(q);
+
   const computed = useMemo(() => {
-    const query = q.trim().toLowerCase();
+    const query = deferredQ.trim().toLowerCase();
 
     const byFilter = (r) => {
       if (filter === 'TODOS') return true;
@@ -633,6 +1534,50 @@ export default function App() {
       if (filter === 'PENDENTE') return !isPago(r);
       if (filter === 'VENCE_HOJE') return venceHoje(r);
       if (filter === 'ATRASADO') return atrasado(r);
+      if (filter === 'VALOR_INVALIDO') return valorInvalido(r);
+      if (filter.startsWith('STAGE_'))
+        return stageOf(r)?.id === filter.slice('STAGE_'.length);
+      if (filter.startsWith('AGING_'))
+        return agingOf(r)?.id === filter.slice('AGING_'.length);
+      return true;
+    };
+
+    const adv = advFilters;
+    const valorMin = filterNumber(adv.valorMin);
+    const valorMax = filterNumber(adv.valorMax);
+    const vencFrom = adv.vencFrom
+      ? new Date(dateInputToISO(adv.vencFrom))
+      : null;
+    const vencTo = adv.vencTo ? new Date(dateInputToISO(adv.vencTo)) : null;
+    const atrasoMin = filterNumber(adv.atrasoMin);
+    const atrasoMax = filterNumber(adv.atrasoMax);
+
+    const byAdvanced = (r) => {
+      if (adv.tipo && r.TipoNegociacao !== adv.tipo) return false;
+      if (adv.status && r.Status !== adv.status) return false;
+      if (adv.source && r._source !== adv.source) return false;
+      if (adv.promessa && !!r.PromessaISO !== (adv.promessa === 'com'))
+        return false;
+      if (valorMin !== null || valorMax !== null) {
+        const v = valorNum(r);
+        if (v === null) return false;
+        if (valorMin !== null && v < valorMin) return false;
+        if (valorMax !== null && v > valorMax) return false;
+      }
+      if (vencFrom || vencTo) {
+        const d = vencDate(r);
+        if (!d) return false;
+        const day = startOfDay(d);
+        if (vencFrom && day < vencFrom) return false;
+        if (vencTo && day > vencTo) return false;
+      }
+      if (atrasoMin !== null || atrasoMax !== null) {
+        // Pago não tem atraso; negativos = dias até o vencimento.
+        if (isPago(r) || !vencDate(r)) return false;
+        const n = daysLate(r);
+        if (atrasoMin !== null && n < atrasoMin) return false;
+        if (atrasoMax !== null && n > atrasoMax) return false;
+      }
       return true;
     };
 
@@ -645,19 +1590,62 @@ export default function App() {
       );
     };
 
-    const filtered = (rows || []).filter((r) => byFilter(r) && bySearch(r));
+    const filtered = (rows || []).filter(
+      (r) => byFilter(r) && byAdvanced(r) && bySearch(r)
+    );
 
-    const stats = {
-      totalClientes: (rows || []).length,
-      pendentes: (rows || []).filter((r) => !isPago(r)).length,
-      pagos: (rows || []).filter(isPago).length,
-      venceHoje: (rows || []).filter(venceHoje).length,
-      atrasados: (rows || []).filter(atrasado).length,
-      manuais: (rows || []).filter((r) => r._source === 'manual').length,
-    };
+    return { filtered };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [rows, deferredQ, filter, advFilters, today, baseHoje, policy]);
 
-    return { filtered, stats };
-  }, [rows, q, filter, today, baseHoje]);
+  /** ===== Tabela de clientes: ordenação e paginação ===== */
+  const [clientSort, setClientSort] = useState({ col: '', dir: 'asc' });
+  const [clientPage, setClientPage] = useState(0);
+  const [clientPageSize, setClientPageSize] = useState(100);
+
+  useEffect(() => {
+    setClientPage(0);
+  }, [deferredQ, filter, advFilters, clientSort, clientPageSize]);
+
+  function toggleClientSort(col) {
+    setClientSort((prev) =>
+      prev.col === col
+        ? { col, dir: prev.dir === 'asc' ? 'desc' : 'asc' }
+        : { col, dir: 'asc' }
+    );
+  }
+
+  function clientSortValue(r, col) {
+    if (col === 'cpf') return onlyDigits(r.CPF);
+    if (col === 'nome') return String(r.Nome || '').trim();
+    if (col === 'valor') return valorNum(r);
+    if (col === 'venc') return vencDate(r)?.getTime() ?? null;
+    if (col === 'atraso') return isPago(r) ? null : daysLate(r);
+    if (col === 'promessa')
+      return r.PromessaISO ? new Date(r.PromessaISO).getTime() : null;
+    return null;
+  }
+
+  const clientTable = useMemo(() => {
+    const { col, dir } = clientSort;
+    const list = col
+      ? computed.filtered
+          .map((r) => [clientSortValue(r, col), r])
+          .sort((a, b) => compareSortValues(a[0], b[0], dir))
+          .map(([, r]) => r)
+      : computed.filtered;
+    const pages = Math.max(1, Math.ceil(list.length / clientPageSize));
+    const pageIdx = Math.min(clientPage, pages - 1);
+    const start = pageIdx * clientPageSize;
+    return {
+      rows: list.slice(start, start + clientPageSize),
+      total: list.length,
+      start,
+      pages,
+      pageIdx,
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [computed.filtered, clientSort, clientPage, clientPageSize, baseHoje]);
 
   /** ===== Bulk copy ===== */
   function bulkPhones(list) {
@@ -677,30 +1665,131 @@ export default function App() {
     }
   }
 
+  /** Segmentos de cobrança em massa: uma por etapa da política. */
+  const bulkSegments = useMemo(() => {
+    const out = {};
+    for (const stage of policy) {
+      out[stage.id] = {
+        label: stage.name,
+        stage,
+        templateId: stage.templateId,
+        empty: `Sem clientes em "${stage.name}" nessa visão.`,
+        copied: `Copiado ${stage.name}`,
+      };
+    }
+    return out;
+  }, [policy]);
+
+  const [bulkTplId, setBulkTplId] = useState(''); // '' = modelo da etapa
+
+  function segmentRows(kind) {
+    return bulkSegments[kind]
+      ? computed.filtered.filter((r) => stageOf(r)?.id === kind)
+      : [];
+  }
+
+  const segmentCounts = useMemo(() => {
+    const counts = {};
+    for (const r of computed.filtered) {
+      const st = stageOf(r);
+      if (st) counts[st.id] = (counts[st.id] || 0) + 1;
+    }
+    return counts;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [computed.filtered, policy]);
+
+  // Em massa só sobre a busca já aplicada (a tabela pode estar um passo atrás).
+  const filterPending = q !== deferredQ;
+
   function copyBulkFromCurrentView(kind) {
+    if (filterPending) return toast('Aguarde a busca terminar de filtrar.');
     if (!computed.filtered.length) return toast('Sem números nessa visão.');
+    const seg = bulkSegments[kind];
+    if (!seg) return;
+    const list = segmentRows(kind);
+    if (!list.length) return toast(seg.empty);
+    return copiar(bulkPhones(list), `${seg.copied} (${list.length}) ✅`);
+  }
 
-    if (kind === 'HOJE') {
-      const list = computed.filtered.filter((r) => venceHoje(r) && !isPago(r));
-      if (!list.length) return toast('Sem clientes vencendo hoje.');
-      return copiar(bulkPhones(list), `Copiado (${list.length}) ✅`);
-    }
-    if (kind === 'QUEBRAS') {
-      const list = computed.filtered.filter(
-        (r) => atrasado(r) && daysLate(r) > 5 && !isPago(r)
-      );
-      if (!list.length) return toast('Sem quebras (+5 dias) nessa visão.');
-      return copiar(bulkPhones(list), `Copiado quebras (${list.length}) ✅`);
-    }
-    if (kind === 'ATRASADO_1_5') {
-      const list = computed.filtered.filter(
-        (r) => atrasado(r) && daysLate(r) >= 1 && daysLate(r) <= 5 && !isPago(r)
-      );
-      if (!list.length) return toast('Sem atrasos 1–5 dias nessa visão.');
-      return copiar(bulkPhones(list), `Copiado atrasados (${list.length}) ✅`);
-    }
+  /** ===== Campanhas (envio sequencial) ===== */
+  const [campaignRunId, setCampaignRunId] = useState(null);
+
+  function startCampaign(kind) {
+    if (filterPending) return toast('Aguarde a busca terminar de filtrar.');
+    const seg = bulkSegments[kind];
+    if (!seg) return;
+    const templateId =
+      bulkTplId || seg.templateId || clientTplId || 'tpl_vencimento';
+    const usesDefault = !bulkTplId && !seg.templateId;
+    const { items, invalid } = buildCampaignItems(segmentRows(kind), (r) =>
+      renderTemplate(templateBody(templateId), templateVarsForRow(r))
+    );
+    if (!items.length) return toast(seg.empty);
+
+    const campaign = {
+      id: uid(),
+      segment: kind,
+      label: seg.label,
+      templateId,
+      createdAt: new Date().toISOString(),
+      cursor: 0,
+      items,
+      finishedAt: '',
+    };
+    setCampaigns((prev) => [campaign, ...(prev || [])]);
+    setCampaignRunId(campaign.id);
+    const notes = [
+      usesDefault &&
+        `etapa sem modelo: usando o padrão "${
+          (templates || []).find((t) => t.id === templateId)?.name || '-'
+        }"`,
+      invalid && `${invalid} sem telefone válido ficaram de fora`,
+    ].filter(Boolean);
+    if (notes.length) toast(`Campanha criada: ${notes.join('; ')}.`);
+  }
+
+  function updateCampaign(id, fn) {
+    setCampaigns((prev) => (prev || []).map((c) => (c.id === id ? fn(c) : c)));
   }
 
+  /** Marca o item atual e avança para o próximo ainda pendente. */
+  function markCampaign(id, status) {
+    const c = (campaigns || []).find((x) => x.id === id);
+    const item = c?.items?.[c.cursor];
+    if (!item) return;
+    if (status === 'enviado')
+      logContact(item.key, { channel: 'whatsapp', message: item.message });
+    updateCampaign(id, (prev) => markCampaignItem(prev, status));
+  }
+
+  function moveCampaign(id, delta) {
+    updateCampaign(id, (prev) => stepCampaign(prev, delta));
+  }
+
+  function discardCampaign(id) {
+    if (!confirm('Descartar esta campanha?')) return;
+    setCampaigns((prev) => (prev || []).filter((c) => c.id !== id));
+    if (campaignRunId === id) setCampaignRunId(null);
+  }
+
+  const runningCampaign = useMemo(
+    () => (campaigns || []).find((c) => c.id === campaignRunId) || null,
+    [campaigns, campaignRunId]
+  );
+  const openCampaigns = useMemo(
+    () => (campaigns || []).filter((c) => !c.finishedAt),
+    [campaigns]
+  );
+
+  const campaignView = useMemo(() => {
+    if (!runningCampaign) return null;
+    return {
+      c: runningCampaign,
+      pr: campaignProgress(runningCampaign),
+      item: runningCampaign.items[runningCampaign.cursor] || null,
+    };
+  }, [runningCampaign]);
+
   /** ===== Exports ===== */
   function exportar(tipo) {
     if (!rows.length) return;
@@ -711,10 +1800,14 @@ export default function App() {
         CPF: r.CPF,
         Nome: r.Nome,
         Valor: r.Valor,
+        Parcela: r.Parcela || '',
         Vencimento: d ? formatBR(d) : '',
         Telefone: r.Telefone,
         'Tipo de negociação': r.TipoNegociacao,
         Status: r.Status,
+        Pago: isPago(r) ? 'sim' : isParcial(r) ? 'parcial' : 'não',
+        'Valor pago': r._valorPago ?? '',
+        Saldo: r._saldo ?? '',
         Obs: r.Obs,
         Promessa: r.PromessaISO ? formatBR(new Date(r.PromessaISO)) : '',
         Origem: r._source || '',
@@ -727,17 +1820,22 @@ export default function App() {
   }
 
   /** ===== Charts ===== */
+  const dashStats = dashMetric === 'valor' ? stats.valores : stats;
+  function formatMetric(n) {
+    return dashMetric === 'valor' ? toBRL(n) : n;
+  }
+
   const chartStatusData = useMemo(() => {
     return {
       labels: ['Pendentes', 'Pagos', 'Vence hoje', 'Atrasados'],
       datasets: [
         {
-          label: 'Clientes',
+          label: dashMetric === 'valor' ? 'Valor (R$)' : 'Clientes',
           data: [
-            computed.stats.pendentes,
-            computed.stats.pagos,
-            computed.stats.venceHoje,
-            computed.stats.atrasados,
+            dashStats.pendentes,
+            dashStats.pagos,
+            dashStats.venceHoje,
+            dashStats.atrasados,
           ],
           backgroundColor: [
             'rgba(255, 176, 0, 0.55)',
@@ -755,21 +1853,26 @@ export default function App() {
         },
       ],
     };
-  }, [computed.stats]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [stats, dashMetric]);
 
   const doughnutData = useMemo(() => {
     return {
-      labels: ['Pendentes', 'Pagos'],
+      labels:
+        dashMetric === 'valor'
+          ? ['Em aberto', 'Recebido']
+          : ['Pendentes', 'Pagos'],
       datasets: [
         {
-          data: [computed.stats.pendentes, computed.stats.pagos],
+          data: [dashStats.pendentes, dashStats.pagos],
           backgroundColor: ['rgba(255,176,0,0.70)', 'rgba(0,255,163,0.55)'],
           borderColor: ['rgba(255,176,0,1)', 'rgba(0,255,163,1)'],
           borderWidth: 1,
         },
       ],
     };
-  }, [computed.stats]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [stats, dashMetric]);
 
   const vencimentos7d = useMemo(() => {
     const days = Array.from({ length: 7 }, (_, i) => {
@@ -779,18 +1882,24 @@ export default function App() {
     });
 
     const counts = days.map((d) => {
-      return rows.filter((r) => {
+      const due = rows.filter((r) => {
         const vd = vencDate(r);
         if (!vd) return false;
         return sameDay(vd, d) && !isPago(r);
-      }).length;
+      });
+      return dashMetric === 'valor'
+        ? due.reduce((acc, r) => acc + saldoOf(r), 0)
+        : due.length;
     });
 
     return {
       labels: days.map((d) => formatBR(d)),
       datasets: [
         {
-          label: 'Vencimentos (7 dias)',
+          label:
+            dashMetric === 'valor'
+              ? 'Vencimentos (7 dias, R$)'
+              : 'Vencimentos (7 dias)',
           data: counts,
           fill: true,
           tension: 0.35,
@@ -802,7 +1911,8 @@ export default function App() {
         },
       ],
     };
-  }, [rows, baseHoje]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [rows, baseHoje, dashMetric]);
 
   const chartOptions = useMemo(
     () => ({
@@ -827,6 +1937,81 @@ export default function App() {
     []
   );
 
+  const stackedChartOptions = useMemo(
+    () => ({
+      ...chartOptions,
+      scales: {
+        x: { ...chartOptions.scales.x, stacked: true },
+        y: { ...chartOptions.scales.y, stacked: true },
+      },
+    }),
+    [chartOptions]
+  );
+
+  /** ===== Aging ===== */
+  const agingStats = useMemo(() => {
+    const buckets = AGING_BUCKETS.map((b) => ({
+      ...b,
+      count: 0,
+      valor: 0,
+      excel: { count: 0, valor: 0 },
+      manual: { count: 0, valor: 0 },
+    }));
+    for (const r of rows) {
+      const b = agingOf(r);
+      if (!b) continue;
+      const item = buckets.find((x) => x.id === b.id);
+      const saldo = saldoOf(r);
+      item.count += 1;
+      item.valor += saldo;
+      const src = item[r._source === 'manual' ? 'manual' : 'excel'];
+      src.count += 1;
+      src.valor += saldo;
+    }
+    return buckets;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [rows, baseHoje]);
+
+  const agingChart = useMemo(() => {
+    const metric = dashMetric === 'valor' ? 'valor' : 'count';
+    return {
+      labels: agingStats.map((b) => `${b.label} dias`),
+      datasets: [
+        {
+          label: 'Planilha',
+          data: agingStats.map((b) => b.excel[metric]),
+          backgroundColor: 'rgba(255, 74, 108, 0.55)',
+          borderColor: 'rgba(255, 74, 108, 1)',
+          borderWidth: 1,
+        },
+        {
+          label: 'Manual',
+          data: agingStats.map((b) => b.manual[metric]),
+          backgroundColor: 'rgba(170, 94, 255, 0.55)',
+          borderColor: 'rgba(170, 94, 255, 1)',
+          borderWidth: 1,
+        },
+      ],
+    };
+  }, [agingStats, dashMetric]);
+
+  function openAgingBucket(id) {
+    setFilter(`AGING_${id}`);
+    setPage('clientes');
+  }
+
+  const agingChartOptions = useMemo(
+    () => ({
+      ...stackedChartOptions,
+      onClick: (_evt, elements) => {
+        const b = AGING_BUCKETS[elements?.[0]?.index];
+        if (b) openAgingBucket(b.id);
+      },
+    }),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [stackedChartOptions]
+  );
+
   const doughnutOptions = useMemo(
     () => ({
       responsive: true,
@@ -842,28 +2027,703 @@ export default function App() {
   /** ===== UI helpers ===== */
   function openWhats(telefone, msg) {
     const wa = buildWhatsLinkBR(telefone, msg);
-    if (!wa) return alert('Telefone inválido para Whats.');
+    if (!wa) {
+      alert('Telefone inválido para Whats.');
+      return false;
+    }
     window.open(wa, '_blank', 'noopener,noreferrer');
+    return true;
   }
 
-  /** ===== Promessas: list + filters ===== */
-  const [promiseView, setPromiseView] = useState('TODAS'); // TODAS | HOJE | VENCIDAS | PROX7
+  /** ===== Histórico de contatos ===== */
+  function whatsAndLog(key, telefone, msg) {
+    if (openWhats(telefone, msg))
+      logContact(key, { channel: 'whatsapp', message: msg });
+  }
+  function copyAndLog(key, msg) {
+    copiar(msg, 'Mensagem copiada ✅');
+    logContact(key, { channel: 'copia', message: msg });
+  }
+  function logContact(key, contact) {
+    if (!key) return;
+    setContacts((prev) => addContact(prev, key, contact));
+  }
+  function setContactOutcome(key, id, outcome) {
+    setContacts((prev) => updateContactOutcome(prev, key, id, outcome));
+  }
+  function lastContact(key) {
+    return lastContactIn(contacts, key);
+  }
 
-  const promiseList = useMemo(() => {
-    const list = [];
-    for (const [k, v] of Object.entries(promises || {})) {
-      if (!v?.promiseISO) continue;
-      list.push({
-        key: k,
-        promiseISO: v.promiseISO,
+  const [detailTarget, setDetailTarget] = useState(null); // { key, Nome }
+  const [contactForm, setContactForm] = useState({
+    channel: 'ligacao',
+    outcome: '',
+    message: '',
+  });
+
+  function openClientDetail(r) {
+    setDetailTarget({ key: r?._ledgerKey || ledgerKeyFor(r), Nome: r?.Nome });
+    setContactForm({ channel: 'ligacao', outcome: '', message: '' });
+  }
+
+  function saveContactFromForm() {
+    if (!detailTarget?.key) return;
+    if (!contactForm.outcome && !String(contactForm.message).trim())
+      return alert('Escolha um resultado ou escreva uma anotação.');
+    logContact(detailTarget.key, {
+      channel: contactForm.channel,
+      outcome: contactForm.outcome,
+      message: String(contactForm.message || '').trim(),
+    });
+    setContactForm((p) => ({ ...p, outcome: '', message: '' }));
+    toast('Contato registrado ✅');
+  }
+
+  const detailView = useMemo(() => {
+    if (!detailTarget) return null;
+    const related = rows
+      .filter((r) => r._ledgerKey === detailTarget.key)
+      .sort((a, b) => dueTime(a) - dueTime(b));
+    const timeline = [...(contacts?.[detailTarget.key] || [])].reverse();
+    return {
+      related,
+      client: related[0] || null,
+      timeline,
+      promise: promises?.[detailTarget.key] || null,
+      pagamentos: sumPayments(payments?.[detailTarget.key]),
+    };
+  }, [detailTarget, rows, contacts, promises, payments]);
+
+  /** ===== Modelos de mensagem ===== */
+  const [clientTplId, setClientTplId] = useState(''); // '' = o da etapa
+  const [promiseTplId, setPromiseTplId] = useState('tpl_promessa');
+  const [tplEditId, setTplEditId] = useState(
+    () => (templates || [])[0]?.id || null
+  );
+  const [tplDraft, setTplDraft] = useState(() => ({
+    name: (templates || [])[0]?.name || '',
+    body: (templates || [])[0]?.body || '',
+  }));
+
+  const tplSample = useMemo(
+    () => rows.find((r) => !isPago(r)) || rows[0] || null,
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [rows]
+  );
+
+  function editTemplate(id) {
+    const t = (templates || []).find((x) => x.id === id);
+    if (!t) return;
+    setTplEditId(t.id);
+    setTplDraft({ name: t.name, body: t.body });
+  }
+
+  function newTemplate() {
+    setTplEditId(null);
+    setTplDraft({ name: '', body: '' });
+  }
+
+  function duplicateTemplate() {
+    setTplEditId(null);
+    setTplDraft((p) => ({ ...p, name: `${p.name} (cópia)` }));
+  }
+
+  function saveTemplate() {
+    const name = String(tplDraft.name || '').trim();
+    const body = String(tplDraft.body || '').trim();
+    if (!name || !body) return alert('Preencha nome e texto do modelo.');
+
+    const id = tplEditId || uid();
+    const item = { id, name, body, updatedAt: new Date().toISOString() };
+    setTemplates((prev) =>
+      tplEditId
+        ? (prev || []).map((t) => (t.id === id ? item : t))
+        : [...(prev || []), item]
+    );
+    setTplEditId(id);
+    toast('Modelo salvo ✅');
+  }
+
+  function deleteTemplate() {
+    if (!tplEditId || (templates || []).length <= 1) return;
+    if (!confirm('Excluir este modelo?')) return;
+    const rest = (templates || []).filter((t) => t.id !== tplEditId);
+    setTemplates(rest);
+    setTplEditId(rest[0]?.id || null);
+    setTplDraft({ name: rest[0]?.name || '', body: rest[0]?.body || '' });
+    toast('Modelo excluído.');
+  }
+
+  /** ===== Promessas: list + filters ===== */
+  const [promiseView, setPromiseView] = useState('TODAS'); // TODAS | HOJE | VENCIDAS | PROX7
+
+  const promiseList = useMemo(() => {
+    const list = [];
+    for (const [k, v] of Object.entries(promises || {})) {
+      if (!v?.promiseISO) continue;
+      list.push({
+        key: k,
+        promiseISO: v.promiseISO,
         updatedAt: v.updatedAt,
         note: v.note || '',
         snapshot: v.snapshot || {},
+        history: v.history || [],
+        outcome: promiseOutcome(k, v),
       });
     }
     list.sort((a, b) => new Date(a.promiseISO) - new Date(b.promiseISO));
     return list;
-  }, [promises]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [promises, rowsByKey, payments, baseHoje]);
+
+  /** Cumprimento por semana da data prometida (inclui o histórico). */
+  const promiseStats = useMemo(() => {
+    const weeks = Array.from({ length: PROMISE_WEEKS }, (_, i) => {
+      const d = startOfWeek(baseHoje);
+      d.setDate(d.getDate() - 7 * (PROMISE_WEEKS - 1 - i));
+      return { start: d, cumprida: 0, quebrada: 0, renegociada: 0 };
+    });
+    const totals = { cumprida: 0, quebrada: 0, renegociada: 0, recovered: 0 };
+
+    const outcomes = [];
+    for (const p of promiseList) {
+      outcomes.push({ promiseISO: p.promiseISO, ...p.outcome });
+      for (const h of p.history) outcomes.push(h);
+    }
+
+    for (const o of outcomes) {
+      if (!PROMISE_OUTCOMES.some((x) => x.id === o.status)) continue;
+      totals[o.status] += 1;
+      totals.recovered += o.recovered || 0;
+      const ws = startOfWeek(o.promiseISO).getTime();
+      const w = weeks.find((x) => x.start.getTime() === ws);
+      if (w) w[o.status] += 1;
+    }
+
+    const resolved = totals.cumprida + totals.quebrada + totals.renegociada;
+    const rateOf = (c, n) => (n ? Math.round((c / n) * 100) : null);
+    return {
+      weeks: weeks.map((w) => ({
+        ...w,
+        rate: rateOf(w.cumprida, w.cumprida + w.quebrada + w.renegociada),
+      })),
+      totals,
+      rate: rateOf(totals.cumprida, resolved),
+    };
+  }, [promiseList, baseHoje]);
+
+  /** ===== Snapshots diários ===== */
+  useEffect(() => {
+    if (!importedReady) return;
+    const { valores, ...counts } = stats;
+    const snap = {
+      ...counts,
+      promessas: promiseList.length,
+      promessasVencidas: promiseList.filter(
+        (p) => startOfDay(p.promiseISO) < baseHoje
+      ).length,
+      valores,
+    };
+    const day = isoToDateInput(baseHoje.toISOString());
+    setSnapshots((prev) => {
+      const prevSnap = omit(prev?.[day], ['at']);
+      if (JSON.stringify(prevSnap) === JSON.stringify(snap)) return prev;
+      return pruneSnapshots({
+        ...(prev || {}),
+        [day]: { ...snap, at: new Date().toISOString() },
+      });
+    });
+  }, [stats, promiseList, baseHoje, importedReady]);
+
+  /** ===== Política de cobrança (configuração) ===== */
+  const [policyDraft, setPolicyDraft] = useState([]);
+
+  function openPolicySettings() {
+    setPolicyDraft(policy.map(stageToDraft));
+    setPage('politica');
+  }
+  function updateStageDraft(i, patch) {
+    setPolicyDraft((prev) =>
+      prev.map((st, j) => (j === i ? { ...st, ...patch } : st))
+    );
+  }
+  function moveStageDraft(i, delta) {
+    setPolicyDraft((prev) => {
+      const j = i + delta;
+      if (j < 0 || j >= prev.length) return prev;
+      const next = [...prev];
+      [next[i], next[j]] = [next[j], next[i]];
+      return next;
+    });
+  }
+  function addStageDraft() {
+    setPolicyDraft((prev) => [
+      ...prev,
+      stageToDraft({
+        id: `etapa_${uid()}`,
+        name: 'Nova etapa',
+        minDays: null,
+        maxDays: null,
+        minValor: null,
+        color: '#ffffff',
+        templateId: templates?.[0]?.id || '',
+      }),
+    ]);
+  }
+  function savePolicy() {
+    const { policy: next, error } = policyFromDraft(policyDraft);
+    if (error) return alert(error);
+    setPolicy(next);
+    if (
+      filter.startsWith('STAGE_') &&
+      !next.some((st) => `STAGE_${st.id}` === filter)
+    )
+      setFilter('TODOS');
+    toast('Política salva ✅');
+  }
+  function resetPolicyDraft() {
+    if (!confirm('Voltar às etapas padrão? (Só vale depois de salvar.)'))
+      return;
+    setPolicyDraft(DEFAULT_POLICY.map(stageToDraft));
+  }
+
+  /** ===== Privacidade (LGPD) ===== */
+  /**
+   * Clientes quitados/promessas encerradas há mais de N dias, ainda
+   * identificáveis: `{ key, aliases }`, onde aliases são as chaves do livro de
+   * cada parcela.
+   */
+  const retentionKeys = useMemo(() => {
+    const days = Number(privacy?.retentionDays) || 0;
+    if (!days) return [];
+    const cutoff = new Date(baseHoje);
+    cutoff.setDate(cutoff.getDate() - days);
+    const out = [];
+
+    // Agrupa por cliente/acordo (não por parcela) para exigir tudo quitado.
+    const groups = new Map();
+    for (const r of rows) {
+      const k = clientKeyOf(r) || `${r._source}:${r._agreementId ?? r._id}`;
+      if (!groups.has(k)) groups.set(k, []);
+      groups.get(k).push(r);
+    }
+    for (const [key, list] of groups) {
+      if (key.startsWith('anon:') || !list.every(isPago)) continue;
+      const dates = list
+        .flatMap((r) => [
+          ...(payments?.[r._ledgerKey] || []).map((x) => x.dateISO),
+          r.VencimentoISO,
+        ])
+        .map((iso) => new Date(iso))
+        .filter((d) => !isNaN(d));
+      const closedAt = dates.length ? Math.max(...dates) : NaN;
+      if (closedAt < cutoff)
+        out.push({ key, aliases: list.map((r) => r._ledgerKey) });
+    }
+    for (const p of promiseList) {
+      if (p.key.startsWith('anon:') || rowsByKey.has(p.key)) continue;
+      if (p.outcome.status === 'pendente') continue;
+      if (new Date(p.promiseISO) < cutoff)
+        out.push({ key: p.key, aliases: [] });
+    }
+    return out;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [privacy?.retentionDays, rows, promiseList, payments, baseHoje]);
+
+  /** Troca cada chave por uma `anon:` e apaga os dados pessoais ligados a ela. */
+  function anonymizeKeys(groups) {
+    if (!groups.length) return;
+    const at = new Date().toISOString();
+    const map = new Map();
+    for (const g of groups) {
+      const anon = `anon:${uid()}`;
+      for (const k of [g.key, ...g.aliases]) map.set(k, anon);
+    }
+    const swap = (source) => (r) => {
+      const k = ledgerKeyFor({ ...r, _source: source });
+      return map.has(k) ? anonymizeRow(r, map.get(k), at) : r;
+    };
+    const moveKeys = (obj, fn) => {
+      const next = {};
+      for (const [k, v] of Object.entries(obj || {})) {
+        if (!map.has(k)) {
+          next[k] = v;
+          continue;
+        }
+        const to = map.get(k);
+        const moved = fn(v);
+        next[to] = Array.isArray(moved)
+          ? [...(next[to] || []), ...moved]
+          : moved;
+      }
+      return next;
+    };
+
+    setManualClients((prev) => (prev || []).map(swap('manual')));
+    setImported((prev) =>
+      prev ? { ...prev, rows: prev.rows.map(swap('excel')) } : prev
+    );
+    setPromises((prev) => moveKeys(prev, (p) => anonymizePromise(p, at)));
+    setPayments((prev) =>
+      moveKeys(prev, (list) => list.map((x) => ({ ...x, note: '' })))
+    );
+    setContacts((prev) =>
+      moveKeys(prev, (list) => list.map((x) => ({ ...x, message: '' })))
+    );
+    setCampaigns((prev) =>
+      (prev || []).map((c) => ({
+        ...c,
+        items: c.items.map((it) =>
+          map.has(it.key)
+            ? {
+                ...it,
+                key: map.get(it.key),
+                Nome: ANON_LABEL,
+                Telefone: '',
+                message: '',
+              }
+            : it
+        ),
+      }))
+    );
+    clearUndoHistory(); // desfazer traria os dados pessoais de volta
+    purgeRecoveryCopies();
+    auditRedact.current = new Set(map.keys());
+    setAudit((prev) => redactAudit(prev, auditRedact.current));
+    setPrivacy((prev) => ({ ...prev, lastRun: { at, count: groups.length } }));
+  }
+
+  useEffect(() => {
+    if (!importedReady || !retentionKeys.length) return;
+    anonymizeKeys(retentionKeys);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [retentionKeys, importedReady]);
+
+  /**
+   * Titular: tudo o que está guardado sobre ele, nesta e nas outras carteiras
+   * (as outras são lidas do armazenamento, já que não estão abertas).
+   */
+  const [subjectType, setSubjectType] = useState('doc');
+  const [subjectText, setSubjectText] = useState('');
+  const [subjectElsewhere, setSubjectElsewhere] = useState([]); // [{ id, name, total } | { id, name, error }]
+
+  const subjectQuery = useMemo(
+    () => parseSubjectQuery(subjectType, subjectText),
+    [subjectType, subjectText]
+  );
+
+  const subjectData = useMemo(
+    () =>
+      subjectQuery
+        ? findSubject(
+            {
+              manualClients,
+              imported,
+              promises,
+              payments,
+              contacts,
+              campaigns,
+            },
+            subjectQuery
+          )
+        : null,
+    [
+      subjectQuery,
+      manualClients,
+      imported,
+      promises,
+      payments,
+      contacts,
+      campaigns,
+    ]
+  );
+
+  const otherWorkspaces = workspaces.filter((w) => w.id !== ws);
+
+  useEffect(() => {
+    setSubjectElsewhere([]);
+    if (!subjectQuery || !otherWorkspaces.length) return;
+    let alive = true;
+    Promise.all(
+      otherWorkspaces.map((w) =>
+        loadSubjectStores(w.id)
+          .then((stores) => ({
+            id: w.id,
+            name: w.name,
+            total: findSubject(stores, subjectQuery).total,
+          }))
+          .catch((err) => {
+            console.error(err);
+            return { id: w.id, name: w.name, error: true };
+          })
+      )
+    ).then((list) => {
+      if (alive) setSubjectElsewhere(list.filter((x) => x.error || x.total));
+    });
+    return () => {
+      alive = false;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [subjectQuery, workspaces]);
+
+  const subjectTotal =
+    (subjectData?.total || 0) +
+    subjectElsewhere.reduce((acc, x) => acc + (x.total || 0), 0);
+  const subjectLabel = subjectQuery
+    ? `${labelOf(SUBJECT_TYPES, subjectQuery.type)} ${subjectQuery.digits}`
+    : '';
+
+  async function exportSubjectData() {
+    if (!subjectQuery) return;
+    try {
+      const carteiras = [
+        { id: ws, name: workspace.name, ...subjectData },
+        ...(await Promise.all(
+          otherWorkspaces.map(async (w) => ({
+            id: w.id,
+            name: w.name,
+            ...findSubject(await loadSubjectStores(w.id), subjectQuery),
+          }))
+        )),
+      ].filter((c) => c.total);
+      downloadBlob(
+        `dados_titular_${subjectQuery.digits}.json`,
+        new Blob(
+          [
+            JSON.stringify(
+              {
+                exportedAt: new Date().toISOString(),
+                titular: subjectQuery,
+                carteiras: carteiras.map((c) => ({
+                  id: c.id,
+                  name: c.name,
+                  keys: c.keys,
+                  ...c.records,
+                })),
+              },
+              null,
+              2
+            ),
+          ],
+          { type: 'application/json' }
+        )
+      );
+    } catch (err) {
+      console.error(err);
+      alert('Não foi possível ler todas as carteiras para exportar.');
+    }
+  }
+
+  async function eraseSubjectData() {
+    if (!subjectQuery || !subjectTotal) return;
+    const others = subjectElsewhere.filter((x) => x.total);
+    if (
+      !confirm(
+        `Apagar definitivamente todos os dados de ${subjectLabel}? (${subjectTotal} registro(s)` +
+          (others.length
+            ? `, incluindo ${others.length} outra(s) carteira(s)`
+            : '') +
+          ')'
+      )
+    )
+      return;
+
+    if (subjectData?.total) {
+      const erase = subjectErasers(
+        { manualClients, imported, promises },
+        subjectQuery
+      );
+      setManualClients(erase.manualClients);
+      setImported(erase.imported);
+      setPromises(erase.promises);
+      setPayments(erase.payments);
+      setContacts(erase.contacts);
+      setCampaigns(erase.campaigns);
+      auditRedact.current = erase.keys;
+      setAudit(erase.audit);
+    }
+    const failed = [];
+    for (const w of otherWorkspaces) {
+      try {
+        await eraseSubjectIn(w.id, subjectQuery);
+      } catch (err) {
+        console.error(err);
+        failed.push(w.name);
+      }
+    }
+    clearUndoHistory();
+    purgeRecoveryCopies();
+    setSubjectText('');
+    if (failed.length)
+      alert(
+        `Não foi possível apagar nestas carteiras (tente de novo):\n${failed.join(
+          '\n'
+        )}`
+      );
+    else toast('Dados do titular apagados ✅');
+  }
+
+  /** ===== Auditoria: busca ===== */
+  const [auditQ, setAuditQ] = useState('');
+  const [auditEntity, setAuditEntity] = useState('');
+
+  const auditView = useMemo(() => {
+    const query = auditQ.trim().toLowerCase();
+    const list = (audit || []).filter((e) => {
+      if (auditEntity && e.entity !== auditEntity) return false;
+      if (!query) return true;
+      return [
+        e.label,
+        e.subject,
+        e.operator,
+        labelOf(AUDIT_ACTIONS, e.action),
+        JSON.stringify(e.before),
+        JSON.stringify(e.after),
+      ]
+        .join(' ')
+        .toLowerCase()
+        .includes(query);
+    });
+    return {
+      total: list.length,
+      items: list.slice(-AUDIT_PAGE_SIZE).reverse(),
+    };
+  }, [audit, auditQ, auditEntity]);
+
+  /** ===== Calendário ===== */
+  const [calMonth, setCalMonth] = useState(
+    () => new Date(baseHoje.getFullYear(), baseHoje.getMonth(), 1)
+  );
+  const [calDay, setCalDay] = useState(null); // YYYY-MM-DD
+
+  function shiftCalMonth(delta) {
+    setCalMonth((m) => new Date(m.getFullYear(), m.getMonth() + delta, 1));
+    setCalDay(null);
+  }
+
+  const calendarView = useMemo(() => {
+    const byDay = new Map();
+    const bucket = (k) => {
+      if (!byDay.has(k)) byDay.set(k, { rows: [], promises: [], valor: 0 });
+      return byDay.get(k);
+    };
+    for (const r of rows) {
+      if (!r.VencimentoISO || isPago(r)) continue;
+      const b = bucket(isoToDateInput(r.VencimentoISO));
+      b.rows.push(r);
+      b.valor += saldoOf(r);
+    }
+    for (const p of promiseList) {
+      if (p.outcome.status !== 'pendente' && p.outcome.status !== 'quebrada')
+        continue;
+      bucket(isoToDateInput(p.promiseISO)).promises.push(p);
+    }
+
+    const days = monthGrid(calMonth).map((d) => {
+      const k = isoToDateInput(d.toISOString());
+      return {
+        key: k,
+        date: d,
+        inMonth: d.getMonth() === calMonth.getMonth(),
+        isToday: sameDay(d, baseHoje),
+        ...(byDay.get(k) || { rows: [], promises: [], valor: 0 }),
+      };
+    });
+    const inMonth = days.filter((d) => d.inMonth);
+
+    return {
+      title: calMonth.toLocaleDateString('pt-BR', {
+        month: 'long',
+        year: 'numeric',
+      }),
+      days,
+      totals: {
+        rows: inMonth.reduce((acc, d) => acc + d.rows.length, 0),
+        promises: inMonth.reduce((acc, d) => acc + d.promises.length, 0),
+        valor: inMonth.reduce((acc, d) => acc + d.valor, 0),
+      },
+      selected: days.find((d) => d.key === calDay) || null,
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [rows, promiseList, calMonth, calDay, baseHoje]);
+
+  const [trendDays, setTrendDays] = useState(30);
+
+  const trendView = useMemo(() => {
+    const days = Array.from({ length: trendDays }, (_, i) => {
+      const d = new Date(baseHoje);
+      d.setDate(d.getDate() - (trendDays - 1 - i));
+      return d;
+    });
+    const snaps = days.map((d) => snapshots?.[isoToDateInput(d.toISOString())]);
+    const line = (label, color, pick) => ({
+      label,
+      data: snaps.map((x) => (x ? pick(x) : null)),
+      spanGaps: true,
+      tension: 0.3,
+      borderColor: color,
+      backgroundColor: color,
+      pointRadius: 2,
+    });
+    const labels = days.map((d) => formatBR(d).slice(0, 5));
+
+    return {
+      available: snaps.filter(Boolean).length,
+      counts: {
+        labels,
+        datasets: [
+          line('Pendentes', 'rgba(255, 176, 0, 0.95)', (x) => x.pendentes),
+          line('Pagos', 'rgba(0, 255, 163, 0.95)', (x) => x.pagos),
+          line('Atrasados', 'rgba(255, 74, 108, 0.95)', (x) => x.atrasados),
+          line('Promessas', 'rgba(170, 94, 255, 0.95)', (x) => x.promessas),
+        ],
+      },
+      valores: {
+        labels,
+        datasets: [
+          line(
+            'Em aberto',
+            'rgba(255, 176, 0, 0.95)',
+            (x) => x.valores?.pendentes ?? null
+          ),
+          line(
+            'Recebido',
+            'rgba(0, 255, 163, 0.95)',
+            (x) => x.valores?.pagos ?? null
+          ),
+          line(
+            'Em atraso',
+            'rgba(255, 74, 108, 0.95)',
+            (x) => x.valores?.atrasados ?? null
+          ),
+        ],
+      },
+    };
+  }, [snapshots, trendDays, baseHoje]);
+
+  const promiseWeeksChart = useMemo(() => {
+    const series = [
+      ['cumprida', 'Cumpridas', 'rgba(0,255,163,0.55)'],
+      ['quebrada', 'Quebradas', 'rgba(255,74,108,0.55)'],
+      ['renegociada', 'Renegociadas', 'rgba(255,176,0,0.55)'],
+    ];
+    return {
+      labels: promiseStats.weeks.map(
+        (w) =>
+          `${formatBR(w.start).slice(0, 5)}${
+            w.rate === null ? '' : ` (${w.rate}%)`
+          }`
+      ),
+      datasets: series.map(([id, label, color]) => ({
+        label,
+        data: promiseStats.weeks.map((w) => w[id]),
+        backgroundColor: color,
+        borderColor: color.replace('0.55', '1'),
+        borderWidth: 1,
+      })),
+    };
+  }, [promiseStats]);
 
   const promiseComputed = useMemo(() => {
     const base = promiseList;
@@ -931,11 +2791,9 @@ export default function App() {
       },
     };
 
+    checkpoint('registrar promessa', { promises: [key] });
     upsertPromiseByKey(key, payload);
 
-    // aplica em rows se bater cpf/tel
-    setRows((prev) => mergePromisesIntoRows(prev));
-
     setPromiseForm({
       Nome: '',
       Telefone: '',
@@ -944,12 +2802,12 @@ export default function App() {
       promiseDate: '',
       note: '',
     });
-    toast('Promessa registrada ✅');
+    toastUndo('Promessa registrada ✅');
   }
 
   /** ===== Promessa: abrir modal a partir de um cliente ===== */
   function openPromiseForClient(r) {
-    const key = keyForClientLike(r) || `custom:${uid()}`;
+    const key = clientKeyOf(r) || `custom:${uid()}`;
     const existing = promises?.[key];
 
     setPromiseDraft({
@@ -984,322 +2842,1864 @@ export default function App() {
       },
     };
 
+    checkpoint('salvar promessa', { promises: [promiseDraft.key] });
     upsertPromiseByKey(promiseDraft.key, payload);
-    setRows((prev) => mergePromisesIntoRows(prev));
     setOpenPromiseModal(false);
-    toast('Promessa salva ✅');
+    toastUndo('Promessa salva ✅');
   }
 
   function removePromiseByKey(key) {
-    if (!confirm('Remover esta promessa?')) return;
+    checkpoint('remover promessa', { promises: [key] });
     upsertPromiseByKey(key, null);
-    setRows((prev) => mergePromisesIntoRows(prev));
-    toast('Promessa removida.');
+    toastUndo('Promessa removida.');
   }
 
   /** ===================== Render ===================== */
   return (
     <div className="appShell themeDark">
-      {toastMsg ? <div className="toast">{toastMsg}</div> : null}
-
-      <aside className="sidebar">
-        <div className="brand">
-          <div className="brandDot" />
-          <div>
-            <div className="brandTitle">Operador</div>
-            <div className="brandSub">Controle de acordos</div>
-          </div>
+      {toastMsg ? (
+        <div className="toast">
+          {toastMsg}
+          {toastAction ? (
+            <button
+              className="toastAction"
+              onClick={() => {
+                if (toastTimer.current) clearTimeout(toastTimer.current);
+                setToastMsg('');
+                setToastAction(null);
+                toastAction.run();
+              }}
+            >
+              {toastAction.label}
+            </button>
+          ) : null}
         </div>
+      ) : null}
+
+      <Modal
+        open={!!importDraft}
+        title={`${
+          importDraft?.stage === 'diff'
+            ? 'Mudanças desde a última importação'
+            : importDraft?.stage === 'validation'
+            ? 'Validar importação'
+            : 'Mapear colunas'
+        } — ${importDraft?.sheet || ''}`}
+        onClose={() => setImportDraft(null)}
+      >
+        {importDraft?.stage === 'diff' && importView.diff ? (
+          <>
+            <div className="sideHint">
+              Base anterior: <b>{imported?.fileName || 'planilha'}</b>
+              {imported?.sheetName ? ` / ${imported.sheetName}` : ''} •{' '}
+              {imported?.importedAt
+                ? new Date(imported.importedAt).toLocaleString('pt-BR')
+                : ''}
+            </div>
 
-        <div className="sideGroup">
-          <button
-            className={`sideBtn ${page === 'dashboard' ? 'active' : ''}`}
-            onClick={() => setPage('dashboard')}
-          >
-            <span>Dashboard</span>
-          </button>
-
-          <button
-            className={`sideBtn ${page === 'clientes' ? 'active' : ''}`}
-            onClick={() => setPage('clientes')}
-          >
-            <span>Clientes</span>
-          </button>
-
-          <button
-            className={`sideBtn ${page === 'promessas' ? 'active' : ''}`}
-            onClick={() => setPage('promessas')}
-          >
-            <span>Promessas</span>
-            <span className="sideCount">{promiseComputed.counts.total}</span>
-          </button>
-        </div>
+            <div
+              className="kpis"
+              style={{
+                marginTop: 10,
+                gridTemplateColumns: 'repeat(4, minmax(0, 1fr))',
+              }}
+            >
+              <div className="kpiCard">
+                <div className="kpiLabel">Novos</div>
+                <div className="kpiValue">{importView.diff.added.length}</div>
+              </div>
+              <div className="kpiCard">
+                <div className="kpiLabel">Removidos</div>
+                <div className="kpiValue">{importView.diff.removed.length}</div>
+              </div>
+              <div className="kpiCard">
+                <div className="kpiLabel">Alterados</div>
+                <div className="kpiValue">{importView.diff.changed.length}</div>
+              </div>
+              <div className="kpiCard">
+                <div className="kpiLabel">Viraram pago</div>
+                <div className="kpiValue">{importView.diff.becamePaid}</div>
+              </div>
+            </div>
 
-        <div className="sideDivider" />
+            <label className="checkLabel" style={{ marginTop: 10 }}>
+              <input
+                type="checkbox"
+                checked={importDraft.onlyPaid}
+                onChange={(e) =>
+                  setImportDraft((prev) => ({
+                    ...prev,
+                    onlyPaid: e.target.checked,
+                  }))
+                }
+              />
+              Só os que viraram pago
+            </label>
+
+            <div className="issueList">
+              {importView.diff.changed
+                .filter((c) => !importDraft.onlyPaid || c.becamePaid)
+                .slice(0, 200)
+                .map((c) => (
+                  <div key={c.key} className="issueCard">
+                    <div className="issueHead">
+                      <span>
+                        <b>{c.Nome || c.key}</b>{' '}
+                        <span className="mono">{c.CPF || c.Telefone}</span>
+                      </span>
+                      <span className={c.becamePaid ? 'pill pillGood' : 'pill'}>
+                        {c.becamePaid ? 'Virou pago' : 'Alterado'}
+                      </span>
+                    </div>
+                    <div className="issueMsgs">
+                      {c.changes.map((txt, j) => (
+                        <span key={j} className="pill">
+                          {txt}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+
+              {!importDraft.onlyPaid &&
+                importView.diff.added.slice(0, 200).map((c) => (
+                  <div key={c.key} className="issueCard">
+                    <div className="issueHead">
+                      <span>
+                        <b>{c.Nome || c.key}</b>{' '}
+                        <span className="mono">{c.CPF || c.Telefone}</span>
+                      </span>
+                      <span className="pill pillWarn">Novo</span>
+                    </div>
+                  </div>
+                ))}
+
+              {!importDraft.onlyPaid &&
+                importView.diff.removed.slice(0, 200).map((c) => (
+                  <div key={c.key} className="issueCard">
+                    <div className="issueHead">
+                      <span>
+                        <b>{c.Nome || c.key}</b>{' '}
+                        <span className="mono">{c.CPF || c.Telefone}</span>
+                      </span>
+                      <span className="pill pillBad">Removido</span>
+                    </div>
+                  </div>
+                ))}
+            </div>
 
-        <div className="sideLabel">Importação</div>
+            <div
+              style={{
+                display: 'flex',
+                gap: 10,
+                flexWrap: 'wrap',
+                marginTop: 12,
+              }}
+            >
+              <button
+                className="btn btnPrimary"
+                onClick={() => commitImport(importDraft.pendingRows)}
+              >
+                Aplicar importação ({importDraft.pendingRows.length} linhas)
+              </button>
+              <button
+                className="btn"
+                onClick={() =>
+                  setImportDraft((prev) => ({
+                    ...prev,
+                    stage: prev.backStage,
+                  }))
+                }
+              >
+                Voltar
+              </button>
+              <button className="btn" onClick={() => setImportDraft(null)}>
+                Cancelar
+              </button>
+            </div>
+          </>
+        ) : importDraft?.stage === 'validation' ? (
+          <>
+            <div className="sideHint">
+              Linhas lidas: <b>{importDraft.items.length}</b> • Com problema:{' '}
+              <b>{importView.withIssues.length}</b> • Pendentes:{' '}
+              <b>{importView.pending}</b> • Puladas: <b>{importView.skipped}</b>{' '}
+              • Serão importadas:{' '}
+              <b>{importDraft.items.length - importView.skipped}</b>
+            </div>
 
-        <label className="btn btnGhost full" style={{ textAlign: 'center' }}>
-          Importar Excel
-          <input
-            type="file"
-            accept=".xlsx,.xls,.csv"
-            onChange={handleFile}
-            style={{ display: 'none' }}
-          />
-        </label>
+            <div
+              style={{
+                display: 'flex',
+                gap: 10,
+                flexWrap: 'wrap',
+                alignItems: 'center',
+                marginTop: 10,
+              }}
+            >
+              <label className="checkLabel">
+                <input
+                  type="checkbox"
+                  checked={importDraft.onlyPending}
+                  onChange={(e) =>
+                    setImportDraft((prev) => ({
+                      ...prev,
+                      onlyPending: e.target.checked,
+                    }))
+                  }
+                />
+                Só pendentes
+              </label>
+              <button
+                className="btn btnMini"
+                disabled={!importView.pending}
+                onClick={() => decideAllPending('accept')}
+              >
+                Aceitar pendentes
+              </button>
+              <button
+                className="btn btnMini btnDanger"
+                disabled={!importView.pending}
+                onClick={() => decideAllPending('skip')}
+              >
+                Pular pendentes
+              </button>
+            </div>
 
-        <div className="sideHint">
-          {fileLabel ? `Arquivo: ${fileLabel}` : 'Nenhum arquivo importado'}
-        </div>
+            <div className="issueList">
+              {importView.visible.slice(0, 200).map(({ it, i, issues }) => {
+                const fields = [...new Set(issues.map((x) => x.field))];
+                return (
+                  <div key={i} className="issueCard">
+                    <div className="issueHead">
+                      <span>
+                        <b>Linha {it.sheetRow}</b> —{' '}
+                        {it.row.Nome || '(sem nome)'}
+                      </span>
+                      <span
+                        className={
+                          it.decision === 'skip'
+                            ? 'pill pillBad'
+                            : it.decision === 'accept'
+                            ? 'pill pillWarn'
+                            : !issues.length
+                            ? 'pill pillGood'
+                            : 'pill'
+                        }
+                      >
+                        {it.decision === 'skip'
+                          ? 'Pulada'
+                          : it.decision === 'accept'
+                          ? 'Aceita'
+                          : !issues.length
+                          ? 'Corrigida'
+                          : 'Pendente'}
+                      </span>
+                    </div>
+
+                    <div className="issueMsgs">
+                      {issues.map((x, j) => (
+                        <span key={j} className="pill pillBad">
+                          {x.msg}
+                        </span>
+                      ))}
+                    </div>
+
+                    {fields.length > 0 && (
+                      <div className="issueFix">
+                        {fields.map((f) =>
+                          f === 'Vencimento' ? (
+                            <input
+                              key={f}
+                              className="input"
+                              type="date"
+                              value={isoToDateInput(it.row.VencimentoISO)}
+                              onChange={(e) =>
+                                editImportField(i, f, e.target.value)
+                              }
+                            />
+                          ) : (
+                            <input
+                              key={f}
+                              className={`input ${
+                                f === 'CPF' || f === 'Telefone' ? 'mono' : ''
+                              }`}
+                              placeholder={f}
+                              value={String(it.row[f] ?? '')}
+                              onChange={(e) =>
+                                editImportField(i, f, e.target.value)
+                              }
+                            />
+                          )
+                        )}
+                      </div>
+                    )}
 
-        <div className="sideLabel" style={{ marginTop: 10 }}>
-          Aba (sheet)
-        </div>
+                    <div className="issueActions">
+                      <button
+                        className="btn btnMini"
+                        disabled={!issues.length}
+                        onClick={() =>
+                          updateImportItem(i, { decision: 'accept' })
+                        }
+                      >
+                        Aceitar
+                      </button>
+                      <button
+                        className="btn btnMini btnDanger"
+                        onClick={() =>
+                          updateImportItem(i, { decision: 'skip' })
+                        }
+                      >
+                        Pular
+                      </button>
+                      {it.decision && (
+                        <button
+                          className="btn btnMini"
+                          onClick={() => updateImportItem(i, { decision: '' })}
+                        >
+                          Desfazer
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+
+              {importView.visible.length > 200 && (
+                <div className="sideHint">
+                  Mostrando 200 de {importView.visible.length}. Resolva estas ou
+                  use os botões de lote.
+                </div>
+              )}
+              {importView.visible.length === 0 && (
+                <div className="sideHint">Nenhuma linha pendente ✅</div>
+              )}
+            </div>
 
-        <select
-          className="select full"
-          value={selectedSheet}
-          onChange={(e) => setSelectedSheet(e.target.value)}
-          disabled={!sheetNames.length}
-        >
-          {sheetNames.length ? (
-            sheetNames.map((s) => (
-              <option key={s} value={s}>
-                {s}
-              </option>
-            ))
-          ) : (
-            <option value="">Importe um arquivo</option>
-          )}
-        </select>
-
-        <button
-          className="btn btnPrimary full"
-          onClick={loadSelectedSheet}
-          disabled={!wb || !selectedSheet}
-          style={{ marginTop: 10 }}
-        >
-          Carregar aba
-        </button>
-
-        <div className="sideDivider" />
-
-        <div className="sideLabel">Atalhos</div>
-        <button
-          className="btn full"
-          onClick={() => exportar('csv')}
-          disabled={!rows.length}
-        >
-          Exportar CSV
-        </button>
-        <button
-          className="btn full"
-          onClick={() => exportar('xlsx')}
-          disabled={!rows.length}
-          style={{ marginTop: 8 }}
-        >
-          Exportar XLSX
-        </button>
-      </aside>
-
-      <main className="main">
-        <div className="topbar">
-          <div>
-            <div className="topTitle">
-              {page === 'dashboard'
-                ? 'Dashboard'
-                : page === 'clientes'
-                ? 'Clientes'
-                : 'Promessas'}
-            </div>
-            <div className="topSub">
-              {page !== 'promessas' ? (
-                <>
-                  Total: <b>{computed.stats.totalClientes}</b> • Pendentes:{' '}
-                  <b>{computed.stats.pendentes}</b> • Vence hoje:{' '}
-                  <b>{computed.stats.venceHoje}</b> • Atrasados:{' '}
-                  <b>{computed.stats.atrasados}</b> • Manuais:{' '}
-                  <b>{computed.stats.manuais}</b>
-                </>
-              ) : (
-                <>
-                  Total: <b>{promiseComputed.counts.total}</b> • Hoje:{' '}
-                  <b>{promiseComputed.counts.hoje}</b> • Vencidas:{' '}
-                  <b>{promiseComputed.counts.vencidas}</b> • Próx. 7 dias:{' '}
-                  <b>{promiseComputed.counts.prox7}</b>
-                </>
-              )}
-            </div>
-          </div>
-
-          <div className="topActions">
-            {page === 'clientes' && (
+            <div
+              style={{
+                display: 'flex',
+                gap: 10,
+                flexWrap: 'wrap',
+                marginTop: 12,
+              }}
+            >
               <button
                 className="btn btnPrimary"
-                onClick={() => setOpenNewClient(true)}
+                disabled={importView.pending > 0}
+                onClick={confirmValidation}
               >
-                Novo cliente
+                Importar {importDraft.items.length - importView.skipped} linhas
               </button>
-            )}
-            {page === 'promessas' && (
               <button
-                className="btn btnPrimary"
-                onClick={() => setPromiseView('TODAS')}
+                className="btn"
+                onClick={() =>
+                  setImportDraft((prev) => ({ ...prev, stage: 'mapping' }))
+                }
               >
-                Atualizar visão
+                Voltar ao mapeamento
               </button>
-            )}
-          </div>
-        </div>
+              <button className="btn" onClick={() => setImportDraft(null)}>
+                Cancelar
+              </button>
+            </div>
+          </>
+        ) : importDraft ? (
+          <>
+            <div
+              style={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(2, minmax(180px, 1fr))',
+                gap: 10,
+              }}
+            >
+              <label className="fieldLabel">
+                Linha do cabeçalho
+                <input
+                  className="input"
+                  type="number"
+                  min={importDraft.rowOffset + 1}
+                  value={importDraft.rowOffset + importDraft.headerRow + 1}
+                  onChange={(e) => changeDraftHeaderRow(e.target.value)}
+                />
+              </label>
+
+              <label className="fieldLabel">
+                Perfil salvo
+                <div style={{ display: 'flex', gap: 8 }}>
+                  <select
+                    className="select"
+                    value={importDraft.profileId}
+                    onChange={(e) => applyProfileToDraft(e.target.value)}
+                  >
+                    <option value="">(detecção automática)</option>
+                    {(mappingProfiles || []).map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.name}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    className="btn btnMini btnDanger"
+                    title="Excluir perfil"
+                    disabled={!importDraft.profileId}
+                    onClick={() => deleteMappingProfile(importDraft.profileId)}
+                  >
+                    ✕
+                  </button>
+                </div>
+              </label>
+            </div>
 
-        {page === 'dashboard' ? (
-          <div className="grid">
-            <div className="kpis">
-              <div className="kpiCard">
-                <div className="kpiLabel">Total clientes</div>
-                <div className="kpiValue">{computed.stats.totalClientes}</div>
-              </div>
-              <div className="kpiCard">
-                <div className="kpiLabel">Pendentes</div>
-                <div className="kpiValue">{computed.stats.pendentes}</div>
-              </div>
-              <div className="kpiCard">
-                <div className="kpiLabel">Vence hoje</div>
-                <div className="kpiValue">{computed.stats.venceHoje}</div>
-              </div>
-              <div className="kpiCard">
-                <div className="kpiLabel">Atrasados</div>
-                <div className="kpiValue">{computed.stats.atrasados}</div>
-              </div>
-              <div className="kpiCard">
-                <div className="kpiLabel">Pagos</div>
-                <div className="kpiValue">{computed.stats.pagos}</div>
-              </div>
-              <div className="kpiCard">
-                <div className="kpiLabel">Manuais</div>
-                <div className="kpiValue">{computed.stats.manuais}</div>
-              </div>
+            <div className="sideHint" style={{ marginTop: 10 }}>
+              Cabeçalho detectado:{' '}
+              <b>
+                {importView.headers.filter((h) => h.trim()).join(' • ') ||
+                  '(linha vazia)'}
+              </b>
             </div>
 
-            <div className="panel">
-              <div className="panelTitle">Distribuição</div>
-              <div className="chartBox">
-                <Bar data={chartStatusData} options={chartOptions} />
-              </div>
+            <div
+              style={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(2, minmax(180px, 1fr))',
+                gap: 10,
+                marginTop: 10,
+              }}
+            >
+              {MAP_FIELDS.map((f) => (
+                <label key={f.id} className="fieldLabel">
+                  {f.label}
+                  <select
+                    className="select"
+                    value={importDraft.mapping[f.id] ?? -1}
+                    onChange={(e) => {
+                      const i = Number(e.target.value);
+                      setImportDraft((prev) => ({
+                        ...prev,
+                        mapping: { ...prev.mapping, [f.id]: i },
+                      }));
+                    }}
+                  >
+                    <option value={-1}>(não importar)</option>
+                    {importView.headers.map((_, i) => (
+                      <option key={i} value={i}>
+                        {columnLabel(importView.headers, i)}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
             </div>
 
-            <div className="panel">
-              <div className="panelTitle">Pendentes x Pagos</div>
-              <div className="chartBox">
-                <Doughnut data={doughnutData} options={doughnutOptions} />
+            {importView.preview.length > 0 && (
+              <div className="tableCard" style={{ marginTop: 12 }}>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>CPF</th>
+                      <th>Nome</th>
+                      <th>Valor</th>
+                      <th>Vencimento</th>
+                      <th>Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {importView.preview.map((r, i) => (
+                      <tr key={i}>
+                        <td className="mono">{r.CPF}</td>
+                        <td className="tdStrong">{r.Nome}</td>
+                        <td>{toBRL(r.Valor)}</td>
+                        <td>
+                          {r.VencimentoISO
+                            ? formatBR(new Date(r.VencimentoISO))
+                            : ''}
+                        </td>
+                        <td>{r.Status}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
               </div>
+            )}
+
+            <div
+              style={{
+                display: 'flex',
+                gap: 10,
+                flexWrap: 'wrap',
+                alignItems: 'center',
+                marginTop: 12,
+              }}
+            >
+              <label className="checkLabel">
+                <input
+                  type="checkbox"
+                  checked={importDraft.saveProfile}
+                  onChange={(e) =>
+                    setImportDraft((prev) => ({
+                      ...prev,
+                      saveProfile: e.target.checked,
+                    }))
+                  }
+                />
+                Salvar perfil
+              </label>
+              <input
+                className="input"
+                style={{ flex: 1, minWidth: 180 }}
+                placeholder="Nome do perfil (ex: Carteira Credor X)"
+                value={importDraft.profileName}
+                disabled={!importDraft.saveProfile}
+                onChange={(e) =>
+                  setImportDraft((prev) => ({
+                    ...prev,
+                    profileName: e.target.value,
+                  }))
+                }
+              />
             </div>
 
-            <div className="panel panelWide">
-              <div className="panelTitle">Vencimentos (próximos 7 dias)</div>
-              <div className="chartBox">
-                <Line data={vencimentos7d} options={chartOptions} />
-              </div>
+            <div
+              style={{
+                display: 'flex',
+                gap: 10,
+                flexWrap: 'wrap',
+                marginTop: 12,
+              }}
+            >
+              <button className="btn btnPrimary" onClick={confirmMapping}>
+                Importar
+              </button>
+              <button className="btn" onClick={() => setImportDraft(null)}>
+                Cancelar
+              </button>
             </div>
-          </div>
-        ) : page === 'clientes' ? (
+
+            <div className="sideHint" style={{ marginTop: 10 }}>
+              O perfil é reaplicado automaticamente quando uma planilha com o
+              mesmo cabeçalho for carregada.
+            </div>
+          </>
+        ) : null}
+      </Modal>
+
+      <Modal
+        open={!!paymentTarget}
+        title={`Pagamentos — ${
+          paymentTarget?.Nome || paymentTarget?.key || ''
+        }`}
+        onClose={() => setPaymentTarget(null)}
+      >
+        {paymentView ? (
           <>
-            <div className="filters">
+            <div className="sideHint">
+              Acordo: <b>{toBRL(paymentView.total)}</b> • Pago:{' '}
+              <b>{toBRL(paymentView.pago)}</b> • Saldo em aberto:{' '}
+              <b>{toBRL(paymentView.saldo)}</b>
+            </div>
+
+            <div
+              style={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(2, minmax(180px, 1fr))',
+                gap: 10,
+                marginTop: 10,
+              }}
+            >
               <input
                 className="input"
-                value={q}
-                onChange={(e) => setQ(e.target.value)}
-                placeholder="Buscar por CPF, nome ou telefone…"
+                type="date"
+                value={paymentForm.date}
+                onChange={(e) =>
+                  setPaymentForm((p) => ({ ...p, date: e.target.value }))
+                }
+              />
+              <input
+                className="input"
+                placeholder="Valor (ex: 250,00)"
+                value={paymentForm.amount}
+                onChange={(e) =>
+                  setPaymentForm((p) => ({ ...p, amount: e.target.value }))
+                }
               />
-
               <select
                 className="select"
-                value={filter}
-                onChange={(e) => setFilter(e.target.value)}
+                value={paymentForm.method}
+                onChange={(e) =>
+                  setPaymentForm((p) => ({ ...p, method: e.target.value }))
+                }
               >
-                <option value="TODOS">Todos</option>
-                <option value="PENDENTE">Pendentes</option>
-                <option value="VENCE_HOJE">Vence hoje</option>
-                <option value="ATRASADO">Atrasados</option>
-                <option value="PAGO">Pagos</option>
+                {PAYMENT_METHODS.map((m) => (
+                  <option key={m} value={m}>
+                    {m}
+                  </option>
+                ))}
               </select>
+              <input
+                className="input"
+                placeholder="Observação (opcional)"
+                value={paymentForm.note}
+                onChange={(e) =>
+                  setPaymentForm((p) => ({ ...p, note: e.target.value }))
+                }
+              />
+            </div>
 
-              <button className="btn" onClick={() => setFilter('VENCE_HOJE')}>
-                Vence hoje
-              </button>
-              <button className="btn" onClick={() => setFilter('ATRASADO')}>
-                Atrasados
-              </button>
-              <button className="btn" onClick={() => setFilter('PAGO')}>
-                Pagos
+            <div
+              style={{
+                display: 'flex',
+                gap: 10,
+                flexWrap: 'wrap',
+                marginTop: 12,
+              }}
+            >
+              <button className="btn btnPrimary" onClick={savePayment}>
+                Registrar pagamento
               </button>
-              <button className="btn" onClick={() => setFilter('TODOS')}>
-                Limpar
+              <button
+                className="btn"
+                onClick={() =>
+                  setPaymentForm((p) => ({
+                    ...p,
+                    amount: String(paymentView.saldo.toFixed(2)).replace(
+                      '.',
+                      ','
+                    ),
+                  }))
+                }
+                disabled={!paymentView.saldo}
+              >
+                Quitar saldo
               </button>
             </div>
 
-            {(filter === 'VENCE_HOJE' || filter === 'ATRASADO') && (
-              <div
-                className="panel"
-                style={{
-                  marginTop: 12,
-                  padding: 12,
-                  display: 'flex',
-                  gap: 10,
-                  flexWrap: 'wrap',
-                }}
+            <div className="tableCard" style={{ marginTop: 12 }}>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Data</th>
+                    <th>Valor</th>
+                    <th>Forma</th>
+                    <th>Obs</th>
+                    <th className="thRight">Ações</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {paymentView.entries.map((p) => (
+                    <tr key={p.id} className="rowHover">
+                      <td>{formatBR(new Date(p.dateISO))}</td>
+                      <td>{toBRL(p.amount)}</td>
+                      <td>{p.method}</td>
+                      <td>{p.note}</td>
+                      <td className="tdRight">
+                        <button
+                          className="btn btnMini btnDanger"
+                          onClick={() => removePayment(paymentTarget.key, p.id)}
+                        >
+                          Remover
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                  {paymentView.entries.length === 0 && (
+                    <tr>
+                      <td colSpan={5} style={{ padding: 16, opacity: 0.8 }}>
+                        Nenhum pagamento lançado. Enquanto isso, vale o Status
+                        da planilha.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </>
+        ) : null}
+      </Modal>
+
+      <Modal
+        open={!!detailTarget}
+        title={`Cliente — ${detailTarget?.Nome || detailTarget?.key || ''}`}
+        onClose={() => setDetailTarget(null)}
+      >
+        {detailView ? (
+          <>
+            <div className="sideHint">
+              CPF: <b className="mono">{detailView.client?.CPF || '-'}</b> •
+              Telefone:{' '}
+              <b className="mono">{detailView.client?.Telefone || '-'}</b> •
+              Pago (lançado): <b>{toBRL(detailView.pagamentos)}</b>
+              {detailView.promise?.promiseISO ? (
+                <>
+                  {' '}
+                  • Promessa:{' '}
+                  <b>{formatBR(new Date(detailView.promise.promiseISO))}</b>
+                </>
+              ) : null}
+            </div>
+
+            {detailView.related.length > 0 && (
+              <div className="issueMsgs" style={{ marginTop: 6 }}>
+                {detailView.related.map((r) => (
+                  <span key={`${r._source}:${r._id}`} {...badgeForVenc(r)}>
+                    {r.Parcela ? `${r.Parcela} • ` : ''}
+                    {formatBR(vencDate(r))} • {toBRL(r.Valor)}
+                    {isPago(r) ? ' • PAGO' : ''}
+                  </span>
+                ))}
+              </div>
+            )}
+
+            <div className="panelTitle" style={{ marginTop: 14 }}>
+              Registrar contato
+            </div>
+            <div
+              style={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(2, minmax(180px, 1fr))',
+                gap: 10,
+              }}
+            >
+              <select
+                className="select"
+                value={contactForm.channel}
+                onChange={(e) =>
+                  setContactForm((p) => ({ ...p, channel: e.target.value }))
+                }
+              >
+                {CONTACT_CHANNELS.map((o) => (
+                  <option key={o.id} value={o.id}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+              <select
+                className="select"
+                value={contactForm.outcome}
+                onChange={(e) =>
+                  setContactForm((p) => ({ ...p, outcome: e.target.value }))
+                }
               >
-                {filter === 'VENCE_HOJE' && (
+                <option value="">Resultado…</option>
+                {CONTACT_OUTCOMES.map((o) => (
+                  <option key={o.id} value={o.id}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <textarea
+              className="input"
+              rows={2}
+              style={{ marginTop: 10, resize: 'vertical' }}
+              placeholder="Anotação (o que o cliente disse)"
+              value={contactForm.message}
+              onChange={(e) =>
+                setContactForm((p) => ({ ...p, message: e.target.value }))
+              }
+            />
+            <button
+              className="btn btnPrimary"
+              style={{ marginTop: 10 }}
+              onClick={saveContactFromForm}
+            >
+              Registrar contato
+            </button>
+
+            <div className="panelTitle" style={{ marginTop: 14 }}>
+              Histórico
+            </div>
+            <div className="timeline">
+              {detailView.timeline.map((c) => (
+                <div key={c.id} className="timelineItem">
+                  <div className="issueHead">
+                    <span>
+                      <b>{new Date(c.at).toLocaleString('pt-BR')}</b> •{' '}
+                      {labelOf(CONTACT_CHANNELS, c.channel, c.channel)}
+                    </span>
+                    <select
+                      className="select"
+                      style={{ width: 170 }}
+                      value={c.outcome || ''}
+                      onChange={(e) =>
+                        setContactOutcome(
+                          detailTarget.key,
+                          c.id,
+                          e.target.value
+                        )
+                      }
+                    >
+                      <option value="">Sem resultado</option>
+                      {CONTACT_OUTCOMES.map((o) => (
+                        <option key={o.id} value={o.id}>
+                          {o.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  {c.message ? (
+                    <div className="timelineMsg">{c.message}</div>
+                  ) : null}
+                </div>
+              ))}
+              {detailView.timeline.length === 0 && (
+                <div className="sideHint">Nenhum contato registrado.</div>
+              )}
+            </div>
+          </>
+        ) : null}
+      </Modal>
+
+      <Modal
+        open={!!runningCampaign}
+        title={`Campanha — ${runningCampaign?.label || ''}`}
+        onClose={() => setCampaignRunId(null)}
+      >
+        {campaignView ? (
+          <>
+            <div className="sideHint">
+              {campaignView.pr.done} de {campaignView.pr.total} • Enviados:{' '}
+              <b>{campaignView.pr.enviados}</b> • Pulados:{' '}
+              <b>{campaignView.pr.pulados}</b>
+            </div>
+            <div className="progressBar">
+              <div style={{ width: `${campaignView.pr.pct}%` }} />
+            </div>
+
+            {campaignView.item ? (
+              <div className="issueCard" style={{ marginTop: 12 }}>
+                <div className="issueHead">
+                  <span>
+                    <b>
+                      {campaignView.c.cursor + 1}.{' '}
+                      {campaignView.item.Nome || '-'}
+                    </b>{' '}
+                    <span className="mono">{campaignView.item.Telefone}</span>
+                  </span>
+                  <span
+                    className={
+                      campaignView.item.status === 'enviado'
+                        ? 'pill pillGood'
+                        : campaignView.item.status === 'pulado'
+                        ? 'pill pillWarn'
+                        : 'pill'
+                    }
+                  >
+                    {campaignView.item.status}
+                  </span>
+                </div>
+                <div className="tplPreview">{campaignView.item.message}</div>
+                <div className="issueActions">
                   <button
                     className="btn btnPrimary"
-                    onClick={() => copyBulkFromCurrentView('HOJE')}
+                    onClick={() =>
+                      openWhats(
+                        campaignView.item.Telefone,
+                        campaignView.item.message
+                      )
+                    }
                   >
-                    Copiar preventivo (hoje)
+                    Abrir WhatsApp
                   </button>
-                )}
-                {filter === 'ATRASADO' && (
-                  <>
-                    <button
-                      className="btn btnPrimary"
-                      onClick={() => copyBulkFromCurrentView('ATRASADO_1_5')}
-                    >
-                      Copiar preventivo atrasado (1–5 dias)
-                    </button>
-                    <button
-                      className="btn btnDanger"
-                      onClick={() => copyBulkFromCurrentView('QUEBRAS')}
-                    >
-                      Copiar quebras (+5 dias)
-                    </button>
-                  </>
-                )}
+                  <button
+                    className="btn"
+                    onClick={() => markCampaign(campaignView.c.id, 'enviado')}
+                  >
+                    Marcar enviado
+                  </button>
+                  <button
+                    className="btn btnDanger"
+                    onClick={() => markCampaign(campaignView.c.id, 'pulado')}
+                  >
+                    Pular
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="sideHint" style={{ marginTop: 12 }}>
+                Campanha concluída ✅
               </div>
             )}
 
-            <div className="tableWrap">
-              <div className="tableCard">
-                <table>
-                  <thead>
-                    <tr>
-                      <th>CPF</th>
-                      <th>Nome</th>
-                      <th>Valor</th>
-                      <th>Vencimento</th>
-                      <th>Telefone</th>
-                      <th className="thRight">Ações</th>
-                    </tr>
-                  </thead>
-
-                  <tbody>
-                    {computed.filtered.map((r) => {
-                      const d = vencDate(r);
-                      const waMsg = msgHoje(r);
-                      const isOpen = menuOpenId === r._id;
-                      const promKey = keyForClientLike(r);
-                      const hasPromise = promKey
-                        ? !!promises?.[promKey]?.promiseISO
-                        : false;
+            <div
+              style={{
+                display: 'flex',
+                gap: 10,
+                flexWrap: 'wrap',
+                marginTop: 12,
+              }}
+            >
+              <button
+                className="btn btnMini"
+                disabled={campaignView.c.cursor <= 0}
+                onClick={() => moveCampaign(campaignView.c.id, -1)}
+              >
+                ← Anterior
+              </button>
+              <button
+                className="btn btnMini"
+                disabled={
+                  campaignView.c.cursor >= campaignView.c.items.length - 1
+                }
+                onClick={() => moveCampaign(campaignView.c.id, 1)}
+              >
+                Próximo →
+              </button>
+              <button
+                className="btn btnMini"
+                onClick={() => setCampaignRunId(null)}
+              >
+                {campaignView.c.finishedAt ? 'Fechar' : 'Pausar'}
+              </button>
+            </div>
+          </>
+        ) : null}
+      </Modal>
+
+      <Modal
+        open={!!pinForm}
+        title={security.enabled ? 'Trocar PIN' : 'Proteger dados com PIN'}
+        onClose={() => !pinForm?.busy && setPinForm(null)}
+      >
+        {pinForm ? (
+          <>
+            <div className="sideHint">
+              Clientes, promessas, pagamentos e a base importada passam a ser
+              gravados cifrados neste navegador. Sem o PIN não há como
+              recuperá-los — mantenha um backup.
+            </div>
+            <div className="fieldLabel" style={{ marginTop: 12 }}>
+              Novo PIN ou senha
+            </div>
+            <input
+              className="input"
+              type="password"
+              autoFocus
+              value={pinForm.pin}
+              onChange={(e) =>
+                setPinForm((prev) => ({ ...prev, pin: e.target.value }))
+              }
+            />
+            <div className="fieldLabel" style={{ marginTop: 10 }}>
+              Repita
+            </div>
+            <input
+              className="input"
+              type="password"
+              value={pinForm.confirm}
+              onChange={(e) =>
+                setPinForm((prev) => ({ ...prev, confirm: e.target.value }))
+              }
+            />
+            <div
+              style={{
+                display: 'flex',
+                gap: 10,
+                flexWrap: 'wrap',
+                marginTop: 12,
+              }}
+            >
+              <button
+                className="btn btnPrimary"
+                onClick={savePin}
+                disabled={pinForm.busy}
+              >
+                {pinForm.busy ? 'Cifrando…' : 'Salvar PIN'}
+              </button>
+              <button
+                className="btn"
+                onClick={() => setPinForm(null)}
+                disabled={pinForm.busy}
+              >
+                Cancelar
+              </button>
+            </div>
+          </>
+        ) : null}
+      </Modal>
+
+      <Modal
+        open={!!restoreDraft}
+        title={`Restaurar backup — ${restoreDraft?.fileName || ''}`}
+        onClose={() => setRestoreDraft(null)}
+      >
+        {restoreDraft ? (
+          <>
+            <div className="sideHint">
+              Gerado em{' '}
+              <b>
+                {restoreDraft.backup.exportedAt
+                  ? new Date(restoreDraft.backup.exportedAt).toLocaleString(
+                      'pt-BR'
+                    )
+                  : '-'}
+              </b>{' '}
+              • versão {restoreDraft.backup.version}
+            </div>
+
+            <div className="tableCard" style={{ marginTop: 12 }}>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Dados</th>
+                    <th>No backup</th>
+                    <th>Atual</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {BACKUP_STORES.map((store) => (
+                    <tr key={store.id}>
+                      <td>{store.label}</td>
+                      <td>
+                        {restoreDraft.backup.stores[store.id] === undefined
+                          ? '-'
+                          : countStore(
+                              store,
+                              restoreDraft.backup.stores[store.id]
+                            )}
+                      </td>
+                      <td>{countStore(store, backupStores[store.id][0])}</td>
+                    </tr>
+                  ))}
+                  <tr>
+                    <td>Base importada (linhas)</td>
+                    <td>{restoreDraft.backup.imported?.rows?.length ?? '-'}</td>
+                    <td>{imported?.rows?.length ?? '-'}</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+
+            <div className="fieldLabel" style={{ marginTop: 12 }}>
+              Como aplicar
+            </div>
+            <select
+              className="select full"
+              value={restoreDraft.mode}
+              onChange={(e) =>
+                setRestoreDraft((prev) => ({ ...prev, mode: e.target.value }))
+              }
+            >
+              <option value="merge">
+                Mesclar: mantém o que existe e acrescenta o que faltar
+              </option>
+              <option value="replace">
+                Substituir: apaga os dados atuais e usa só o backup
+              </option>
+            </select>
+            {restoreDraft.mode === 'replace' && restoreMissing.length > 0 && (
+              <div className="sideHint" style={{ marginTop: 8 }}>
+                Fora do backup, voltam ao padrão:{' '}
+                {restoreMissing.map((st) => st.label).join(', ')}.
+              </div>
+            )}
+
+            <div
+              style={{
+                display: 'flex',
+                gap: 10,
+                flexWrap: 'wrap',
+                marginTop: 12,
+              }}
+            >
+              <button
+                className={`btn ${
+                  restoreDraft.mode === 'replace' ? 'btnDanger' : 'btnPrimary'
+                }`}
+                onClick={applyRestore}
+              >
+                {restoreDraft.mode === 'replace'
+                  ? 'Substituir dados'
+                  : 'Mesclar'}
+              </button>
+              <button className="btn" onClick={() => setRestoreDraft(null)}>
+                Cancelar
+              </button>
+            </div>
+          </>
+        ) : null}
+      </Modal>
+
+      <aside className="sidebar">
+        <div className="brand">
+          <div className="brandDot" />
+          <div>
+            <div className="brandTitle">Operador</div>
+            <div className="brandSub">
+              {workspace.operator
+                ? `${workspace.name} • ${workspace.operator}`
+                : workspace.name}
+            </div>
+          </div>
+        </div>
+
+        <div className="brandSwitch">
+          <select
+            className="select full"
+            title="Carteira"
+            value={workspace.id}
+            onChange={(e) =>
+              e.target.value === '__nova'
+                ? onCreateWorkspace()
+                : onSwitchWorkspace(e.target.value)
+            }
+          >
+            {workspaces.map((w) => (
+              <option key={w.id} value={w.id}>
+                {w.name}
+              </option>
+            ))}
+            <option value="__nova">+ Nova carteira…</option>
+          </select>
+          <div style={{ display: 'flex', gap: 6, marginTop: 6 }}>
+            <button
+              className="btn btnMini"
+              onClick={() => onEditWorkspace(workspace.id)}
+            >
+              Editar
+            </button>
+            <button
+              className="btn btnMini btnDanger"
+              onClick={() => onDeleteWorkspace(workspace.id)}
+              disabled={workspace.id === DEFAULT_WORKSPACE_ID}
+            >
+              Excluir
+            </button>
+          </div>
+        </div>
+
+        <div className="sideGroup">
+          <button
+            className={`sideBtn ${page === 'dashboard' ? 'active' : ''}`}
+            onClick={() => setPage('dashboard')}
+          >
+            <span>Dashboard</span>
+          </button>
+
+          <button
+            className={`sideBtn ${page === 'clientes' ? 'active' : ''}`}
+            onClick={() => setPage('clientes')}
+          >
+            <span>Clientes</span>
+          </button>
+
+          <button
+            className={`sideBtn ${page === 'promessas' ? 'active' : ''}`}
+            onClick={() => setPage('promessas')}
+          >
+            <span>Promessas</span>
+            <span className="sideCount">{promiseComputed.counts.total}</span>
+          </button>
+
+          <button
+            className={`sideBtn ${page === 'modelos' ? 'active' : ''}`}
+            onClick={() => setPage('modelos')}
+          >
+            <span>Mensagens</span>
+            <span className="sideCount">{(templates || []).length}</span>
+          </button>
+
+          <button
+            className={`sideBtn ${page === 'politica' ? 'active' : ''}`}
+            onClick={openPolicySettings}
+          >
+            <span>Política</span>
+            <span className="sideCount">{policy.length}</span>
+          </button>
+
+          <button
+            className={`sideBtn ${page === 'auditoria' ? 'active' : ''}`}
+            onClick={() => setPage('auditoria')}
+          >
+            <span>Auditoria</span>
+            <span className="sideCount">{(audit || []).length}</span>
+          </button>
+
+          <button
+            className={`sideBtn ${page === 'privacidade' ? 'active' : ''}`}
+            onClick={() => setPage('privacidade')}
+          >
+            <span>Privacidade</span>
+          </button>
+
+          <button
+            className={`sideBtn ${page === 'calendario' ? 'active' : ''}`}
+            onClick={() => setPage('calendario')}
+          >
+            <span>Calendário</span>
+          </button>
+
+          <button
+            className={`sideBtn ${page === 'tendencias' ? 'active' : ''}`}
+            onClick={() => setPage('tendencias')}
+          >
+            <span>Tendências</span>
+            <span className="sideCount">
+              {Object.keys(snapshots || {}).length}
+            </span>
+          </button>
+        </div>
+
+        <div className="sideDivider" />
+
+        <div className="sideLabel">Importação</div>
+
+        <label className="btn btnGhost full" style={{ textAlign: 'center' }}>
+          Importar Excel
+          <input
+            type="file"
+            accept=".xlsx,.xls,.csv"
+            onChange={handleFile}
+            style={{ display: 'none' }}
+          />
+        </label>
+
+        <div className="sideHint">
+          {fileLabel ? `Arquivo: ${fileLabel}` : 'Nenhum arquivo importado'}
+        </div>
+
+        {imported ? (
+          <div className="sideHint">
+            Base salva: <b>{imported.fileName || 'planilha'}</b>
+            {imported.sheetName ? ` / ${imported.sheetName}` : ''} •{' '}
+            {imported.rows.length} linhas • importada em{' '}
+            {new Date(imported.importedAt).toLocaleString('pt-BR')}
+            <button
+              className="btn btnMini btnDanger full"
+              style={{ marginTop: 6 }}
+              onClick={discardImported}
+            >
+              Descartar base importada
+            </button>
+          </div>
+        ) : null}
+
+        <div className="sideLabel" style={{ marginTop: 10 }}>
+          Aba (sheet)
+        </div>
+
+        <select
+          className="select full"
+          value={selectedSheet}
+          onChange={(e) => setSelectedSheet(e.target.value)}
+          disabled={!sheetNames.length}
+        >
+          {sheetNames.length ? (
+            sheetNames.map((s) => (
+              <option key={s} value={s}>
+                {s}
+              </option>
+            ))
+          ) : (
+            <option value="">Importe um arquivo</option>
+          )}
+        </select>
+
+        <button
+          className="btn btnPrimary full"
+          onClick={loadSelectedSheet}
+          disabled={!wb || !selectedSheet}
+          style={{ marginTop: 10 }}
+        >
+          Carregar aba
+        </button>
+
+        <div className="sideDivider" />
+
+        <div className="sideLabel">Atalhos</div>
+        <button
+          className="btn full"
+          onClick={() => exportar('csv')}
+          disabled={!rows.length}
+        >
+          Exportar CSV
+        </button>
+        <button
+          className="btn full"
+          onClick={() => exportar('xlsx')}
+          disabled={!rows.length}
+          style={{ marginTop: 8 }}
+        >
+          Exportar XLSX
+        </button>
+
+        <div className="sideDivider" />
+
+        <div className="sideLabel">Backup</div>
+        <button className="btn full" onClick={exportBackup}>
+          Exportar backup
+        </button>
+        <label
+          className="btn btnGhost full"
+          style={{ textAlign: 'center', marginTop: 8 }}
+        >
+          Restaurar backup
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleBackupFile}
+            style={{ display: 'none' }}
+          />
+        </label>
+
+        <div className="sideDivider" />
+
+        <div className="sideLabel">Segurança</div>
+        {security.enabled ? (
+          <>
+            <button className="btn full" onClick={security.lockNow}>
+              Bloquear agora
+            </button>
+            <div className="sideLabel" style={{ marginTop: 10 }}>
+              Bloquear após inatividade
+            </div>
+            <select
+              className="select full"
+              value={security.idleMinutes}
+              onChange={(e) => security.setIdleMinutes(Number(e.target.value))}
+            >
+              {IDLE_OPTIONS.map((m) => (
+                <option key={m} value={m}>
+                  {m} min
+                </option>
+              ))}
+            </select>
+            <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+              <button
+                className="btn btnMini"
+                onClick={() =>
+                  setPinForm({ pin: '', confirm: '', busy: false })
+                }
+              >
+                Trocar PIN
+              </button>
+              <button className="btn btnMini btnDanger" onClick={removePin}>
+                Remover PIN
+              </button>
+            </div>
+          </>
+        ) : (
+          <button
+            className="btn full"
+            onClick={() => setPinForm({ pin: '', confirm: '', busy: false })}
+          >
+            Proteger com PIN
+          </button>
+        )}
+      </aside>
+
+      <main className="main">
+        <div className="topbar">
+          <div>
+            <div className="topTitle">{PAGE_TITLES[page] || ''}</div>
+            <div className="topSub">
+              {page !== 'promessas' ? (
+                <>
+                  Parcelas: <b>{stats.totalClientes}</b> ({stats.acordos}{' '}
+                  acordos) • Pendentes: <b>{stats.pendentes}</b> • Vence hoje:{' '}
+                  <b>{stats.venceHoje}</b> • Atrasados: <b>{stats.atrasados}</b>{' '}
+                  • Parciais: <b>{stats.parciais}</b> • Manuais:{' '}
+                  <b>{stats.manuais}</b>
+                </>
+              ) : (
+                <>
+                  Total: <b>{promiseComputed.counts.total}</b> • Hoje:{' '}
+                  <b>{promiseComputed.counts.hoje}</b> • Vencidas:{' '}
+                  <b>{promiseComputed.counts.vencidas}</b> • Próx. 7 dias:{' '}
+                  <b>{promiseComputed.counts.prox7}</b>
+                </>
+              )}
+            </div>
+          </div>
+
+          <div className="topActions">
+            {page === 'dashboard' && (
+              <>
+                <button
+                  className={`btn ${
+                    dashMetric === 'count' ? 'btnPrimary' : ''
+                  }`}
+                  onClick={() => setDashMetric('count')}
+                >
+                  Quantidade
+                </button>
+                <button
+                  className={`btn ${
+                    dashMetric === 'valor' ? 'btnPrimary' : ''
+                  }`}
+                  onClick={() => setDashMetric('valor')}
+                >
+                  R$
+                </button>
+              </>
+            )}
+            {page === 'clientes' && (
+              <button
+                className="btn btnPrimary"
+                onClick={() => setOpenNewClient(true)}
+              >
+                Novo cliente
+              </button>
+            )}
+            {page === 'promessas' && (
+              <button
+                className="btn btnPrimary"
+                onClick={() => setPromiseView('TODAS')}
+              >
+                Atualizar visão
+              </button>
+            )}
+          </div>
+        </div>
+
+        {page === 'dashboard' ? (
+          <div className="grid">
+            <div className="kpis">
+              <div className="kpiCard">
+                <div className="kpiLabel">
+                  {dashMetric === 'valor' ? 'Carteira total' : 'Total parcelas'}
+                </div>
+                <div className="kpiValue">
+                  {formatMetric(dashStats.totalClientes)}
+                </div>
+              </div>
+              <div className="kpiCard">
+                <div className="kpiLabel">
+                  {dashMetric === 'valor' ? 'Em aberto' : 'Pendentes'}
+                </div>
+                <div className="kpiValue">
+                  {formatMetric(dashStats.pendentes)}
+                </div>
+              </div>
+              <div className="kpiCard">
+                <div className="kpiLabel">Vence hoje</div>
+                <div className="kpiValue">
+                  {formatMetric(dashStats.venceHoje)}
+                </div>
+              </div>
+              <div className="kpiCard">
+                <div className="kpiLabel">
+                  {dashMetric === 'valor' ? 'Em atraso' : 'Atrasados'}
+                </div>
+                <div className="kpiValue">
+                  {formatMetric(dashStats.atrasados)}
+                </div>
+              </div>
+              <div className="kpiCard">
+                <div className="kpiLabel">
+                  {dashMetric === 'valor' ? 'Recebido' : 'Pagos'}
+                </div>
+                <div className="kpiValue">{formatMetric(dashStats.pagos)}</div>
+              </div>
+              <div className="kpiCard">
+                <div className="kpiLabel">Manuais</div>
+                <div className="kpiValue">
+                  {formatMetric(dashStats.manuais)}
+                </div>
+              </div>
+            </div>
+
+            {stats.valorInvalido > 0 && (
+              <div className="panel panelWide">
+                <div className="sideHint">
+                  ⚠️ <b>{stats.valorInvalido}</b> linha(s) com Valor ilegível ou
+                  negativo — ficam fora dos totais em R$.{' '}
+                  <button
+                    className="btn btnMini"
+                    onClick={() => {
+                      setFilter('VALOR_INVALIDO');
+                      setPage('clientes');
+                    }}
+                  >
+                    Ver linhas
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <div className="panel">
+              <div className="panelTitle">Distribuição</div>
+              <div className="chartBox">
+                <Bar data={chartStatusData} options={chartOptions} />
+              </div>
+            </div>
+
+            <div className="panel">
+              <div className="panelTitle">Pendentes x Pagos</div>
+              <div className="chartBox">
+                <Doughnut data={doughnutData} options={doughnutOptions} />
+              </div>
+            </div>
+
+            <div className="panel panelWide">
+              <div className="panelTitle">Vencimentos (próximos 7 dias)</div>
+              <div className="chartBox">
+                <Line data={vencimentos7d} options={chartOptions} />
+              </div>
+            </div>
+
+            <div className="panel panelWide">
+              <div className="panelTitle">Aging dos atrasados</div>
+              <div className="chartBox">
+                <Bar data={agingChart} options={agingChartOptions} />
+              </div>
+              <div className="agingList">
+                {agingStats.map((b) => (
+                  <button
+                    key={b.id}
+                    className="btn btnMini"
+                    onClick={() => openAgingBucket(b.id)}
+                  >
+                    {b.label} dias: <b>{b.count}</b> • {toBRL(b.valor)}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="panel panelWide">
+              <div className="panelTitle">
+                Promessas: cumprimento por semana
+              </div>
+              <div className="sideHint" style={{ marginBottom: 10 }}>
+                Taxa de cumprimento:{' '}
+                <b>
+                  {promiseStats.rate === null ? '-' : `${promiseStats.rate}%`}
+                </b>{' '}
+                • Cumpridas: <b>{promiseStats.totals.cumprida}</b> • Quebradas:{' '}
+                <b>{promiseStats.totals.quebrada}</b> • Renegociadas:{' '}
+                <b>{promiseStats.totals.renegociada}</b> • Recuperado via
+                promessas: <b>{toBRL(promiseStats.totals.recovered)}</b>
+              </div>
+              <div className="chartBox">
+                <Bar data={promiseWeeksChart} options={stackedChartOptions} />
+              </div>
+            </div>
+          </div>
+        ) : page === 'clientes' ? (
+          <>
+            <div className="filters">
+              <input
+                className="input"
+                value={q}
+                onChange={(e) => setQ(e.target.value)}
+                placeholder="Buscar por CPF, nome ou telefone…"
+              />
+
+              <select
+                className="select"
+                value={filter}
+                onChange={(e) => setFilter(e.target.value)}
+              >
+                <option value="TODOS">Todos</option>
+                <option value="PENDENTE">Pendentes</option>
+                <option value="VENCE_HOJE">Vence hoje</option>
+                <option value="ATRASADO">Atrasados</option>
+                <option value="PAGO">Pagos</option>
+                <option value="VALOR_INVALIDO">Valor inválido</option>
+                <optgroup label="Etapas">
+                  {policy.map((st) => (
+                    <option key={st.id} value={`STAGE_${st.id}`}>
+                      {st.name}
+                    </option>
+                  ))}
+                </optgroup>
+                <optgroup label="Dias de atraso">
+                  {AGING_BUCKETS.map((b) => (
+                    <option key={b.id} value={`AGING_${b.id}`}>
+                      {b.label} dias
+                    </option>
+                  ))}
+                </optgroup>
+              </select>
+
+              {policy.map((st) => (
+                <button
+                  key={st.id}
+                  className="btn"
+                  style={
+                    filter === `STAGE_${st.id}` ? stagePillStyle(st) : undefined
+                  }
+                  onClick={() => setFilter(`STAGE_${st.id}`)}
+                >
+                  {st.name}
+                </button>
+              ))}
+              <button className="btn" onClick={() => setFilter('PAGO')}>
+                Pagos
+              </button>
+              <button
+                className={`btn ${openAdvFilters ? 'btnPrimary' : ''}`}
+                onClick={() => setOpenAdvFilters((v) => !v)}
+              >
+                Filtros{advChips.length ? ` (${advChips.length})` : ''}
+              </button>
+              <button
+                className="btn"
+                onClick={() => {
+                  setFilter('TODOS');
+                  setAdvFilters(EMPTY_ADV_FILTERS);
+                }}
+              >
+                Limpar
+              </button>
+            </div>
+
+            {openAdvFilters && (
+              <div className="panel advFilters">
+                <label className="fieldLabel">
+                  Tipo de negociação
+                  <select
+                    className="select"
+                    value={advFilters.tipo}
+                    onChange={(e) => setAdvField('tipo', e.target.value)}
+                  >
+                    <option value="">Todos</option>
+                    {advOptions.tipos.map((v) => (
+                      <option key={v} value={v}>
+                        {v}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="fieldLabel">
+                  Status (planilha)
+                  <select
+                    className="select"
+                    value={advFilters.status}
+                    onChange={(e) => setAdvField('status', e.target.value)}
+                  >
+                    <option value="">Todos</option>
+                    {advOptions.status.map((v) => (
+                      <option key={v} value={v}>
+                        {v}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="fieldLabel">
+                  Origem
+                  <select
+                    className="select"
+                    value={advFilters.source}
+                    onChange={(e) => setAdvField('source', e.target.value)}
+                  >
+                    <option value="">Todas</option>
+                    {ADV_SOURCES.map((o) => (
+                      <option key={o.id} value={o.id}>
+                        {o.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="fieldLabel">
+                  Promessa
+                  <select
+                    className="select"
+                    value={advFilters.promessa}
+                    onChange={(e) => setAdvField('promessa', e.target.value)}
+                  >
+                    <option value="">Tanto faz</option>
+                    {ADV_PROMISE.map((o) => (
+                      <option key={o.id} value={o.id}>
+                        {o.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="fieldLabel">
+                  Valor (R$)
+                  <div className="advRange">
+                    <input
+                      className="input"
+                      inputMode="decimal"
+                      placeholder="mín."
+                      value={advFilters.valorMin}
+                      onChange={(e) => setAdvField('valorMin', e.target.value)}
+                    />
+                    <input
+                      className="input"
+                      inputMode="decimal"
+                      placeholder="máx."
+                      value={advFilters.valorMax}
+                      onChange={(e) => setAdvField('valorMax', e.target.value)}
+                    />
+                  </div>
+                </label>
+                <label className="fieldLabel">
+                  Vencimento
+                  <div className="advRange">
+                    <input
+                      className="input"
+                      type="date"
+                      value={advFilters.vencFrom}
+                      onChange={(e) => setAdvField('vencFrom', e.target.value)}
+                    />
+                    <input
+                      className="input"
+                      type="date"
+                      value={advFilters.vencTo}
+                      onChange={(e) => setAdvField('vencTo', e.target.value)}
+                    />
+                  </div>
+                </label>
+                <label className="fieldLabel">
+                  Dias de atraso
+                  <div className="advRange">
+                    <input
+                      className="input"
+                      inputMode="numeric"
+                      placeholder="mín."
+                      value={advFilters.atrasoMin}
+                      onChange={(e) => setAdvField('atrasoMin', e.target.value)}
+                    />
+                    <input
+                      className="input"
+                      inputMode="numeric"
+                      placeholder="máx."
+                      value={advFilters.atrasoMax}
+                      onChange={(e) => setAdvField('atrasoMax', e.target.value)}
+                    />
+                  </div>
+                </label>
+              </div>
+            )}
+
+            {advChips.length > 0 && (
+              <div className="chipList">
+                {advChips.map((chip) => (
+                  <span key={chip.id} className="chip">
+                    {chip.label}
+                    <button
+                      className="chipClose"
+                      title="Remover filtro"
+                      onClick={() => clearAdvChip(chip)}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+
+            {openCampaigns.length > 0 && (
+              <div className="panel" style={{ marginTop: 12, padding: 12 }}>
+                <div className="panelTitle">Campanhas em andamento</div>
+                <div className="issueList" style={{ marginTop: 0 }}>
+                  {openCampaigns.map((c) => {
+                    const pr = campaignProgress(c);
+                    return (
+                      <div key={c.id} className="issueHead">
+                        <span>
+                          <b>{c.label}</b> •{' '}
+                          {new Date(c.createdAt).toLocaleString('pt-BR')} •{' '}
+                          {pr.done}/{pr.total}
+                        </span>
+                        <span style={{ display: 'flex', gap: 8 }}>
+                          <button
+                            className="btn btnMini btnPrimary"
+                            onClick={() => setCampaignRunId(c.id)}
+                          >
+                            Retomar
+                          </button>
+                          <button
+                            className="btn btnMini btnDanger"
+                            onClick={() => discardCampaign(c.id)}
+                          >
+                            Descartar
+                          </button>
+                        </span>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
+            {Object.keys(segmentCounts).length > 0 && (
+              <div
+                className="panel"
+                style={{
+                  marginTop: 12,
+                  padding: 12,
+                  display: 'flex',
+                  gap: 10,
+                  flexWrap: 'wrap',
+                }}
+              >
+                {policy
+                  .filter((st) => segmentCounts[st.id])
+                  .map((st) => (
+                    <span key={st.id} style={{ display: 'flex', gap: 6 }}>
+                      <button
+                        className="btn btnPrimary"
+                        style={stagePillStyle(st)}
+                        disabled={filterPending}
+                        onClick={() => copyBulkFromCurrentView(st.id)}
+                      >
+                        Copiar {st.name} ({segmentCounts[st.id]})
+                      </button>
+                      <button
+                        className="btn"
+                        disabled={filterPending}
+                        onClick={() => startCampaign(st.id)}
+                      >
+                        Campanha
+                      </button>
+                    </span>
+                  ))}
+                <select
+                  className="select"
+                  title="Modelo usado nas campanhas"
+                  value={bulkTplId}
+                  onChange={(e) => setBulkTplId(e.target.value)}
+                  style={{ width: 220, minWidth: 180 }}
+                >
+                  <option value="">Msg: modelo da etapa</option>
+                  {(templates || []).map((t) => (
+                    <option key={t.id} value={t.id}>
+                      Msg: {t.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div className="tableWrap">
+              <div className="tableCard">
+                <table className="clientsTable">
+                  <thead>
+                    <tr>
+                      {CLIENT_COLUMNS.map((c) => (
+                        <th
+                          key={c.id}
+                          className="thSort"
+                          title="Ordenar"
+                          onClick={() => toggleClientSort(c.id)}
+                        >
+                          {c.label}
+                          {clientSort.col === c.id
+                            ? clientSort.dir === 'asc'
+                              ? ' ▲'
+                              : ' ▼'
+                            : ''}
+                        </th>
+                      ))}
+                      <th>Telefone</th>
+                      <th className="thRight">Ações</th>
+                    </tr>
+                  </thead>
+
+                  <tbody>
+                    {clientTable.rows.map((r) => {
+                      const d = vencDate(r);
+                      const waMsg = msgHoje(r);
+                      const isOpen = menuOpenId === r._id;
+                      const promKey = clientKeyOf(r);
+                      const hasPromise = promKey
+                        ? !!promises?.[promKey]?.promiseISO
+                        : false;
+                      const lastC = lastContact(r._ledgerKey);
 
                       return (
                         <tr key={`${r._source}:${r._id}`} className="rowHover">
@@ -1317,17 +4717,46 @@ export default function App() {
                                 (manual)
                               </span>
                             ) : null}
+                            {lastC ? (
+                              <div className="cellSub">
+                                Últ. contato{' '}
+                                {new Date(lastC.at).toLocaleDateString('pt-BR')}{' '}
+                                •{' '}
+                                {labelOf(
+                                  CONTACT_OUTCOMES,
+                                  lastC.outcome,
+                                  labelOf(CONTACT_CHANNELS, lastC.channel)
+                                )}
+                              </div>
+                            ) : null}
+                          </td>
+                          <td>
+                            {toBRL(r.Valor)}
+                            {r.Parcela ? (
+                              <div className="cellSub">Parcela {r.Parcela}</div>
+                            ) : null}
+                            {isParcial(r) ? (
+                              <div className="cellSub">
+                                Saldo {toBRL(r._saldo)}
+                              </div>
+                            ) : null}
                           </td>
-                          <td>{toBRL(r.Valor)}</td>
                           <td>
-                            <span className={badgeForVenc(r)}>
+                            <span {...badgeForVenc(r)}>
                               {formatBR(d)}
-                              {venceHoje(r) && !isPago(r) ? ' • HOJE' : ''}
-                              {atrasado(r)
-                                ? ` • ATRASADO (${daysLate(r)}d)`
+                              {isPago(r) ? ' • PAGO' : ''}
+                              {isParcial(r) ? ' • PARCIAL' : ''}
+                              {stageOf(r)
+                                ? ` • ${stageOf(r).name.toUpperCase()}`
                                 : ''}
                             </span>
                           </td>
+                          <td>{atrasado(r) ? `${daysLate(r)}d` : '-'}</td>
+                          <td>
+                            {r.PromessaISO
+                              ? formatBR(new Date(r.PromessaISO))
+                              : '-'}
+                          </td>
                           <td className="mono">{r.Telefone}</td>
 
                           <td
@@ -1352,11 +4781,31 @@ export default function App() {
 
                               {isOpen && (
                                 <div className="menuPop">
+                                  <select
+                                    className="select"
+                                    title="Modelo da mensagem"
+                                    value={clientTplId}
+                                    onChange={(e) =>
+                                      setClientTplId(e.target.value)
+                                    }
+                                  >
+                                    <option value="">Modelo da etapa</option>
+                                    {(templates || []).map((t) => (
+                                      <option key={t.id} value={t.id}>
+                                        {t.name}
+                                      </option>
+                                    ))}
+                                  </select>
+
                                   <button
                                     className="menuItem menuWhats"
                                     onClick={() => {
                                       setMenuOpenId(null);
-                                      openWhats(r.Telefone, waMsg);
+                                      whatsAndLog(
+                                        r._ledgerKey,
+                                        r.Telefone,
+                                        waMsg
+                                      );
                                     }}
                                   >
                                     WhatsApp
@@ -1366,7 +4815,7 @@ export default function App() {
                                     className="menuItem"
                                     onClick={() => {
                                       setMenuOpenId(null);
-                                      copiar(waMsg, 'Mensagem copiada ✅');
+                                      copyAndLog(r._ledgerKey, waMsg);
                                     }}
                                   >
                                     Copiar msg
@@ -1383,6 +4832,49 @@ export default function App() {
                                       ? 'Editar promessa'
                                       : 'Registrar promessa'}
                                   </button>
+
+                                  <button
+                                    className="menuItem"
+                                    onClick={() => {
+                                      setMenuOpenId(null);
+                                      openPaymentsForClient(r);
+                                    }}
+                                  >
+                                    Pagamentos
+                                  </button>
+
+                                  <button
+                                    className="menuItem"
+                                    onClick={() => {
+                                      setMenuOpenId(null);
+                                      openClientDetail(r);
+                                    }}
+                                  >
+                                    Detalhes / histórico
+                                  </button>
+
+                                  {r._source === 'manual' && (
+                                    <>
+                                      <button
+                                        className="menuItem"
+                                        onClick={() => {
+                                          setMenuOpenId(null);
+                                          openEditClient(r);
+                                        }}
+                                      >
+                                        Editar cliente
+                                      </button>
+                                      <button
+                                        className="menuItem menuDanger"
+                                        onClick={() => {
+                                          setMenuOpenId(null);
+                                          deleteManualClient(r._agreementId);
+                                        }}
+                                      >
+                                        Excluir cliente
+                                      </button>
+                                    </>
+                                  )}
                                 </div>
                               )}
                             </div>
@@ -1391,69 +4883,368 @@ export default function App() {
                       );
                     })}
 
-                    {computed.filtered.length === 0 && (
-                      <tr>
-                        <td colSpan={6} style={{ padding: 16, opacity: 0.8 }}>
-                          Sem clientes nessa visão. Importe o Excel ou cadastre
-                          pelo botão “Novo cliente”.
-                        </td>
-                      </tr>
-                    )}
-                  </tbody>
-                </table>
+                    {computed.filtered.length === 0 && (
+                      <tr>
+                        <td colSpan={8} style={{ padding: 16, opacity: 0.8 }}>
+                          Sem clientes nessa visão. Importe o Excel ou cadastre
+                          pelo botão “Novo cliente”.
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {clientTable.total > 0 && (
+              <div className="pager">
+                <span className="sideHint">
+                  {clientTable.start + 1}–
+                  {clientTable.start + clientTable.rows.length} de{' '}
+                  {clientTable.total}
+                  {filterPending ? ' • filtrando…' : ''}
+                </span>
+                <button
+                  className="btn btnMini"
+                  disabled={clientTable.pageIdx === 0}
+                  onClick={() => setClientPage(clientTable.pageIdx - 1)}
+                >
+                  ‹ Anterior
+                </button>
+                <span>
+                  Página {clientTable.pageIdx + 1} de {clientTable.pages}
+                </span>
+                <button
+                  className="btn btnMini"
+                  disabled={clientTable.pageIdx >= clientTable.pages - 1}
+                  onClick={() => setClientPage(clientTable.pageIdx + 1)}
+                >
+                  Próxima ›
+                </button>
+                <select
+                  className="select"
+                  value={clientPageSize}
+                  onChange={(e) => setClientPageSize(Number(e.target.value))}
+                  style={{ width: 140, minWidth: 120 }}
+                >
+                  {CLIENT_PAGE_SIZES.map((n) => (
+                    <option key={n} value={n}>
+                      {n} por página
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <Modal
+              open={openNewClient}
+              title={
+                editingClientId
+                  ? 'Editar cliente (manual)'
+                  : 'Novo cliente (manual)'
+              }
+              onClose={closeClientModal}
+            >
+              <div
+                style={{
+                  display: 'grid',
+                  gridTemplateColumns: 'repeat(2, minmax(180px, 1fr))',
+                  gap: 10,
+                }}
+              >
+                <input
+                  className="input mono"
+                  placeholder="CPF (opcional)"
+                  value={cForm.CPF}
+                  onChange={(e) =>
+                    setCForm((p) => ({ ...p, CPF: e.target.value }))
+                  }
+                />
+                <input
+                  className="input"
+                  placeholder="Nome"
+                  value={cForm.Nome}
+                  onChange={(e) =>
+                    setCForm((p) => ({ ...p, Nome: e.target.value }))
+                  }
+                />
+                <input
+                  className="input mono"
+                  placeholder="Telefone c/ DDD"
+                  value={cForm.Telefone}
+                  onChange={(e) =>
+                    setCForm((p) => ({ ...p, Telefone: e.target.value }))
+                  }
+                />
+                <input
+                  className="input"
+                  placeholder="Valor total (ex: 716,00)"
+                  value={cForm.Valor}
+                  onChange={(e) =>
+                    setCForm((p) => ({ ...p, Valor: e.target.value }))
+                  }
+                />
+                <label className="fieldLabel">
+                  1º vencimento
+                  <input
+                    className="input"
+                    type="date"
+                    value={cForm.VencDate}
+                    onChange={(e) =>
+                      setCForm((p) => ({ ...p, VencDate: e.target.value }))
+                    }
+                  />
+                </label>
+                <label className="fieldLabel">
+                  Entrada (opcional)
+                  <input
+                    className="input"
+                    placeholder="ex: 200,00"
+                    value={cForm.Entrada}
+                    onChange={(e) =>
+                      setCForm((p) => ({ ...p, Entrada: e.target.value }))
+                    }
+                  />
+                </label>
+                <label className="fieldLabel">
+                  Nº de parcelas
+                  <input
+                    className="input"
+                    type="number"
+                    min={1}
+                    value={cForm.NumParcelas}
+                    onChange={(e) =>
+                      setCForm((p) => ({ ...p, NumParcelas: e.target.value }))
+                    }
+                  />
+                </label>
+                <label className="fieldLabel">
+                  Periodicidade
+                  <select
+                    className="select"
+                    value={cForm.Periodicidade}
+                    onChange={(e) =>
+                      setCForm((p) => ({
+                        ...p,
+                        Periodicidade: e.target.value,
+                      }))
+                    }
+                  >
+                    {PERIODICIDADES.map((o) => (
+                      <option key={o.id} value={o.id}>
+                        {o.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              {cSchedule.items.length > 1 && (
+                <div className="sideHint" style={{ marginTop: 10 }}>
+                  Cronograma:{' '}
+                  {cSchedule.items
+                    .map(
+                      (p) =>
+                        `${p.label} ${formatBR(
+                          new Date(p.VencimentoISO)
+                        )} ${toBRL(p.Valor)}`
+                    )
+                    .join(' • ')}
+                </div>
+              )}
+
+              <div
+                style={{
+                  display: 'flex',
+                  gap: 10,
+                  flexWrap: 'wrap',
+                  marginTop: 12,
+                }}
+              >
+                <button className="btn btnPrimary" onClick={saveManualClient}>
+                  Salvar
+                </button>
+                <button
+                  className="btn"
+                  onClick={() => setCForm(EMPTY_CLIENT_FORM)}
+                >
+                  Limpar
+                </button>
+                {editingClientId ? (
+                  <button
+                    className="btn btnDanger"
+                    onClick={() => deleteManualClient(editingClientId)}
+                  >
+                    Excluir cliente
+                  </button>
+                ) : (
+                  <button
+                    className="btn btnDanger"
+                    onClick={deleteAllManualClients}
+                  >
+                    Apagar manuais
+                  </button>
+                )}
+              </div>
+
+              <div className="sideHint" style={{ marginTop: 10 }}>
+                Clientes manuais ficam salvos no navegador (GitHub Pages é
+                domínio fixo).
+              </div>
+            </Modal>
+
+            <Modal
+              open={openPromiseModal}
+              title="Promessa de pagamento"
+              onClose={() => setOpenPromiseModal(false)}
+            >
+              <div
+                style={{
+                  display: 'grid',
+                  gridTemplateColumns: 'repeat(2, minmax(180px, 1fr))',
+                  gap: 10,
+                }}
+              >
+                <input
+                  className="input"
+                  placeholder="Nome"
+                  value={promiseDraft.Nome}
+                  onChange={(e) =>
+                    setPromiseDraft((p) => ({ ...p, Nome: e.target.value }))
+                  }
+                />
+                <input
+                  className="input mono"
+                  placeholder="Telefone c/ DDD"
+                  value={promiseDraft.Telefone}
+                  onChange={(e) =>
+                    setPromiseDraft((p) => ({ ...p, Telefone: e.target.value }))
+                  }
+                />
+                <input
+                  className="input mono"
+                  placeholder="CPF (opcional)"
+                  value={promiseDraft.CPF}
+                  onChange={(e) =>
+                    setPromiseDraft((p) => ({ ...p, CPF: e.target.value }))
+                  }
+                />
+                <input
+                  className="input"
+                  placeholder="Valor (opcional)"
+                  value={promiseDraft.Valor}
+                  onChange={(e) =>
+                    setPromiseDraft((p) => ({ ...p, Valor: e.target.value }))
+                  }
+                />
+                <input
+                  className="input"
+                  type="date"
+                  value={promiseDraft.promiseDate}
+                  onChange={(e) =>
+                    setPromiseDraft((p) => ({
+                      ...p,
+                      promiseDate: e.target.value,
+                    }))
+                  }
+                />
+                <input
+                  className="input"
+                  placeholder="Observação (opcional)"
+                  value={promiseDraft.note}
+                  onChange={(e) =>
+                    setPromiseDraft((p) => ({ ...p, note: e.target.value }))
+                  }
+                />
+              </div>
+
+              <div
+                style={{
+                  display: 'flex',
+                  gap: 10,
+                  flexWrap: 'wrap',
+                  marginTop: 12,
+                }}
+              >
+                <button className="btn btnPrimary" onClick={savePromiseDraft}>
+                  Salvar promessa
+                </button>
+                <button
+                  className="btn"
+                  onClick={() => setOpenPromiseModal(false)}
+                >
+                  Cancelar
+                </button>
               </div>
-            </div>
 
-            <Modal
-              open={openNewClient}
-              title="Novo cliente (manual)"
-              onClose={() => setOpenNewClient(false)}
-            >
+              <div className="sideHint" style={{ marginTop: 10 }}>
+                Dica: você pode registrar promessa direto no cliente (Ações →
+                Registrar promessa).
+              </div>
+            </Modal>
+          </>
+        ) : page === 'promessas' ? (
+          <>
+            <div className="panel" style={{ marginTop: 12 }}>
+              <div className="panelTitle">Registrar promessa (manual)</div>
+
               <div
                 style={{
                   display: 'grid',
-                  gridTemplateColumns: 'repeat(2, minmax(180px, 1fr))',
+                  gridTemplateColumns: 'repeat(3, minmax(180px, 1fr))',
                   gap: 10,
+                  marginTop: 10,
                 }}
               >
                 <input
-                  className="input mono"
-                  placeholder="CPF (opcional)"
-                  value={cForm.CPF}
+                  className="input"
+                  placeholder="Nome"
+                  value={promiseForm.Nome}
                   onChange={(e) =>
-                    setCForm((p) => ({ ...p, CPF: e.target.value }))
+                    setPromiseForm((p) => ({ ...p, Nome: e.target.value }))
                   }
                 />
                 <input
-                  className="input"
-                  placeholder="Nome"
-                  value={cForm.Nome}
+                  className="input mono"
+                  placeholder="Telefone c/ DDD"
+                  value={promiseForm.Telefone}
                   onChange={(e) =>
-                    setCForm((p) => ({ ...p, Nome: e.target.value }))
+                    setPromiseForm((p) => ({ ...p, Telefone: e.target.value }))
                   }
                 />
                 <input
                   className="input mono"
-                  placeholder="Telefone c/ DDD"
-                  value={cForm.Telefone}
+                  placeholder="CPF (opcional)"
+                  value={promiseForm.CPF}
                   onChange={(e) =>
-                    setCForm((p) => ({ ...p, Telefone: e.target.value }))
+                    setPromiseForm((p) => ({ ...p, CPF: e.target.value }))
                   }
                 />
                 <input
                   className="input"
-                  placeholder="Valor (ex: 716,00)"
-                  value={cForm.Valor}
+                  placeholder="Valor (opcional)"
+                  value={promiseForm.Valor}
                   onChange={(e) =>
-                    setCForm((p) => ({ ...p, Valor: e.target.value }))
+                    setPromiseForm((p) => ({ ...p, Valor: e.target.value }))
                   }
                 />
                 <input
                   className="input"
                   type="date"
-                  value={cForm.VencDate}
+                  value={promiseForm.promiseDate}
+                  onChange={(e) =>
+                    setPromiseForm((p) => ({
+                      ...p,
+                      promiseDate: e.target.value,
+                    }))
+                  }
+                />
+                <input
+                  className="input"
+                  placeholder="Observação (opcional)"
+                  value={promiseForm.note}
                   onChange={(e) =>
-                    setCForm((p) => ({ ...p, VencDate: e.target.value }))
+                    setPromiseForm((p) => ({ ...p, note: e.target.value }))
                   }
                 />
               </div>
@@ -1466,102 +5257,456 @@ export default function App() {
                   marginTop: 12,
                 }}
               >
-                <button className="btn btnPrimary" onClick={saveManualClient}>
-                  Salvar
+                <button
+                  className="btn btnPrimary"
+                  onClick={savePromiseFromForm}
+                >
+                  Salvar promessa
+                </button>
+                <button
+                  className="btn"
+                  onClick={() =>
+                    setPromiseForm({
+                      Nome: '',
+                      Telefone: '',
+                      CPF: '',
+                      Valor: '',
+                      promiseDate: '',
+                      note: '',
+                    })
+                  }
+                >
+                  Limpar
+                </button>
+              </div>
+            </div>
+
+            <div className="panel" style={{ marginTop: 12 }}>
+              <div className="panelTitle">Filtros</div>
+
+              <div
+                style={{
+                  display: 'flex',
+                  gap: 10,
+                  flexWrap: 'wrap',
+                  alignItems: 'center',
+                  marginTop: 10,
+                }}
+              >
+                <select
+                  className="select"
+                  value={promiseView}
+                  onChange={(e) => setPromiseView(e.target.value)}
+                  style={{ width: 220, minWidth: 180 }}
+                >
+                  <option value="TODAS">Todas</option>
+                  <option value="HOJE">Hoje</option>
+                  <option value="VENCIDAS">Vencidas</option>
+                  <option value="PROX7">Próx. 7 dias</option>
+                </select>
+
+                <button className="btn" onClick={() => setPromiseView('HOJE')}>
+                  Hoje
+                </button>
+                <button
+                  className="btn"
+                  onClick={() => setPromiseView('VENCIDAS')}
+                >
+                  Vencidas
+                </button>
+                <button className="btn" onClick={() => setPromiseView('PROX7')}>
+                  Próx. 7 dias
+                </button>
+                <button className="btn" onClick={() => setPromiseView('TODAS')}>
+                  Limpar
+                </button>
+
+                <select
+                  className="select"
+                  title="Modelo da mensagem"
+                  value={promiseTplId}
+                  onChange={(e) => setPromiseTplId(e.target.value)}
+                  style={{ width: 220, minWidth: 180 }}
+                >
+                  {(templates || []).map((t) => (
+                    <option key={t.id} value={t.id}>
+                      Msg: {t.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="sideHint" style={{ marginTop: 10 }}>
+                Total: <b>{promiseComputed.counts.total}</b> • Hoje:{' '}
+                <b>{promiseComputed.counts.hoje}</b> • Vencidas:{' '}
+                <b>{promiseComputed.counts.vencidas}</b> • Próx. 7 dias:{' '}
+                <b>{promiseComputed.counts.prox7}</b>
+              </div>
+            </div>
+
+            <div className="tableWrap">
+              <div className="tableCard">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Promessa</th>
+                      <th>Nome</th>
+                      <th>Telefone</th>
+                      <th>Valor</th>
+                      <th>Resultado</th>
+                      <th className="thRight">Ações</th>
+                    </tr>
+                  </thead>
+
+                  <tbody>
+                    {promiseComputed.filtered.map((p) => {
+                      const d = new Date(p.promiseISO);
+                      const baseP = new Date(
+                        d.getFullYear(),
+                        d.getMonth(),
+                        d.getDate()
+                      );
+                      const vencida = baseP < baseHoje;
+                      const hoje_ = sameDay(baseP, baseHoje);
+
+                      const badgeClass = hoje_
+                        ? 'pill pillWarn'
+                        : vencida
+                        ? 'pill pillBad'
+                        : 'pill pillGood';
+
+                      const tel = p.snapshot?.Telefone || '';
+                      const nome = p.snapshot?.Nome || '-';
+                      const valor = p.snapshot?.Valor ?? '';
+
+                      const msg = renderTemplate(
+                        templateBody(promiseTplId),
+                        templateVarsForPromise(p)
+                      );
+
+                      return (
+                        <tr key={p.key} className="rowHover">
+                          <td>
+                            <span className={badgeClass}>{formatBR(d)}</span>
+                          </td>
+                          <td className="tdStrong">{nome}</td>
+                          <td className="mono">{tel || '-'}</td>
+                          <td>{toBRL(valor)}</td>
+                          <td>
+                            <span
+                              className={
+                                PROMISE_OUTCOMES.find(
+                                  (o) => o.id === p.outcome.status
+                                )?.pill || 'pill'
+                              }
+                              title={
+                                p.history.length
+                                  ? `${p.history.length} promessa(s) anterior(es)`
+                                  : undefined
+                              }
+                            >
+                              {labelOf(
+                                PROMISE_OUTCOMES,
+                                p.outcome.status,
+                                'Pendente'
+                              )}
+                              {p.outcome.auto ? '' : ' •'}
+                            </span>
+                            <select
+                              className="select"
+                              style={{ marginTop: 6 }}
+                              value={p.outcome.auto ? '' : p.outcome.status}
+                              onChange={(e) =>
+                                setPromiseResolution(p.key, e.target.value)
+                              }
+                            >
+                              <option value="">Automático</option>
+                              {PROMISE_OUTCOMES.map((o) => (
+                                <option key={o.id} value={o.id}>
+                                  {o.label}
+                                </option>
+                              ))}
+                            </select>
+                          </td>
+                          <td className="tdRight">
+                            <button
+                              className="btn btnMini"
+                              onClick={() => copyAndLog(p.key, msg)}
+                            >
+                              Copiar
+                            </button>
+                            <button
+                              className="btn btnMini btnPrimary"
+                              style={{ marginLeft: 8 }}
+                              onClick={() => whatsAndLog(p.key, tel, msg)}
+                              disabled={!onlyDigits(tel)}
+                            >
+                              Whats
+                            </button>
+                            <button
+                              className="btn btnMini btnDanger"
+                              style={{ marginLeft: 8 }}
+                              onClick={() => removePromiseByKey(p.key)}
+                            >
+                              Remover
+                            </button>
+                          </td>
+                        </tr>
+                      );
+                    })}
+
+                    {promiseComputed.filtered.length === 0 && (
+                      <tr>
+                        <td colSpan={6} style={{ padding: 16, opacity: 0.8 }}>
+                          Nenhuma promessa nessa visão.
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </>
+        ) : page === 'modelos' ? (
+          <div className="grid">
+            <div className="panel">
+              <div className="panelTitle">Modelos</div>
+              <div className="tplList">
+                {(templates || []).map((t) => (
+                  <button
+                    key={t.id}
+                    className={`sideBtn ${tplEditId === t.id ? 'active' : ''}`}
+                    onClick={() => editTemplate(t.id)}
+                  >
+                    <span>{t.name}</span>
+                  </button>
+                ))}
+              </div>
+              <div
+                style={{
+                  display: 'flex',
+                  gap: 10,
+                  flexWrap: 'wrap',
+                  marginTop: 12,
+                }}
+              >
+                <button className="btn" onClick={newTemplate}>
+                  Novo modelo
                 </button>
                 <button
                   className="btn"
-                  onClick={() =>
-                    setCForm({
-                      CPF: '',
-                      Nome: '',
-                      Telefone: '',
-                      Valor: '',
-                      VencDate: '',
-                    })
-                  }
-                >
-                  Limpar
-                </button>
-                <button
-                  className="btn btnDanger"
-                  onClick={deleteAllManualClients}
+                  onClick={duplicateTemplate}
+                  disabled={!tplEditId}
                 >
-                  Apagar manuais
+                  Duplicar
                 </button>
               </div>
+            </div>
 
-              <div className="sideHint" style={{ marginTop: 10 }}>
-                Clientes manuais ficam salvos no navegador (GitHub Pages é
-                domínio fixo).
+            <div className="panel">
+              <div className="panelTitle">
+                {tplEditId ? 'Editar modelo' : 'Novo modelo'}
+              </div>
+              <input
+                className="input"
+                placeholder="Nome do modelo (ex: Atraso 1–5 dias)"
+                value={tplDraft.name}
+                onChange={(e) =>
+                  setTplDraft((p) => ({ ...p, name: e.target.value }))
+                }
+              />
+              <textarea
+                className="input"
+                rows={6}
+                style={{ marginTop: 10, resize: 'vertical' }}
+                placeholder="Texto da mensagem"
+                value={tplDraft.body}
+                onChange={(e) =>
+                  setTplDraft((p) => ({ ...p, body: e.target.value }))
+                }
+              />
+              <div className="issueMsgs" style={{ marginTop: 8 }}>
+                {TEMPLATE_PLACEHOLDERS.map((ph) => (
+                  <button
+                    key={ph.id}
+                    className="btn btnMini"
+                    title={ph.label}
+                    onClick={() =>
+                      setTplDraft((p) => ({
+                        ...p,
+                        body: `${p.body}{${ph.id}}`,
+                      }))
+                    }
+                  >
+                    {`{${ph.id}}`}
+                  </button>
+                ))}
+              </div>
+              <div className="sideHint">
+                Trechos entre colchetes somem quando algum campo dentro deles
+                está vazio. Ex: <span className="mono">[Obs: {'{obs}'}. ]</span>
+              </div>
+
+              <div className="panelTitle" style={{ marginTop: 12 }}>
+                Prévia{tplSample ? ` — ${tplSample.Nome}` : ''}
+              </div>
+              <div className="tplPreview">
+                {renderTemplate(tplDraft.body, templateVarsForRow(tplSample))}
               </div>
-            </Modal>
 
-            <Modal
-              open={openPromiseModal}
-              title="Promessa de pagamento"
-              onClose={() => setOpenPromiseModal(false)}
-            >
               <div
                 style={{
-                  display: 'grid',
-                  gridTemplateColumns: 'repeat(2, minmax(180px, 1fr))',
+                  display: 'flex',
                   gap: 10,
+                  flexWrap: 'wrap',
+                  marginTop: 12,
                 }}
               >
-                <input
-                  className="input"
-                  placeholder="Nome"
-                  value={promiseDraft.Nome}
-                  onChange={(e) =>
-                    setPromiseDraft((p) => ({ ...p, Nome: e.target.value }))
-                  }
-                />
-                <input
-                  className="input mono"
-                  placeholder="Telefone c/ DDD"
-                  value={promiseDraft.Telefone}
-                  onChange={(e) =>
-                    setPromiseDraft((p) => ({ ...p, Telefone: e.target.value }))
-                  }
-                />
-                <input
-                  className="input mono"
-                  placeholder="CPF (opcional)"
-                  value={promiseDraft.CPF}
-                  onChange={(e) =>
-                    setPromiseDraft((p) => ({ ...p, CPF: e.target.value }))
-                  }
-                />
-                <input
-                  className="input"
-                  placeholder="Valor (opcional)"
-                  value={promiseDraft.Valor}
-                  onChange={(e) =>
-                    setPromiseDraft((p) => ({ ...p, Valor: e.target.value }))
-                  }
-                />
-                <input
-                  className="input"
-                  type="date"
-                  value={promiseDraft.promiseDate}
-                  onChange={(e) =>
-                    setPromiseDraft((p) => ({
-                      ...p,
-                      promiseDate: e.target.value,
-                    }))
-                  }
-                />
-                <input
-                  className="input"
-                  placeholder="Observação (opcional)"
-                  value={promiseDraft.note}
-                  onChange={(e) =>
-                    setPromiseDraft((p) => ({ ...p, note: e.target.value }))
-                  }
-                />
+                <button className="btn btnPrimary" onClick={saveTemplate}>
+                  Salvar modelo
+                </button>
+                <button
+                  className="btn btnDanger"
+                  onClick={deleteTemplate}
+                  disabled={!tplEditId || (templates || []).length <= 1}
+                >
+                  Excluir
+                </button>
+              </div>
+            </div>
+          </div>
+        ) : page === 'politica' ? (
+          <div className="grid">
+            <div className="panel panelWide">
+              <div className="panelTitle">Etapas</div>
+              <div className="sideHint" style={{ marginBottom: 10 }}>
+                Dias contam a partir do vencimento (negativo = antes dele).
+                Deixe em branco para não limitar. Quando mais de uma etapa
+                casar, vale a mais abaixo na lista.
+              </div>
+              <div className="tableCard">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Etapa</th>
+                      <th>Dias (de / até)</th>
+                      <th>Valor mínimo</th>
+                      <th>Cor</th>
+                      <th>Modelo padrão</th>
+                      <th className="thRight">Ordem</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {policyDraft.map((st, i) => (
+                      <tr key={st.id}>
+                        <td>
+                          <input
+                            className="input"
+                            value={st.name}
+                            onChange={(e) =>
+                              updateStageDraft(i, { name: e.target.value })
+                            }
+                          />
+                        </td>
+                        <td>
+                          <div style={{ display: 'flex', gap: 6 }}>
+                            <input
+                              className="input"
+                              value={st.minDays}
+                              onChange={(e) =>
+                                updateStageDraft(i, {
+                                  minDays: e.target.value,
+                                })
+                              }
+                              placeholder="—"
+                            />
+                            <input
+                              className="input"
+                              value={st.maxDays}
+                              onChange={(e) =>
+                                updateStageDraft(i, {
+                                  maxDays: e.target.value,
+                                })
+                              }
+                              placeholder="—"
+                            />
+                          </div>
+                        </td>
+                        <td>
+                          <input
+                            className="input"
+                            value={st.minValor}
+                            onChange={(e) =>
+                              updateStageDraft(i, { minValor: e.target.value })
+                            }
+                            placeholder="Sem mínimo"
+                          />
+                        </td>
+                        <td>
+                          <input
+                            type="color"
+                            value={st.color}
+                            onChange={(e) =>
+                              updateStageDraft(i, { color: e.target.value })
+                            }
+                          />{' '}
+                          <span className="pill" style={stagePillStyle(st)}>
+                            {st.name || '-'}
+                          </span>
+                        </td>
+                        <td>
+                          <select
+                            className="select"
+                            value={st.templateId}
+                            onChange={(e) =>
+                              updateStageDraft(i, {
+                                templateId: e.target.value,
+                              })
+                            }
+                          >
+                            <option value="">
+                              Modelo padrão (o do menu do cliente)
+                            </option>
+                            {(templates || []).map((t) => (
+                              <option key={t.id} value={t.id}>
+                                {t.name}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="tdRight">
+                          <button
+                            className="btn btnMini"
+                            onClick={() => moveStageDraft(i, -1)}
+                            disabled={i === 0}
+                          >
+                            ↑
+                          </button>
+                          <button
+                            className="btn btnMini"
+                            style={{ marginLeft: 6 }}
+                            onClick={() => moveStageDraft(i, 1)}
+                            disabled={i === policyDraft.length - 1}
+                          >
+                            ↓
+                          </button>
+                          <button
+                            className="btn btnMini btnDanger"
+                            style={{ marginLeft: 6 }}
+                            onClick={() =>
+                              setPolicyDraft((prev) =>
+                                prev.filter((_, j) => j !== i)
+                              )
+                            }
+                          >
+                            Remover
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
               </div>
-
               <div
                 style={{
                   display: 'flex',
@@ -1570,260 +5715,658 @@ export default function App() {
                   marginTop: 12,
                 }}
               >
-                <button className="btn btnPrimary" onClick={savePromiseDraft}>
-                  Salvar promessa
+                <button className="btn btnPrimary" onClick={savePolicy}>
+                  Salvar política
                 </button>
-                <button
-                  className="btn"
-                  onClick={() => setOpenPromiseModal(false)}
-                >
-                  Cancelar
+                <button className="btn" onClick={addStageDraft}>
+                  Nova etapa
+                </button>
+                <button className="btn" onClick={resetPolicyDraft}>
+                  Restaurar padrão
                 </button>
               </div>
+            </div>
+          </div>
+        ) : page === 'auditoria' ? (
+          <>
+            <div className="filters">
+              <input
+                className="input"
+                value={auditQ}
+                onChange={(e) => setAuditQ(e.target.value)}
+                placeholder="Buscar por nome, CPF, operador, valor…"
+              />
+              <select
+                className="select"
+                value={auditEntity}
+                onChange={(e) => setAuditEntity(e.target.value)}
+              >
+                <option value="">Tudo</option>
+                {AUDIT_ENTITIES.map((o) => (
+                  <option key={o.id} value={o.id}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="sideHint" style={{ marginTop: 10 }}>
+              {auditView.total} registro(s)
+              {audit.length >= AUDIT_KEEP
+                ? ` • só os ${AUDIT_KEEP} mais recentes ficam guardados`
+                : ''}
+              {auditView.total > AUDIT_PAGE_SIZE
+                ? ` • mostrando os ${AUDIT_PAGE_SIZE} mais recentes`
+                : ''}
+            </div>
 
-              <div className="sideHint" style={{ marginTop: 10 }}>
-                Dica: você pode registrar promessa direto no cliente (Ações →
-                Registrar promessa).
+            <div className="tableWrap">
+              <div className="tableCard">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Quando</th>
+                      <th>Operador</th>
+                      <th>O quê</th>
+                      <th>Registro</th>
+                      <th>Mudanças</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {auditView.items.map((e) => (
+                      <tr key={e.id} className="rowHover">
+                        <td>{new Date(e.at).toLocaleString('pt-BR')}</td>
+                        <td>{e.operator || '-'}</td>
+                        <td>
+                          {labelOf(AUDIT_ACTIONS, e.action)}{' '}
+                          {labelOf(AUDIT_ENTITIES, e.entity).toLowerCase()}
+                        </td>
+                        <td>
+                          <div className="tdStrong">
+                            {e.redacted
+                              ? 'Dados removidos (LGPD)'
+                              : e.label || '-'}
+                          </div>
+                          <div className="cellSub mono">{e.subject}</div>
+                        </td>
+                        <td>
+                          {e.action === 'alterar' ? (
+                            <div className="auditChanges">
+                              {auditChanges(e).map((c) => (
+                                <div key={c.field}>
+                                  <b>{c.field}</b>: {c.from || '∅'} →{' '}
+                                  {c.to || '∅'}
+                                </div>
+                              ))}
+                            </div>
+                          ) : e.redacted ? (
+                            '-'
+                          ) : (
+                            <div className="auditChanges mono">
+                              {JSON.stringify(e.after || e.before).slice(
+                                0,
+                                160
+                              )}
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                    {auditView.items.length === 0 && (
+                      <tr>
+                        <td colSpan={5} style={{ padding: 16, opacity: 0.8 }}>
+                          Nenhum registro.
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
               </div>
-            </Modal>
+            </div>
           </>
-        ) : (
-          <>
-            <div className="panel" style={{ marginTop: 12 }}>
-              <div className="panelTitle">Registrar promessa (manual)</div>
-
+        ) : page === 'privacidade' ? (
+          <div className="grid">
+            <div className="panel panelWide">
+              <div className="panelTitle">Retenção</div>
+              <div className="sideHint" style={{ marginBottom: 10 }}>
+                Clientes quitados e promessas encerradas há mais tempo que o
+                prazo são anonimizados automaticamente: somem CPF, nome,
+                telefone, observações e mensagens; ficam valores e datas para as
+                estatísticas.
+              </div>
               <div
                 style={{
-                  display: 'grid',
-                  gridTemplateColumns: 'repeat(3, minmax(180px, 1fr))',
+                  display: 'flex',
                   gap: 10,
-                  marginTop: 10,
-                }}
-              >
-                <input
-                  className="input"
-                  placeholder="Nome"
-                  value={promiseForm.Nome}
-                  onChange={(e) =>
-                    setPromiseForm((p) => ({ ...p, Nome: e.target.value }))
-                  }
-                />
-                <input
-                  className="input mono"
-                  placeholder="Telefone c/ DDD"
-                  value={promiseForm.Telefone}
-                  onChange={(e) =>
-                    setPromiseForm((p) => ({ ...p, Telefone: e.target.value }))
-                  }
-                />
-                <input
-                  className="input mono"
-                  placeholder="CPF (opcional)"
-                  value={promiseForm.CPF}
-                  onChange={(e) =>
-                    setPromiseForm((p) => ({ ...p, CPF: e.target.value }))
-                  }
-                />
-                <input
-                  className="input"
-                  placeholder="Valor (opcional)"
-                  value={promiseForm.Valor}
-                  onChange={(e) =>
-                    setPromiseForm((p) => ({ ...p, Valor: e.target.value }))
-                  }
-                />
-                <input
-                  className="input"
-                  type="date"
-                  value={promiseForm.promiseDate}
-                  onChange={(e) =>
-                    setPromiseForm((p) => ({
-                      ...p,
-                      promiseDate: e.target.value,
-                    }))
-                  }
-                />
-                <input
-                  className="input"
-                  placeholder="Observação (opcional)"
-                  value={promiseForm.note}
+                  alignItems: 'center',
+                  flexWrap: 'wrap',
+                }}
+              >
+                <select
+                  className="select"
+                  style={{ width: 240 }}
+                  value={privacy?.retentionDays || 0}
                   onChange={(e) =>
-                    setPromiseForm((p) => ({ ...p, note: e.target.value }))
+                    setPrivacy((prev) => ({
+                      ...prev,
+                      retentionDays: Number(e.target.value),
+                    }))
                   }
-                />
+                >
+                  {RETENTION_OPTIONS.map((d) => (
+                    <option key={d} value={d}>
+                      {d ? `Anonimizar após ${d} dias` : 'Desligado'}
+                    </option>
+                  ))}
+                </select>
+                <span className="sideHint">
+                  {privacy?.lastRun
+                    ? `Última anonimização: ${new Date(
+                        privacy.lastRun.at
+                      ).toLocaleString('pt-BR')} (${
+                        privacy.lastRun.count
+                      } cliente(s)/promessa(s))`
+                    : 'Nenhuma anonimização feita ainda.'}
+                </span>
               </div>
+            </div>
 
+            <div className="panel panelWide">
+              <div className="panelTitle">Titular dos dados</div>
               <div
                 style={{
                   display: 'flex',
                   gap: 10,
+                  alignItems: 'center',
                   flexWrap: 'wrap',
-                  marginTop: 12,
                 }}
               >
+                <select
+                  className="select"
+                  style={{ width: 140 }}
+                  value={subjectType}
+                  onChange={(e) => setSubjectType(e.target.value)}
+                >
+                  {SUBJECT_TYPES.map((t) => (
+                    <option key={t.id} value={t.id}>
+                      {t.label}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  className="input"
+                  style={{ width: 240 }}
+                  value={subjectText}
+                  onChange={(e) => setSubjectText(e.target.value)}
+                  placeholder={
+                    SUBJECT_TYPES.find((t) => t.id === subjectType)?.placeholder
+                  }
+                />
                 <button
-                  className="btn btnPrimary"
-                  onClick={savePromiseFromForm}
+                  className="btn"
+                  onClick={exportSubjectData}
+                  disabled={!subjectTotal}
                 >
-                  Salvar promessa
+                  Exportar dados
                 </button>
                 <button
-                  className="btn"
-                  onClick={() =>
-                    setPromiseForm({
-                      Nome: '',
-                      Telefone: '',
-                      CPF: '',
-                      Valor: '',
-                      promiseDate: '',
-                      note: '',
-                    })
-                  }
+                  className="btn btnDanger"
+                  onClick={eraseSubjectData}
+                  disabled={!subjectTotal}
                 >
-                  Limpar
+                  Apagar tudo deste titular
                 </button>
               </div>
+              {subjectData ? (
+                <div className="sideHint" style={{ marginTop: 10 }}>
+                  Nesta carteira — Clientes manuais:{' '}
+                  <b>{subjectData.records.manualClients.length}</b> • Linhas da
+                  base: <b>{subjectData.records.importedRows.length}</b> •
+                  Promessas:{' '}
+                  <b>{Object.keys(subjectData.records.promises).length}</b> •
+                  Pagamentos:{' '}
+                  <b>
+                    {Object.values(subjectData.records.payments).flat().length}
+                  </b>{' '}
+                  • Contatos:{' '}
+                  <b>
+                    {Object.values(subjectData.records.contacts).flat().length}
+                  </b>{' '}
+                  • Itens de campanha:{' '}
+                  <b>{subjectData.records.campaignItems.length}</b>
+                  {subjectElsewhere.map((x) => (
+                    <div key={x.id}>
+                      Carteira “{x.name}”:{' '}
+                      {x.error ? (
+                        <b style={{ color: 'var(--d)' }}>
+                          não foi possível ler
+                        </b>
+                      ) : (
+                        <b>{x.total} registro(s)</b>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              ) : subjectText ? (
+                <div className="sideHint" style={{ marginTop: 10 }}>
+                  {subjectType === 'tel'
+                    ? 'Informe o telefone com DDD.'
+                    : 'Informe os 11 dígitos do CPF ou os 14 do CNPJ.'}
+                </div>
+              ) : null}
+              <div className="sideHint" style={{ marginTop: 6 }}>
+                A busca e a exclusão valem para todas as carteiras deste
+                navegador. Pelo telefone só aparecem clientes sem CPF/CNPJ; os
+                demais são achados pelo documento.
+              </div>
             </div>
-
-            <div className="panel" style={{ marginTop: 12 }}>
-              <div className="panelTitle">Filtros</div>
-
+          </div>
+        ) : page === 'calendario' ? (
+          <div className="grid">
+            <div className="panel panelWide">
               <div
                 style={{
                   display: 'flex',
                   gap: 10,
-                  flexWrap: 'wrap',
                   alignItems: 'center',
-                  marginTop: 10,
+                  flexWrap: 'wrap',
                 }}
               >
-                <select
-                  className="select"
-                  value={promiseView}
-                  onChange={(e) => setPromiseView(e.target.value)}
-                  style={{ width: 220, minWidth: 180 }}
-                >
-                  <option value="TODAS">Todas</option>
-                  <option value="HOJE">Hoje</option>
-                  <option value="VENCIDAS">Vencidas</option>
-                  <option value="PROX7">Próx. 7 dias</option>
-                </select>
-
-                <button className="btn" onClick={() => setPromiseView('HOJE')}>
-                  Hoje
+                <button className="btn" onClick={() => shiftCalMonth(-1)}>
+                  ◀
+                </button>
+                <div className="panelTitle calTitle">{calendarView.title}</div>
+                <button className="btn" onClick={() => shiftCalMonth(1)}>
+                  ▶
                 </button>
                 <button
                   className="btn"
-                  onClick={() => setPromiseView('VENCIDAS')}
+                  onClick={() => {
+                    setCalMonth(
+                      new Date(baseHoje.getFullYear(), baseHoje.getMonth(), 1)
+                    );
+                    setCalDay(isoToDateInput(baseHoje.toISOString()));
+                  }}
                 >
-                  Vencidas
-                </button>
-                <button className="btn" onClick={() => setPromiseView('PROX7')}>
-                  Próx. 7 dias
-                </button>
-                <button className="btn" onClick={() => setPromiseView('TODAS')}>
-                  Limpar
+                  Hoje
                 </button>
+                <span className="sideHint">
+                  No mês: <b>{calendarView.totals.rows}</b> vencimento(s) •{' '}
+                  <b>{calendarView.totals.promises}</b> promessa(s) •{' '}
+                  <b>{toBRL(calendarView.totals.valor)}</b>
+                </span>
               </div>
 
-              <div className="sideHint" style={{ marginTop: 10 }}>
-                Total: <b>{promiseComputed.counts.total}</b> • Hoje:{' '}
-                <b>{promiseComputed.counts.hoje}</b> • Vencidas:{' '}
-                <b>{promiseComputed.counts.vencidas}</b> • Próx. 7 dias:{' '}
-                <b>{promiseComputed.counts.prox7}</b>
+              <div className="calGrid">
+                {WEEKDAYS_BR.map((w) => (
+                  <div key={w} className="calHead">
+                    {w}
+                  </div>
+                ))}
+                {calendarView.days.map((d) => (
+                  <button
+                    key={d.key}
+                    className={`calCell ${d.inMonth ? '' : 'calOut'} ${
+                      d.isToday ? 'calToday' : ''
+                    } ${calDay === d.key ? 'calActive' : ''}`}
+                    onClick={() => setCalDay(d.key)}
+                  >
+                    <span className="calNum">{d.date.getDate()}</span>
+                    {d.rows.length > 0 && (
+                      <span className="calLine">
+                        {d.rows.length} venc. • {toBRL(d.valor)}
+                      </span>
+                    )}
+                    {d.promises.length > 0 && (
+                      <span className="calLine calPromise">
+                        {d.promises.length} promessa(s)
+                      </span>
+                    )}
+                  </button>
+                ))}
               </div>
             </div>
 
-            <div className="tableWrap">
-              <div className="tableCard">
-                <table>
-                  <thead>
-                    <tr>
-                      <th>Promessa</th>
-                      <th>Nome</th>
-                      <th>Telefone</th>
-                      <th>Valor</th>
-                      <th className="thRight">Ações</th>
-                    </tr>
-                  </thead>
-
-                  <tbody>
-                    {promiseComputed.filtered.map((p) => {
-                      const d = new Date(p.promiseISO);
-                      const baseP = new Date(
-                        d.getFullYear(),
-                        d.getMonth(),
-                        d.getDate()
-                      );
-                      const vencida = baseP < baseHoje;
-                      const hoje_ = sameDay(baseP, baseHoje);
-
-                      const badgeClass = hoje_
-                        ? 'pill pillWarn'
-                        : vencida
-                        ? 'pill pillBad'
-                        : 'pill pillGood';
-
-                      const tel = p.snapshot?.Telefone || '';
-                      const nome = p.snapshot?.Nome || '-';
-                      const valor = p.snapshot?.Valor ?? '';
-                      const note = p.note || '';
-
-                      const msg = `Olá, ${nome}. Passando para confirmar a promessa de pagamento prevista para ${formatBR(
-                        d
-                      )}. Valor: ${toBRL(valor)}. ${
-                        note ? `Obs: ${note}. ` : ''
-                      }Se já pagou, me envie o comprovante, por favor.`;
+            {calendarView.selected && (
+              <div className="panel panelWide">
+                <div className="panelTitle">
+                  {formatBR(calendarView.selected.date)} •{' '}
+                  {calendarView.selected.rows.length} vencimento(s) •{' '}
+                  {calendarView.selected.promises.length} promessa(s)
+                </div>
+                <div className="issueList" style={{ marginTop: 0 }}>
+                  {calendarView.selected.rows.map((r) => {
+                    const msg = msgHoje(r);
+                    return (
+                      <div key={r._id} className="issueHead">
+                        <span>
+                          <span {...badgeForVenc(r)}>
+                            {stageOf(r)?.name || 'Vencimento'}
+                          </span>{' '}
+                          <b>{r.Nome || '-'}</b>
+                          {r.Parcela ? ` • ${r.Parcela}` : ''} •{' '}
+                          {toBRL(saldoOf(r))}
+                        </span>
+                        <span style={{ display: 'flex', gap: 8 }}>
+                          <button
+                            className="btn btnMini"
+                            onClick={() => copyAndLog(r._ledgerKey, msg)}
+                          >
+                            Copiar
+                          </button>
+                          <button
+                            className="btn btnMini btnPrimary"
+                            onClick={() =>
+                              whatsAndLog(r._ledgerKey, r.Telefone, msg)
+                            }
+                            disabled={!onlyDigits(r.Telefone)}
+                          >
+                            Whats
+                          </button>
+                        </span>
+                      </div>
+                    );
+                  })}
+                  {calendarView.selected.promises.map((p) => {
+                    const msg = renderTemplate(
+                      templateBody(promiseTplId),
+                      templateVarsForPromise(p)
+                    );
+                    const tel = p.snapshot?.Telefone || '';
+                    return (
+                      <div key={p.key} className="issueHead">
+                        <span>
+                          <span className="pill pillWarn">Promessa</span>{' '}
+                          <b>{p.snapshot?.Nome || '-'}</b> •{' '}
+                          {toBRL(p.snapshot?.Valor ?? '')}
+                        </span>
+                        <span style={{ display: 'flex', gap: 8 }}>
+                          <button
+                            className="btn btnMini"
+                            onClick={() => copyAndLog(p.key, msg)}
+                          >
+                            Copiar
+                          </button>
+                          <button
+                            className="btn btnMini btnPrimary"
+                            onClick={() => whatsAndLog(p.key, tel, msg)}
+                            disabled={!onlyDigits(tel)}
+                          >
+                            Whats
+                          </button>
+                        </span>
+                      </div>
+                    );
+                  })}
+                  {calendarView.selected.rows.length === 0 &&
+                    calendarView.selected.promises.length === 0 && (
+                      <div className="sideHint">Nada agendado neste dia.</div>
+                    )}
+                </div>
+              </div>
+            )}
+          </div>
+        ) : page === 'tendencias' ? (
+          <div className="grid">
+            <div className="panel panelWide">
+              <div
+                style={{
+                  display: 'flex',
+                  gap: 10,
+                  alignItems: 'center',
+                  flexWrap: 'wrap',
+                }}
+              >
+                {TREND_RANGES.map((n) => (
+                  <button
+                    key={n}
+                    className={`btn ${trendDays === n ? 'btnPrimary' : ''}`}
+                    onClick={() => setTrendDays(n)}
+                  >
+                    {n} dias
+                  </button>
+                ))}
+                <span className="sideHint">
+                  Um retrato por dia, salvo ao abrir o app ou quando os dados
+                  mudam. Dias com registro no período:{' '}
+                  <b>{trendView.available}</b>
+                </span>
+              </div>
+            </div>
 
-                      return (
-                        <tr key={p.key} className="rowHover">
-                          <td>
-                            <span className={badgeClass}>{formatBR(d)}</span>
-                          </td>
-                          <td className="tdStrong">{nome}</td>
-                          <td className="mono">{tel || '-'}</td>
-                          <td>{toBRL(valor)}</td>
-                          <td className="tdRight">
-                            <button
-                              className="btn btnMini"
-                              onClick={() => copiar(msg, 'Mensagem copiada ✅')}
-                            >
-                              Copiar
-                            </button>
-                            <button
-                              className="btn btnMini btnPrimary"
-                              style={{ marginLeft: 8 }}
-                              onClick={() => openWhats(tel, msg)}
-                              disabled={!onlyDigits(tel)}
-                            >
-                              Whats
-                            </button>
-                            <button
-                              className="btn btnMini btnDanger"
-                              style={{ marginLeft: 8 }}
-                              onClick={() => removePromiseByKey(p.key)}
-                            >
-                              Remover
-                            </button>
-                          </td>
-                        </tr>
-                      );
-                    })}
+            <div className="panel panelWide">
+              <div className="panelTitle">Quantidades</div>
+              <div className="chartBox">
+                <Line data={trendView.counts} options={chartOptions} />
+              </div>
+            </div>
 
-                    {promiseComputed.filtered.length === 0 && (
-                      <tr>
-                        <td colSpan={5} style={{ padding: 16, opacity: 0.8 }}>
-                          Nenhuma promessa nessa visão.
-                        </td>
-                      </tr>
-                    )}
-                  </tbody>
-                </table>
+            <div className="panel panelWide">
+              <div className="panelTitle">Valores (R$)</div>
+              <div className="chartBox">
+                <Line data={trendView.valores} options={chartOptions} />
               </div>
             </div>
-          </>
-        )}
+          </div>
+        ) : null}
       </main>
     </div>
   );
 }
+
+/** ===================== Carteiras ===================== */
+function loadWorkspaces() {
+  const saved = readJSON(LS_WORKSPACES, null);
+  const list = Array.isArray(saved?.list) ? saved.list : [];
+  if (!list.some((w) => w.id === DEFAULT_WORKSPACE_ID))
+    list.unshift({
+      id: DEFAULT_WORKSPACE_ID,
+      name: 'Carteira principal',
+      operator: '',
+    });
+  const activeId = list.some((w) => w.id === saved?.activeId)
+    ? saved.activeId
+    : DEFAULT_WORKSPACE_ID;
+  return { list, activeId };
+}
+
+/** Apaga tudo o que pertence a uma carteira (localStorage e IndexedDB). */
+async function purgeWorkspace(id) {
+  const suffix = `::${id}`;
+  storageKeys()
+    .filter((k) => k.endsWith(suffix))
+    .forEach(removeRaw);
+  await idbDel(nsKey(IDB_DATASET_KEY, id));
+}
+
+function Session({ security }) {
+  // Migra os dados antigos antes de qualquer carteira ler o localStorage.
+  const [migration] = useState(runMigrations);
+  const [workspaces, setWorkspaces] = useState(loadWorkspaces);
+
+  useEffect(() => {
+    if (!migration.error) return;
+    alert(
+      `Falha ao atualizar os dados salvos (v${migration.failed.from} → v${migration.failed.to}): ${migration.error}\n` +
+        `Uma cópia de segurança foi guardada em "${migration.backupKey}".`
+    );
+  }, [migration]);
+
+  useEffect(() => {
+    try {
+      writeJSON(LS_WORKSPACES, workspaces);
+    } catch (err) {
+      console.error(err);
+    }
+  }, [workspaces]);
+
+  const active =
+    workspaces.list.find((w) => w.id === workspaces.activeId) ||
+    workspaces.list[0];
+
+  function promptWorkspace(current) {
+    const name = prompt('Nome da carteira:', current?.name || '');
+    if (name === null || !name.trim()) return null;
+    const operator = prompt('Nome do operador:', current?.operator || '');
+    if (operator === null) return null;
+    return { name: name.trim(), operator: operator.trim() };
+  }
+
+  function createWorkspace() {
+    const data = promptWorkspace();
+    if (!data) return;
+    const ws = {
+      id: `cart_${Date.now().toString(36)}`,
+      ...data,
+      createdAt: new Date().toISOString(),
+    };
+    setWorkspaces((prev) => ({ list: [...prev.list, ws], activeId: ws.id }));
+  }
+
+  function editWorkspace(id) {
+    const current = workspaces.list.find((w) => w.id === id);
+    const data = promptWorkspace(current);
+    if (!data) return;
+    setWorkspaces((prev) => ({
+      ...prev,
+      list: prev.list.map((w) => (w.id === id ? { ...w, ...data } : w)),
+    }));
+  }
+
+  function deleteWorkspace(id) {
+    if (id === DEFAULT_WORKSPACE_ID) return;
+    const ws = workspaces.list.find((w) => w.id === id);
+    if (!confirm(`Excluir a carteira "${ws?.name}" e TODOS os dados dela?`))
+      return;
+    purgeWorkspace(id).catch((err) => console.error(err));
+    setWorkspaces((prev) => ({
+      list: prev.list.filter((w) => w.id !== id),
+      activeId: DEFAULT_WORKSPACE_ID,
+    }));
+  }
+
+  return (
+    <Workspace
+      key={active.id}
+      security={security}
+      workspace={active}
+      workspaces={workspaces.list}
+      onSwitchWorkspace={(id) =>
+        setWorkspaces((prev) => ({ ...prev, activeId: id }))
+      }
+      onCreateWorkspace={createWorkspace}
+      onEditWorkspace={editWorkspace}
+      onDeleteWorkspace={deleteWorkspace}
+    />
+  );
+}
+
+/** ===================== Bloqueio ===================== */
+/** Nada é decifrado (nem migrado) antes do PIN: a sessão só monta depois. */
+export default function App() {
+  const [lockConfig, setLockConfig] = useState(readLockConfig);
+  const [locked, setLocked] = useState(() => !!readLockConfig());
+  const lastActivity = useRef(Date.now());
+
+  async function unlock(pin) {
+    const { ok, unreadable } = await unlockStorage(pin);
+    if (ok) {
+      lastActivity.current = Date.now();
+      setLocked(false);
+    }
+    if (unreadable.length)
+      alert(
+        `${unreadable.length} item(ns) salvos não puderam ser decifrados e ficaram de fora:\n` +
+          unreadable.join('\n') +
+          `\nO conteúdo original foi guardado com o prefixo "${LS_QUARANTINE_PREFIX}".`
+      );
+    return ok;
+  }
+
+  // Vale também com a sessão bloqueada (gravação cifrada ainda terminando).
+  useEffect(
+    () =>
+      onStorageError(({ error }) =>
+        alert(
+          isQuotaError(error)
+            ? 'O navegador está sem espaço para salvar os dados deste app. As últimas mudanças ficam só nesta aba até liberar espaço: exporte um backup e exclua carteiras ou dados antigos.'
+            : `Não foi possível salvar os dados no navegador: ${
+                error?.message || error
+              }`
+        )
+      ),
+    []
+  );
+
+  // Bloqueia só depois de gravar o que ainda está sendo cifrado.
+  function lockNow() {
+    flushWrites().finally(() => setLocked(true));
+  }
+
+  useEffect(() => {
+    if (locked) lockStorage();
+  }, [locked]);
+
+  // A cifragem é assíncrona: ao esconder a página, termina o que falta; ao
+  // fechar com gravação pendente, o navegador pede confirmação.
+  useEffect(() => {
+    const flush = () => {
+      flushWrites();
+    };
+    const guard = (e) => {
+      if (!hasPendingWrites()) return;
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('pagehide', flush);
+    window.addEventListener('beforeunload', guard);
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      window.removeEventListener('beforeunload', guard);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (locked || !lockConfig) return;
+    const touch = () => {
+      lastActivity.current = Date.now();
+    };
+    const events = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel'];
+    events.forEach((ev) =>
+      window.addEventListener(ev, touch, { passive: true })
+    );
+    const timer = setInterval(() => {
+      const idleMs = (lockConfig.idleMinutes || IDLE_OPTIONS[0]) * 60 * 1000;
+      if (Date.now() - lastActivity.current >= idleMs) lockNow();
+    }, 15000);
+    return () => {
+      events.forEach((ev) => window.removeEventListener(ev, touch));
+      clearInterval(timer);
+    };
+  }, [locked, lockConfig]);
+
+  async function setPin(pin) {
+    await rekeyStorage(pin);
+    setLockConfig(readLockConfig());
+  }
+
+  function setIdleMinutes(minutes) {
+    const next = { ...readLockConfig(), idleMinutes: minutes };
+    writeLockConfig(next);
+    setLockConfig(next);
+  }
+
+  if (locked) return <LockScreen onUnlock={unlock} />;
+
+  return (
+    <Session
+      security={{
+        enabled: !!lockConfig,
+        idleMinutes: lockConfig?.idleMinutes || IDLE_OPTIONS[0],
+        setPin,
+        removePin: () => setPin(null),
+        setIdleMinutes,
+        lockNow,
+      }}
+    />
+  );
+}
@@ -0,0 +1,110 @@
+// @vitest-environment jsdom
+import 'fake-indexeddb/auto';
+import { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import { afterEach, expect, it, vi } from 'vitest';
+
+import App from './App.jsx';
+import { bytesToB64, deriveKey, encryptText } from './lib/crypto';
+import {
+  lockStorage,
+  LS_PAYMENTS,
+  LS_PROMISES,
+  writeLockConfig,
+} from './lib/storage';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  document.body.innerHTML = '';
+  lockStorage();
+  localStorage.clear();
+});
+
+/** Erros de console, fora os avisos de canvas (jsdom não tem) dos gráficos. */
+function captureErrors() {
+  const errors = [];
+  vi.spyOn(console, 'error').mockImplementation((...args) => {
+    const text = args.map(String).join(' ');
+    if (!/getContext|canvas|acquire context/i.test(text)) errors.push(text);
+  });
+  return errors;
+}
+
+async function renderApp() {
+  const el = document.createElement('div');
+  document.body.appendChild(el);
+  const root = createRoot(el);
+  await act(async () => root.render(<App />));
+  await act(() => new Promise((r) => setTimeout(r, 100)));
+  return { el, root };
+}
+
+it('abre todas as páginas sem erro de render', async () => {
+  const errors = captureErrors();
+  const { el, root } = await renderApp();
+  expect(el.textContent).toContain('Dashboard');
+
+  for (const label of [
+    'Clientes',
+    'Promessas',
+    'Mensagens',
+    'Tendências',
+    'Calendário',
+    'Política',
+    'Privacidade',
+    'Auditoria',
+  ]) {
+    const button = [...el.querySelectorAll('button')].find((b) =>
+      b.textContent.trim().startsWith(label)
+    );
+    expect(button, label).toBeTruthy();
+    await act(async () => button.click());
+  }
+
+  await act(async () => root.unmount());
+  expect(errors).toEqual([]);
+});
+
+it('desbloqueia e avisa da quarentena quando uma chave não decifra', async () => {
+  const salt = bytesToB64(new Uint8Array(16).fill(3));
+  const key = await deriveKey('1234', salt, 1000);
+  writeLockConfig({
+    salt,
+    iterations: 1000,
+    check: await encryptText(key, 'ok'),
+  });
+  localStorage.setItem(LS_PROMISES, await encryptText(key, '{}'));
+  const other = await deriveKey('9999', salt, 1000);
+  const corrupted = await encryptText(other, '{}');
+  localStorage.setItem(LS_PAYMENTS, corrupted);
+
+  const errors = captureErrors();
+  const alert = vi.spyOn(window, 'alert').mockImplementation(() => {});
+  const { el, root } = await renderApp();
+  expect(el.textContent).toContain('Desbloquear');
+
+  const input = el.querySelector('input[type="password"]');
+  const setValue = Object.getOwnPropertyDescriptor(
+    HTMLInputElement.prototype,
+    'value'
+  ).set;
+  await act(async () => {
+    setValue.call(input, '1234');
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+  });
+  await act(async () => el.querySelector('form').requestSubmit());
+  await act(() => new Promise((r) => setTimeout(r, 100)));
+
+  expect(alert).toHaveBeenCalledTimes(1);
+  expect(alert.mock.calls[0][0]).toContain(LS_PAYMENTS);
+  expect(alert.mock.calls[0][0]).toContain('"quarentena:"');
+  expect(localStorage.getItem(`quarentena:${LS_PAYMENTS}`)).toBe(corrupted);
+  expect(el.textContent).not.toContain('Não foi possível abrir os dados');
+  expect(el.textContent).toContain('Dashboard');
+
+  await act(async () => root.unmount());
+  // A chave ruim só aparece no log do decifrar, não como erro do app.
+  expect(errors.filter((e) => !/OperationError|decrypt/i.test(e))).toEqual([]);
+});
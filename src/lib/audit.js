@@ -0,0 +1,99 @@
+import { uid } from './utils';
+import { ledgerKeyFor } from './ledger';
+
+/** ===================== Auditoria ===================== */
+export const AUDIT_ENTITIES = [
+  { id: 'cliente', label: 'Cliente' },
+  { id: 'promessa', label: 'Promessa' },
+  { id: 'pagamento', label: 'Pagamento' },
+];
+export const AUDIT_ACTIONS = [
+  { id: 'criar', label: 'Criou' },
+  { id: 'alterar', label: 'Alterou' },
+  { id: 'excluir', label: 'Excluiu' },
+];
+export const AUDIT_PAGE_SIZE = 200;
+/** O log só cresce; passando disso, os registros mais antigos saem. */
+export const AUDIT_KEEP = 5000;
+
+export function appendAudit(list, entries) {
+  return [...(list || []), ...entries].slice(-AUDIT_KEEP);
+}
+
+/** Registros auditados de cada store, por id: `{ value, subject, label }`. */
+function auditItems(entity, store) {
+  const out = new Map();
+  if (entity === 'cliente')
+    for (const c of store || [])
+      out.set(c._id, {
+        value: c,
+        subject: ledgerKeyFor({ ...c, _source: 'manual' }),
+        label: c.Nome || '',
+      });
+  if (entity === 'promessa')
+    for (const [k, p] of Object.entries(store || {}))
+      out.set(k, { value: p, subject: k, label: p?.snapshot?.Nome || '' });
+  if (entity === 'pagamento')
+    for (const [k, list] of Object.entries(store || {}))
+      for (const x of list)
+        out.set(x.id, { value: { ...x, key: k }, subject: k, label: k });
+  return out;
+}
+
+/** Entradas de auditoria para o que mudou entre duas versões de uma store. */
+export function auditDiff(entity, prev, next, base) {
+  const before = auditItems(entity, prev);
+  const after = auditItems(entity, next);
+  const out = [];
+  const push = (action, id, a, b) =>
+    out.push({
+      ...base,
+      id: uid(),
+      entity,
+      action,
+      recordId: id,
+      subject: (a || b).subject,
+      label: (b || a).label,
+      before: a ? a.value : null,
+      after: b ? b.value : null,
+    });
+
+  for (const [id, b] of after) {
+    const a = before.get(id);
+    if (!a) push('criar', id, null, b);
+    else if (JSON.stringify(a.value) !== JSON.stringify(b.value))
+      push('alterar', id, a, b);
+  }
+  for (const [id, a] of before)
+    if (!after.has(id)) push('excluir', id, a, null);
+  return out;
+}
+
+/** Campos que mudaram num 'alterar' (nível de topo). */
+export function auditChanges(entry) {
+  const a = entry.before || {};
+  const b = entry.after || {};
+  const fmt = (v) => {
+    const t = typeof v === 'string' ? v : v == null ? '' : JSON.stringify(v);
+    return t.length > 60 ? `${t.slice(0, 60)}…` : t;
+  };
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter((k) => JSON.stringify(a[k]) !== JSON.stringify(b[k]))
+    .map((k) => ({ field: k, from: fmt(a[k]), to: fmt(b[k]) }));
+}
+
+/** LGPD: mantém o registro do que aconteceu, sem os dados pessoais. */
+export function redactAudit(list, subjects) {
+  return (list || []).map((e) =>
+    subjects.has(e.subject)
+      ? {
+          ...e,
+          subject: '',
+          label: '',
+          before: null,
+          after: null,
+          redacted: true,
+        }
+      : e
+  );
+}
@@ -0,0 +1,133 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  appendAudit,
+  AUDIT_KEEP,
+  auditChanges,
+  auditDiff,
+  redactAudit,
+} from './audit';
+
+const base = { at: '2024-05-01T00:00:00.000Z', operator: 'op' };
+const summary = (list) => list.map((e) => [e.action, e.recordId, e.subject]);
+
+describe('auditDiff', () => {
+  it('clientes: criar, alterar e excluir por _id', () => {
+    const prev = [
+      { _id: 'm1', Nome: 'Ana', CPF: '529.982.247-25' },
+      { _id: 'm2', Nome: 'Bruno' },
+    ];
+    const next = [
+      { _id: 'm1', Nome: 'Ana Maria', CPF: '529.982.247-25' },
+      { _id: 'm3', Nome: 'Caio' },
+    ];
+    const out = auditDiff('cliente', prev, next, base);
+    expect(summary(out)).toEqual([
+      ['alterar', 'm1', 'cpf:52998224725'],
+      ['criar', 'm3', 'manual:m3'],
+      ['excluir', 'm2', 'manual:m2'],
+    ]);
+    expect(out[0]).toMatchObject({
+      ...base,
+      entity: 'cliente',
+      label: 'Ana Maria',
+      before: prev[0],
+      after: next[0],
+    });
+    expect(out[2].after).toBeNull();
+  });
+
+  it('pagamentos: um registro por lançamento, com a chave do livro', () => {
+    const out = auditDiff(
+      'pagamento',
+      { 'cpf:1': [{ id: 'p1', amount: 10 }] },
+      {
+        'cpf:1': [
+          { id: 'p1', amount: 10 },
+          { id: 'p2', amount: 5 },
+        ],
+      },
+      base
+    );
+    expect(summary(out)).toEqual([['criar', 'p2', 'cpf:1']]);
+    expect(out[0].after).toEqual({ id: 'p2', amount: 5, key: 'cpf:1' });
+  });
+
+  it('promessas: por chave do cliente', () => {
+    const out = auditDiff(
+      'promessa',
+      { 'cpf:1': { promiseISO: 'a', snapshot: { Nome: 'Ana' } } },
+      {},
+      base
+    );
+    expect(summary(out)).toEqual([['excluir', 'cpf:1', 'cpf:1']]);
+    expect(out[0].label).toBe('Ana');
+  });
+
+  it('sem mudança, sem entrada', () => {
+    const store = [{ _id: 'm1', Nome: 'Ana' }];
+    expect(auditDiff('cliente', store, [...store], base)).toEqual([]);
+  });
+});
+
+describe('auditChanges', () => {
+  it('lista só os campos que mudaram, encurtando textos longos', () => {
+    const long = 'x'.repeat(80);
+    expect(
+      auditChanges({
+        before: { Nome: 'Ana', Valor: 10, Obs: '' },
+        after: { Nome: 'Ana', Valor: 12, Obs: long, Telefone: '1' },
+      })
+    ).toEqual([
+      { field: 'Valor', from: '10', to: '12' },
+      { field: 'Obs', from: '', to: `${'x'.repeat(60)}…` },
+      { field: 'Telefone', from: '', to: '1' },
+    ]);
+  });
+});
+
+describe('redactAudit', () => {
+  it('apaga os dados do titular e mantém o que aconteceu', () => {
+    const list = [
+      {
+        id: 'a',
+        action: 'criar',
+        subject: 'cpf:1',
+        label: 'Ana',
+        before: null,
+        after: {},
+      },
+      {
+        id: 'b',
+        action: 'criar',
+        subject: 'cpf:2',
+        label: 'Bruno',
+        before: null,
+        after: {},
+      },
+    ];
+    expect(redactAudit(list, new Set(['cpf:1']))).toEqual([
+      {
+        id: 'a',
+        action: 'criar',
+        subject: '',
+        label: '',
+        before: null,
+        after: null,
+        redacted: true,
+      },
+      list[1],
+    ]);
+  });
+});
+
+describe('appendAudit', () => {
+  it('acrescenta no fim e descarta os mais antigos além do limite', () => {
+    expect(appendAudit(undefined, [{ id: 'a' }])).toEqual([{ id: 'a' }]);
+    const full = Array.from({ length: AUDIT_KEEP }, (_, i) => ({ id: `${i}` }));
+    const next = appendAudit(full, [{ id: 'x' }, { id: 'y' }]);
+    expect(next).toHaveLength(AUDIT_KEEP);
+    expect(next[0].id).toBe('2');
+    expect(next.slice(-2)).toEqual([{ id: 'x' }, { id: 'y' }]);
+  });
+});
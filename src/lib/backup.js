@@ -0,0 +1,187 @@
+import { isPlainObject, safeParse } from './utils';
+import { DEFAULT_POLICY } from './policy';
+import { DEFAULT_TEMPLATES } from './messages';
+import { DEFAULT_PRIVACY } from './privacy';
+
+/** ===================== Backup ===================== */
+export const BACKUP_APP = 'operador-acordos';
+export const BACKUP_VERSION = 1;
+
+/**
+ * Stores incluídas no backup e como cada uma é contada/mesclada.
+ * `item`: formato mínimo de cada registro (o app quebra sem isso);
+ * `initial`: valor de uma store ausente do backup no modo "substituir".
+ * Stores `settings` são um objeto só, validado inteiro por `item`.
+ */
+export const BACKUP_STORES = [
+  {
+    id: 'manualClients',
+    label: 'Clientes manuais',
+    type: 'list',
+    idField: '_id',
+    item: (x) =>
+      hasStringId(x, '_id') &&
+      (!x.VencimentoISO || isISODate(x.VencimentoISO)) &&
+      (x.Parcelas == null || Array.isArray(x.Parcelas)),
+    initial: () => [],
+  },
+  {
+    id: 'promises',
+    label: 'Promessas',
+    type: 'map',
+    item: (x) => isPlainObject(x) && (!x.promiseISO || isISODate(x.promiseISO)),
+    initial: () => ({}),
+  },
+  {
+    id: 'payments',
+    label: 'Pagamentos',
+    type: 'mapOfLists',
+    item: (x) =>
+      hasStringId(x, 'id') &&
+      typeof x.amount === 'number' &&
+      Number.isFinite(x.amount) &&
+      isISODate(x.dateISO),
+    initial: () => ({}),
+  },
+  {
+    id: 'contacts',
+    label: 'Contatos',
+    type: 'mapOfLists',
+    item: (x) => hasStringId(x, 'id') && isISODate(x.at),
+    initial: () => ({}),
+  },
+  {
+    id: 'templates',
+    label: 'Modelos',
+    type: 'list',
+    idField: 'id',
+    item: (x) => hasStringId(x, 'id') && typeof x.body === 'string',
+    initial: () => DEFAULT_TEMPLATES,
+  },
+  {
+    id: 'campaigns',
+    label: 'Campanhas',
+    type: 'list',
+    idField: 'id',
+    item: (x) => hasStringId(x, 'id') && Array.isArray(x.items),
+    initial: () => [],
+  },
+  {
+    id: 'mappingProfiles',
+    label: 'Mapeamentos',
+    type: 'list',
+    idField: 'id',
+    item: (x) => hasStringId(x, 'id'),
+    initial: () => [],
+  },
+  {
+    id: 'snapshots',
+    label: 'Histórico diário',
+    type: 'map',
+    item: isPlainObject,
+    initial: () => ({}),
+  },
+  {
+    id: 'policy',
+    label: 'Política',
+    type: 'list',
+    idField: 'id',
+    item: (x) => hasStringId(x, 'id'),
+    initial: () => DEFAULT_POLICY,
+  },
+  {
+    id: 'privacy',
+    label: 'Retenção (LGPD)',
+    type: 'settings',
+    item: (x) =>
+      isPlainObject(x) &&
+      Number.isInteger(x.retentionDays) &&
+      x.retentionDays >= 0 &&
+      (x.lastRun == null ||
+        (isPlainObject(x.lastRun) && isISODate(x.lastRun.at))),
+    initial: () => DEFAULT_PRIVACY,
+  },
+];
+
+function hasStringId(v, field) {
+  return isPlainObject(v) && typeof v[field] === 'string' && v[field] !== '';
+}
+function isISODate(v) {
+  return typeof v === 'string' && !Number.isNaN(Date.parse(v));
+}
+/** Itens de uma store já com o container validado, com onde estão. */
+function storeItems(store, value) {
+  if (store.type === 'list') return value.map((x, i) => [`item ${i + 1}`, x]);
+  if (store.type === 'settings') return [['configuração', value]];
+  if (store.type === 'map') return Object.entries(value);
+  return Object.entries(value).flatMap(([k, list]) =>
+    list.map((x, i) => [`${k} #${i + 1}`, x])
+  );
+}
+export function countStore(store, value) {
+  if (store.type === 'list') return (value || []).length;
+  if (store.type === 'settings') return value ? 1 : 0;
+  if (store.type === 'map') return Object.keys(value || {}).length;
+  return Object.values(value || {}).reduce((acc, l) => acc + l.length, 0);
+}
+
+/** Lê e valida o arquivo; devolve `{ backup }` ou `{ error }`. */
+export function parseBackup(text) {
+  const data = safeParse(text, null);
+  if (!isPlainObject(data) || data.app !== BACKUP_APP)
+    return { error: 'Arquivo não é um backup deste app.' };
+  if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION)
+    return {
+      error: `Versão de backup não suportada (${data.version ?? '?'}).`,
+    };
+  if (!isPlainObject(data.stores))
+    return { error: 'Backup sem dados (campo "stores").' };
+
+  for (const store of BACKUP_STORES) {
+    const v = data.stores[store.id];
+    if (v === undefined) continue;
+    const ok =
+      store.type === 'list'
+        ? Array.isArray(v)
+        : isPlainObject(v) &&
+          (store.type !== 'mapOfLists' ||
+            Object.values(v).every(Array.isArray));
+    if (!ok) return { error: `"${store.label}" está em formato inválido.` };
+    const bad = storeItems(store, v).find(([, x]) => !store.item(x));
+    if (bad)
+      return {
+        error: `"${store.label}" tem um registro inválido (${bad[0]}).`,
+      };
+  }
+  if (
+    data.imported != null &&
+    !(
+      Array.isArray(data.imported?.rows) &&
+      data.imported.rows.every(isPlainObject)
+    )
+  )
+    return { error: 'Base importada do backup está em formato inválido.' };
+
+  return { backup: data };
+}
+
+/** Mescla sem apagar nada: o que já existe fica, o que falta entra. */
+export function mergeStore(store, current, incoming) {
+  if (incoming === undefined) return current;
+  if (store.type === 'settings') return current ?? incoming;
+  if (store.type === 'list') {
+    const ids = new Set((current || []).map((x) => x?.[store.idField]));
+    return [
+      ...(current || []),
+      ...incoming.filter((x) => !ids.has(x?.[store.idField])),
+    ];
+  }
+  if (store.type === 'map') return { ...incoming, ...(current || {}) };
+
+  const out = { ...(current || {}) };
+  for (const [k, list] of Object.entries(incoming)) {
+    const ids = new Set((out[k] || []).map((x) => x?.id));
+    out[k] = [...(out[k] || []), ...list.filter((x) => !ids.has(x?.id))];
+  }
+  return out;
+}
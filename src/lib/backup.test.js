@@ -0,0 +1,159 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  BACKUP_APP,
+  BACKUP_STORES,
+  BACKUP_VERSION,
+  countStore,
+  mergeStore,
+  parseBackup,
+} from './backup';
+
+const storeById = (id) => BACKUP_STORES.find((s) => s.id === id);
+const file = (stores, extra) =>
+  JSON.stringify({
+    app: BACKUP_APP,
+    version: BACKUP_VERSION,
+    stores,
+    ...extra,
+  });
+
+describe('parseBackup', () => {
+  const stores = {
+    manualClients: [
+      { _id: 'm1', Nome: 'Ana', VencimentoISO: '2024-03-10T03:00:00.000Z' },
+    ],
+    promises: { 'cpf:1': { promiseISO: '2024-03-12T03:00:00.000Z' } },
+    payments: {
+      'cpf:1': [{ id: 'p1', amount: 50, dateISO: '2024-03-11T03:00:00.000Z' }],
+    },
+    contacts: { 'cpf:1': [{ id: 'c1', at: '2024-03-09T12:00:00.000Z' }] },
+  };
+
+  it('aceita um backup válido, mesmo sem todas as stores', () => {
+    const text = file(stores, { imported: { rows: [{ Nome: 'Ana' }] } });
+    expect(parseBackup(text)).toEqual({ backup: JSON.parse(text) });
+  });
+
+  it.each([
+    ['não é JSON', 'Arquivo não é um backup deste app.'],
+    [JSON.stringify({ app: 'outro' }), 'Arquivo não é um backup deste app.'],
+    [
+      JSON.stringify({ app: BACKUP_APP, version: BACKUP_VERSION + 1 }),
+      `Versão de backup não suportada (${BACKUP_VERSION + 1}).`,
+    ],
+    [
+      JSON.stringify({ app: BACKUP_APP }),
+      'Versão de backup não suportada (?).',
+    ],
+    [
+      JSON.stringify({ app: BACKUP_APP, version: BACKUP_VERSION }),
+      'Backup sem dados (campo "stores").',
+    ],
+  ])('recusa o arquivo %#', (text, error) => {
+    expect(parseBackup(text)).toEqual({ error });
+  });
+
+  it('recusa store com o container errado', () => {
+    expect(parseBackup(file({ manualClients: {} }))).toEqual({
+      error: '"Clientes manuais" está em formato inválido.',
+    });
+    expect(parseBackup(file({ payments: { 'cpf:1': {} } }))).toEqual({
+      error: '"Pagamentos" está em formato inválido.',
+    });
+  });
+
+  it('aponta o registro inválido', () => {
+    const bad = (over) => parseBackup(file({ ...stores, ...over })).error;
+    expect(
+      bad({ manualClients: [...stores.manualClients, { Nome: 'x' }] })
+    ).toBe('"Clientes manuais" tem um registro inválido (item 2).');
+    expect(
+      bad({ payments: { 'cpf:1': [{ id: 'p1', amount: '50', dateISO: 'x' }] } })
+    ).toBe('"Pagamentos" tem um registro inválido (cpf:1 #1).');
+    expect(bad({ promises: { 'cpf:1': { promiseISO: 'ontem' } } })).toBe(
+      '"Promessas" tem um registro inválido (cpf:1).'
+    );
+  });
+
+  it('valida a configuração de retenção como um objeto só', () => {
+    const privacy = {
+      retentionDays: 90,
+      lastRun: { at: '2024-03-09T12:00:00.000Z', count: 2 },
+    };
+    expect(parseBackup(file({ privacy })).backup.stores.privacy).toEqual(
+      privacy
+    );
+    expect(parseBackup(file({ privacy: [] })).error).toBe(
+      '"Retenção (LGPD)" está em formato inválido.'
+    );
+    expect(
+      parseBackup(file({ privacy: { retentionDays: '90', lastRun: null } }))
+        .error
+    ).toBe('"Retenção (LGPD)" tem um registro inválido (configuração).');
+  });
+
+  it('recusa base importada sem linhas', () => {
+    for (const imported of [{}, { rows: [1] }])
+      expect(parseBackup(file(stores, { imported }))).toEqual({
+        error: 'Base importada do backup está em formato inválido.',
+      });
+  });
+});
+
+describe('mergeStore', () => {
+  it('listas: mantém o atual e acrescenta ids novos', () => {
+    const store = storeById('manualClients');
+    const current = [{ _id: 'm1', Nome: 'Atual' }];
+    const incoming = [
+      { _id: 'm1', Nome: 'Backup' },
+      { _id: 'm2', Nome: 'Nova' },
+    ];
+    expect(mergeStore(store, current, incoming)).toEqual([
+      { _id: 'm1', Nome: 'Atual' },
+      { _id: 'm2', Nome: 'Nova' },
+    ]);
+  });
+
+  it('mapas: a chave atual prevalece', () => {
+    expect(mergeStore(storeById('promises'), { a: 1 }, { a: 2, b: 3 })).toEqual(
+      { a: 1, b: 3 }
+    );
+  });
+
+  it('mapas de listas: junta por chave sem repetir ids', () => {
+    const current = { k: [{ id: '1' }] };
+    const incoming = { k: [{ id: '1' }, { id: '2' }], j: [{ id: '3' }] };
+    expect(mergeStore(storeById('payments'), current, incoming)).toEqual({
+      k: [{ id: '1' }, { id: '2' }],
+      j: [{ id: '3' }],
+    });
+  });
+
+  it('configuração: a atual prevalece', () => {
+    const current = { retentionDays: 30, lastRun: null };
+    const incoming = { retentionDays: 365, lastRun: null };
+    expect(mergeStore(storeById('privacy'), current, incoming)).toBe(current);
+    expect(storeById('privacy').initial()).toEqual({
+      retentionDays: 0,
+      lastRun: null,
+    });
+  });
+
+  it('store ausente do backup fica como está', () => {
+    const current = [{ id: 'x' }];
+    expect(mergeStore(storeById('templates'), current, undefined)).toBe(
+      current
+    );
+  });
+});
+
+describe('countStore', () => {
+  it('conta registros conforme o tipo da store', () => {
+    expect(countStore(storeById('templates'), [{}, {}])).toBe(2);
+    expect(countStore(storeById('promises'), { a: {}, b: {} })).toBe(2);
+    expect(countStore(storeById('payments'), { a: [{}], b: [{}, {}] })).toBe(3);
+    expect(countStore(storeById('payments'), undefined)).toBe(0);
+    expect(countStore(storeById('privacy'), { retentionDays: 0 })).toBe(1);
+  });
+});
@@ -0,0 +1,19 @@
+/** ===================== Time ===================== */
+export const MS_DAY = 24 * 60 * 60 * 1000;
+
+/** ===================== Calendário ===================== */
+export const WEEKDAYS_BR = ['Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb', 'Dom'];
+
+/** Semanas (segunda a domingo) que cobrem o mês de `monthStart`. */
+export function monthGrid(monthStart) {
+  const first = new Date(monthStart.getFullYear(), monthStart.getMonth(), 1);
+  const start = new Date(first);
+  start.setDate(start.getDate() - ((first.getDay() + 6) % 7));
+  const days = [];
+  const d = new Date(start);
+  do {
+    days.push(new Date(d));
+    d.setDate(d.getDate() + 1);
+  } while (d.getMonth() === first.getMonth() || days.length % 7 !== 0);
+  return days;
+}
@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+
+import { monthGrid } from './calendar';
+
+describe('monthGrid', () => {
+  const ymd = (d) => `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+
+  it('semanas completas de segunda a domingo cobrindo o mês', () => {
+    const days = monthGrid(new Date(2024, 1, 15));
+    expect(days).toHaveLength(35);
+    expect(ymd(days[0])).toBe('2024-1-29');
+    expect(ymd(days.at(-1))).toBe('2024-3-3');
+    expect(days.every((d, i) => d.getDay() === (i + 1) % 7)).toBe(true);
+  });
+
+  it('mês que começa na segunda não puxa a semana anterior', () => {
+    const days = monthGrid(new Date(2024, 3, 1));
+    expect(ymd(days[0])).toBe('2024-4-1');
+    expect(ymd(days.at(-1))).toBe('2024-5-5');
+  });
+
+  it('mês de seis semanas', () => {
+    expect(monthGrid(new Date(2024, 8, 1))).toHaveLength(42);
+  });
+});
@@ -0,0 +1,73 @@
+import { dueTime } from './ledger';
+import { buildWhatsLinkBR } from './messages';
+
+/** ===================== Campanhas ===================== */
+/**
+ * Itens de uma campanha, do vencimento mais antigo ao mais novo: um por
+ * cliente (chave do livro) e só quem tem telefone válido para o Whats.
+ * `message(r)` monta o texto de cada um.
+ */
+export function buildCampaignItems(rows, message) {
+  const seen = new Set();
+  let invalid = 0;
+  const items = [];
+  for (const r of [...rows].sort((a, b) => dueTime(a) - dueTime(b))) {
+    if (seen.has(r._ledgerKey)) continue;
+    seen.add(r._ledgerKey);
+    if (!buildWhatsLinkBR(r.Telefone, '')) {
+      invalid += 1;
+      continue;
+    }
+    items.push({
+      key: r._ledgerKey,
+      Nome: r.Nome,
+      Telefone: r.Telefone,
+      message: message(r),
+      status: 'pendente',
+      at: '',
+    });
+  }
+  return { items, invalid };
+}
+
+/**
+ * Marca o item atual e avança para o próximo pendente, voltando ao começo
+ * para os que foram deixados para trás. Sem pendentes, a campanha termina.
+ */
+export function markCampaignItem(c, status, at = new Date().toISOString()) {
+  if (!c.items[c.cursor]) return c;
+  const items = [...c.items];
+  items[c.cursor] = { ...items[c.cursor], status, at };
+  let next = items.findIndex(
+    (it, i) => i > c.cursor && it.status === 'pendente'
+  );
+  if (next < 0) next = items.findIndex((it) => it.status === 'pendente');
+  return {
+    ...c,
+    items,
+    cursor: next < 0 ? items.length : next,
+    finishedAt: next < 0 ? at : '',
+  };
+}
+
+/** Anda `delta` itens, sem sair da lista. */
+export function stepCampaign(c, delta) {
+  return {
+    ...c,
+    cursor: Math.min(
+      Math.max(c.cursor + delta, 0),
+      Math.max(c.items.length - 1, 0)
+    ),
+  };
+}
+
+export function campaignProgress(c) {
+  const done = c.items.filter((it) => it.status !== 'pendente').length;
+  return {
+    done,
+    total: c.items.length,
+    enviados: c.items.filter((it) => it.status === 'enviado').length,
+    pulados: c.items.filter((it) => it.status === 'pulado').length,
+    pct: c.items.length ? Math.round((done / c.items.length) * 100) : 0,
+  };
+}
@@ -0,0 +1,121 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  buildCampaignItems,
+  campaignProgress,
+  markCampaignItem,
+  stepCampaign,
+} from './campaigns';
+
+const row = (key, Telefone, VencimentoISO) => ({
+  _ledgerKey: key,
+  Nome: key,
+  Telefone,
+  VencimentoISO,
+});
+
+describe('buildCampaignItems', () => {
+  const rows = [
+    row('cpf:2', '11 98888-2222', '2024-03-20T03:00:00.000Z'),
+    row('cpf:1', '11 98888-1111', '2024-03-25T03:00:00.000Z'),
+    row('cpf:1', '11 98888-1111', '2024-03-10T03:00:00.000Z'),
+    row('cpf:3', '123', '2024-03-01T03:00:00.000Z'),
+    row('cpf:4', '', ''),
+  ];
+
+  it('um item por chave do livro, do vencimento mais antigo', () => {
+    const { items } = buildCampaignItems(rows, (r) => `Oi ${r.Nome}`);
+    expect(items.map((it) => it.key)).toEqual(['cpf:1', 'cpf:2']);
+    expect(items[0]).toEqual({
+      key: 'cpf:1',
+      Nome: 'cpf:1',
+      Telefone: '11 98888-1111',
+      message: 'Oi cpf:1',
+      status: 'pendente',
+      at: '',
+    });
+  });
+
+  it('deixa de fora e conta quem não tem telefone válido', () => {
+    expect(buildCampaignItems(rows, () => '').invalid).toBe(2);
+  });
+
+  it('não reordena a lista recebida', () => {
+    const list = [...rows];
+    buildCampaignItems(list, () => '');
+    expect(list).toEqual(rows);
+  });
+});
+
+describe('markCampaignItem', () => {
+  const at = '2024-03-09T12:00:00.000Z';
+  const campaign = (statuses, cursor) => ({
+    id: 'c1',
+    cursor,
+    finishedAt: '',
+    items: statuses.map((status, i) => ({ key: `k${i}`, status, at: '' })),
+  });
+  const statuses = (c) => c.items.map((it) => it.status);
+
+  it('marca o atual e vai para o próximo pendente', () => {
+    const next = markCampaignItem(
+      campaign(['pendente', 'enviado', 'pendente'], 0),
+      'enviado',
+      at
+    );
+    expect(statuses(next)).toEqual(['enviado', 'enviado', 'pendente']);
+    expect(next.items[0].at).toBe(at);
+    expect(next.cursor).toBe(2);
+    expect(next.finishedAt).toBe('');
+  });
+
+  it('no fim, volta ao primeiro pendente que ficou para trás', () => {
+    const next = markCampaignItem(
+      campaign(['pendente', 'pulado', 'pendente'], 2),
+      'pulado',
+      at
+    );
+    expect(next.cursor).toBe(0);
+    expect(next.finishedAt).toBe('');
+  });
+
+  it('sem pendentes, termina a campanha', () => {
+    const next = markCampaignItem(
+      campaign(['enviado', 'pendente'], 1),
+      'enviado',
+      at
+    );
+    expect(next.cursor).toBe(2);
+    expect(next.finishedAt).toBe(at);
+    expect(markCampaignItem(next, 'enviado', at)).toBe(next);
+  });
+});
+
+describe('stepCampaign / campaignProgress', () => {
+  const c = {
+    cursor: 1,
+    items: [
+      { status: 'enviado' },
+      { status: 'pulado' },
+      { status: 'pendente' },
+    ],
+  };
+
+  it('anda sem sair da lista', () => {
+    expect(stepCampaign(c, 1).cursor).toBe(2);
+    expect(stepCampaign(c, 5).cursor).toBe(2);
+    expect(stepCampaign(c, -5).cursor).toBe(0);
+    expect(stepCampaign({ cursor: 0, items: [] }, 1).cursor).toBe(0);
+  });
+
+  it('conta enviados, pulados e o percentual', () => {
+    expect(campaignProgress(c)).toEqual({
+      done: 2,
+      total: 3,
+      enviados: 1,
+      pulados: 1,
+      pct: 67,
+    });
+    expect(campaignProgress({ items: [] }).pct).toBe(0);
+  });
+});
@@ -0,0 +1,105 @@
+import { dateInputToISO, formatBR, numberFromBRLText, toBRL } from './utils';
+import { labelOf } from './ledger';
+
+/** ===================== Tabela de clientes ===================== */
+export const CLIENT_COLUMNS = [
+  { id: 'cpf', label: 'CPF' },
+  { id: 'nome', label: 'Nome' },
+  { id: 'valor', label: 'Valor' },
+  { id: 'venc', label: 'Vencimento' },
+  { id: 'atraso', label: 'Atraso' },
+  { id: 'promessa', label: 'Promessa' },
+];
+export const CLIENT_PAGE_SIZES = [50, 100, 250, 500];
+
+/** Vazios sempre no fim, nos dois sentidos. */
+export function compareSortValues(a, b, dir) {
+  const emptyA = a === null || a === undefined || a === '';
+  const emptyB = b === null || b === undefined || b === '';
+  if (emptyA || emptyB) return emptyA === emptyB ? 0 : emptyA ? 1 : -1;
+  const diff =
+    typeof a === 'number' && typeof b === 'number'
+      ? a - b
+      : String(a).localeCompare(String(b), 'pt-BR', { numeric: true });
+  return dir === 'desc' ? -diff : diff;
+}
+
+/** ===================== Filtros avançados ===================== */
+export const EMPTY_ADV_FILTERS = {
+  tipo: '',
+  status: '',
+  source: '',
+  promessa: '',
+  valorMin: '',
+  valorMax: '',
+  vencFrom: '',
+  vencTo: '',
+  atrasoMin: '',
+  atrasoMax: '',
+};
+export const ADV_SOURCES = [
+  { id: 'excel', label: 'Planilha' },
+  { id: 'manual', label: 'Manual' },
+];
+export const ADV_PROMISE = [
+  { id: 'com', label: 'Com promessa' },
+  { id: 'sem', label: 'Sem promessa' },
+];
+
+/** Número digitado num filtro (aceita "1.234,56"); vazio/inválido = null. */
+export function filterNumber(v) {
+  const n = numberFromBRLText(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function rangeLabel(min, max, fmt = (v) => v) {
+  if (min && max) return `${fmt(min)} a ${fmt(max)}`;
+  return min ? `≥ ${fmt(min)}` : `≤ ${fmt(max)}`;
+}
+
+/** Um chip por filtro ativo; `fields` são os campos que o × limpa. */
+export function advFilterChips(f) {
+  const chips = [];
+  const dateBR = (v) => formatBR(new Date(dateInputToISO(v)));
+  if (f.tipo)
+    chips.push({ id: 'tipo', label: `Tipo: ${f.tipo}`, fields: ['tipo'] });
+  if (f.status)
+    chips.push({
+      id: 'status',
+      label: `Status: ${f.status}`,
+      fields: ['status'],
+    });
+  if (f.source)
+    chips.push({
+      id: 'source',
+      label: `Origem: ${labelOf(ADV_SOURCES, f.source)}`,
+      fields: ['source'],
+    });
+  if (f.promessa)
+    chips.push({
+      id: 'promessa',
+      label: labelOf(ADV_PROMISE, f.promessa),
+      fields: ['promessa'],
+    });
+  if (f.valorMin || f.valorMax)
+    chips.push({
+      id: 'valor',
+      label: `Valor ${rangeLabel(f.valorMin, f.valorMax, (v) =>
+        toBRL(filterNumber(v) ?? v)
+      )}`,
+      fields: ['valorMin', 'valorMax'],
+    });
+  if (f.vencFrom || f.vencTo)
+    chips.push({
+      id: 'venc',
+      label: `Vencimento ${rangeLabel(f.vencFrom, f.vencTo, dateBR)}`,
+      fields: ['vencFrom', 'vencTo'],
+    });
+  if (f.atrasoMin || f.atrasoMax)
+    chips.push({
+      id: 'atraso',
+      label: `Atraso ${rangeLabel(f.atrasoMin, f.atrasoMax)} dias`,
+      fields: ['atrasoMin', 'atrasoMax'],
+    });
+  return chips;
+}
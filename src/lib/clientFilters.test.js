@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  advFilterChips,
+  compareSortValues,
+  EMPTY_ADV_FILTERS,
+  filterNumber,
+} from './clientFilters';
+
+describe('compareSortValues', () => {
+  const sort = (values, dir) =>
+    [...values].sort((a, b) => compareSortValues(a, b, dir));
+
+  it('números por valor, nos dois sentidos', () => {
+    expect(sort([10, 2, 33], 'asc')).toEqual([2, 10, 33]);
+    expect(sort([10, 2, 33], 'desc')).toEqual([33, 10, 2]);
+  });
+
+  it('textos em ordem do português, com números no meio', () => {
+    expect(sort(['Érica', 'ana', 'Bruno'], 'asc')).toEqual([
+      'ana',
+      'Bruno',
+      'Érica',
+    ]);
+    expect(sort(['parcela 10', 'parcela 2'], 'asc')).toEqual([
+      'parcela 2',
+      'parcela 10',
+    ]);
+  });
+
+  it('vazios sempre no fim', () => {
+    expect(sort([null, 5, '', 1, undefined], 'asc')).toEqual([
+      1,
+      5,
+      null,
+      '',
+      undefined,
+    ]);
+    expect(sort([null, 5, '', 1], 'desc')).toEqual([5, 1, null, '']);
+  });
+});
+
+describe('filterNumber', () => {
+  it('aceita o formato brasileiro e ignora o que não é número', () => {
+    expect(filterNumber('1.234,56')).toBe(1234.56);
+    expect(filterNumber('R$ 10')).toBe(10);
+    expect(filterNumber('')).toBeNull();
+    expect(filterNumber('abc')).toBeNull();
+  });
+});
+
+describe('advFilterChips', () => {
+  const chips = (over) =>
+    advFilterChips({ ...EMPTY_ADV_FILTERS, ...over }).map((c) => [
+      c.label.replace(/\s/g, ' '),
+      c.fields,
+    ]);
+
+  it('sem filtro, sem chip', () => {
+    expect(chips({})).toEqual([]);
+  });
+
+  it('um chip por filtro, com os campos que ele limpa', () => {
+    expect(
+      chips({
+        source: 'manual',
+        promessa: 'sem',
+        valorMin: '1.000',
+        vencFrom: '2024-03-01',
+        vencTo: '2024-03-31',
+        atrasoMax: '30',
+      })
+    ).toEqual([
+      ['Origem: Manual', ['source']],
+      ['Sem promessa', ['promessa']],
+      ['Valor ≥ R$ 1.000,00', ['valorMin', 'valorMax']],
+      ['Vencimento 01/03/2024 a 31/03/2024', ['vencFrom', 'vencTo']],
+      ['Atraso ≤ 30 dias', ['atrasoMin', 'atrasoMax']],
+    ]);
+  });
+});
@@ -0,0 +1,53 @@
+/** ===================== Criptografia ===================== */
+export const PIN_ITERATIONS = 250000;
+export const PIN_MIN_LENGTH = 4;
+export const IDLE_OPTIONS = [5, 15, 30, 60];
+const ENC_PREFIX = 'enc1:';
+
+export function bytesToB64(bytes) {
+  let s = '';
+  for (let i = 0; i < bytes.length; i += 0x8000)
+    s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(s);
+}
+function b64ToBytes(b64) {
+  return Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+}
+
+export async function deriveKey(pin, saltB64, iterations) {
+  const base = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(pin),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: b64ToBytes(saltB64), iterations, hash: 'SHA-256' },
+    base,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+export async function encryptText(key, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(text)
+  );
+  return `${ENC_PREFIX}${bytesToB64(iv)}:${bytesToB64(new Uint8Array(data))}`;
+}
+export async function decryptText(key, payload) {
+  const [iv, data] = payload.slice(ENC_PREFIX.length).split(':');
+  const plain = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: b64ToBytes(iv) },
+    key,
+    b64ToBytes(data)
+  );
+  return new TextDecoder().decode(plain);
+}
+export function isEncrypted(raw) {
+  return typeof raw === 'string' && raw.startsWith(ENC_PREFIX);
+}
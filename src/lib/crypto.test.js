@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  bytesToB64,
+  decryptText,
+  deriveKey,
+  encryptText,
+  isEncrypted,
+} from './crypto';
+
+const salt = bytesToB64(new Uint8Array(16).fill(7));
+
+describe('encryptText / decryptText', () => {
+  it('ida e volta com a chave do mesmo PIN', async () => {
+    const text = JSON.stringify({ Nome: 'José', CPF: '529.982.247-25' });
+    const payload = await encryptText(
+      await deriveKey('1234', salt, 1000),
+      text
+    );
+    expect(isEncrypted(payload)).toBe(true);
+    expect(payload).not.toContain('José');
+    expect(
+      await decryptText(await deriveKey('1234', salt, 1000), payload)
+    ).toBe(text);
+  });
+
+  it('cada cifragem usa um IV novo', async () => {
+    const key = await deriveKey('1234', salt, 1000);
+    expect(await encryptText(key, 'x')).not.toBe(await encryptText(key, 'x'));
+  });
+
+  it('PIN, sal ou iterações diferentes não decifram', async () => {
+    const payload = await encryptText(
+      await deriveKey('1234', salt, 1000),
+      'ok'
+    );
+    const other = bytesToB64(new Uint8Array(16).fill(8));
+    for (const key of await Promise.all([
+      deriveKey('4321', salt, 1000),
+      deriveKey('1234', other, 1000),
+      deriveKey('1234', salt, 1001),
+    ]))
+      await expect(decryptText(key, payload)).rejects.toThrow();
+  });
+
+  it('conteúdo adulterado não decifra', async () => {
+    const key = await deriveKey('1234', salt, 1000);
+    const payload = await encryptText(key, 'ok');
+    const i = payload.length - 2;
+    const flipped = payload[i] === 'A' ? 'B' : 'A';
+    const tampered = payload.slice(0, i) + flipped + payload.slice(i + 1);
+    await expect(decryptText(key, tampered)).rejects.toThrow();
+  });
+
+  it('reconhece só valores cifrados', () => {
+    expect(isEncrypted('{"a":1}')).toBe(false);
+    expect(isEncrypted(null)).toBe(false);
+  });
+});
@@ -0,0 +1,309 @@
+import {
+  clientKeyOf,
+  dateInputToISO,
+  isoToDateInput,
+  norm,
+  parseBRLToNumber,
+  uid,
+} from './utils';
+
+/** ===================== Acordos (parcelas) ===================== */
+export const PERIODICIDADES = [
+  { id: 'mensal', label: 'Mensal' },
+  { id: 'quinzenal', label: 'Quinzenal' },
+  { id: 'semanal', label: 'Semanal' },
+];
+
+export const EMPTY_CLIENT_FORM = {
+  CPF: '',
+  Nome: '',
+  Telefone: '',
+  Valor: '',
+  VencDate: '',
+  Entrada: '',
+  NumParcelas: '1',
+  Periodicidade: 'mensal',
+};
+
+function addPeriod(date, k, periodicidade) {
+  if (periodicidade === 'semanal')
+    return new Date(
+      date.getFullYear(),
+      date.getMonth(),
+      date.getDate() + 7 * k
+    );
+  if (periodicidade === 'quinzenal')
+    return new Date(
+      date.getFullYear(),
+      date.getMonth(),
+      date.getDate() + 15 * k
+    );
+  const lastDay = new Date(
+    date.getFullYear(),
+    date.getMonth() + k + 1,
+    0
+  ).getDate();
+  return new Date(
+    date.getFullYear(),
+    date.getMonth() + k,
+    Math.min(date.getDate(), lastDay)
+  );
+}
+
+/**
+ * Gera o cronograma: entrada (se houver) no 1º vencimento e as N parcelas
+ * a cada período; a última parcela absorve a diferença de centavos.
+ */
+function buildSchedule({ total, entrada, parcelas, firstISO, periodicidade }) {
+  const first = firstISO ? new Date(firstISO) : null;
+  if (!first || isNaN(first))
+    return { items: [], error: 'Escolha o Vencimento.' };
+  if (!(total > 0)) return { items: [], error: 'Informe o valor total.' };
+  if (entrada < 0 || entrada >= total)
+    return { items: [], error: 'A entrada deve ser menor que o valor total.' };
+  const n = Math.floor(parcelas);
+  if (!(n >= 1) || n > 360)
+    return { items: [], error: 'Número de parcelas inválido.' };
+  // Parcela de R$ 0,00 nunca é quitada pelo livro e ficaria atrasada para sempre.
+  if (Math.round((total - entrada) * 100) < n)
+    return { items: [], error: 'Saldo pequeno demais para tantas parcelas.' };
+
+  const items = [];
+  const offset = entrada > 0 ? 1 : 0;
+  if (entrada > 0)
+    items.push({
+      n: 0,
+      label: 'Entrada',
+      Valor: entrada,
+      VencimentoISO: first.toISOString(),
+    });
+
+  const restCents = Math.round((total - entrada) * 100);
+  const baseCents = Math.floor(restCents / n);
+  for (let i = 1; i <= n; i++) {
+    const cents = i === n ? restCents - baseCents * (n - 1) : baseCents;
+    items.push({
+      n: i,
+      label: `${i}/${n}`,
+      Valor: cents / 100,
+      VencimentoISO: addPeriod(
+        first,
+        i - 1 + offset,
+        periodicidade
+      ).toISOString(),
+    });
+  }
+  return { items, error: '' };
+}
+
+export function scheduleFromForm(form) {
+  const total = parseBRLToNumber(form.Valor);
+  const entrada = String(form.Entrada || '').trim()
+    ? parseBRLToNumber(form.Entrada)
+    : 0;
+  return buildSchedule({
+    total: typeof total === 'number' ? total : NaN,
+    entrada: typeof entrada === 'number' ? entrada : NaN,
+    parcelas: Number(form.NumParcelas || 1),
+    firstISO: dateInputToISO(form.VencDate),
+    periodicidade: form.Periodicidade,
+  });
+}
+
+/** Uma linha por parcela; acordos sem cronograma viram uma parcela única. */
+export function expandInstallments(rows) {
+  const out = [];
+  for (const r of rows || []) {
+    const parcelas = Array.isArray(r.Parcelas) ? r.Parcelas : [];
+    if (!parcelas.length) {
+      out.push({ ...r, _agreementId: r._id });
+      continue;
+    }
+    parcelas.forEach((p, i) =>
+      out.push({
+        ...r,
+        _id: `${r._id}#${i}`,
+        _agreementId: r._id,
+        Valor: p.Valor,
+        VencimentoISO: p.VencimentoISO,
+        Parcela: p.label,
+        ValorAcordo: r.Valor,
+      })
+    );
+  }
+  return out;
+}
+
+/** ===================== Pagamentos ===================== */
+export const PAYMENT_METHODS = ['PIX', 'Boleto', 'Cartão'];
+
+/**
+ * Chave do livro de pagamentos: CPF/telefone. Sem eles, o acordo manual ou,
+ * na planilha, o conteúdo da linha (nome + vencimento + valor) — nunca a
+ * posição, que muda a cada importação.
+ */
+export function ledgerKeyFor(r) {
+  const k = clientKeyOf(r);
+  if (k) return k;
+  if (r?._source === 'manual') return `manual:${r._agreementId ?? r._id}`;
+  const venc = r?.VencimentoISO ? isoToDateInput(r.VencimentoISO) : '';
+  return `linha:${norm(r?.Nome)}|${venc}|${amountOf(r?.Valor).toFixed(2)}`;
+}
+/** Move os registros de uma chave (listas se somam; promessa existente fica). */
+export function renameStoreKey(store, from, to) {
+  if (!store?.[from] || from === to) return store;
+  const next = { ...store };
+  const moved = next[from];
+  delete next[from];
+  next[to] = Array.isArray(moved)
+    ? [...(next[to] || []), ...moved]
+    : next[to] || moved;
+  return next;
+}
+export function dropStoreKey(store, key) {
+  if (!store?.[key]) return store;
+  const next = { ...store };
+  delete next[key];
+  return next;
+}
+export function amountOf(v) {
+  const n = parseBRLToNumber(v);
+  return typeof n === 'number' && Number.isFinite(n) ? n : 0;
+}
+export function sumPayments(list) {
+  return (list || []).reduce((acc, p) => acc + amountOf(p.amount), 0);
+}
+
+export function dueTime(r) {
+  const t = r?.VencimentoISO ? new Date(r.VencimentoISO).getTime() : NaN;
+  return Number.isFinite(t) ? t : Infinity;
+}
+
+/**
+ * Distribui os pagamentos de cada chave pelos vencimentos mais antigos primeiro.
+ * Linhas sem lançamentos ficam sem `_pago` (vale o Status da planilha).
+ */
+export function applyLedger(rows, payments) {
+  const out = rows.map((r) => ({ ...r, _ledgerKey: ledgerKeyFor(r) }));
+  const groups = new Map();
+  out.forEach((r, i) => {
+    if (!payments?.[r._ledgerKey]?.length) return;
+    if (!groups.has(r._ledgerKey)) groups.set(r._ledgerKey, []);
+    groups.get(r._ledgerKey).push(i);
+  });
+
+  for (const [k, idxs] of groups) {
+    const total = sumPayments(payments[k]);
+    let remaining = total;
+    idxs.sort((a, b) => dueTime(out[a]) - dueTime(out[b]));
+    for (const i of idxs) {
+      const valor = amountOf(out[i].Valor);
+      const applied = Math.min(remaining, valor);
+      remaining -= applied;
+      out[i]._valorPago = applied;
+      out[i]._saldo = Math.max(valor - applied, 0);
+      out[i]._pago = valor > 0 ? applied >= valor - 0.005 : total > 0;
+    }
+  }
+  return out;
+}
+
+/** ===================== Valores da linha ===================== */
+/**
+ * Status da planilha que diz "pago": a palavra inteira ("Pago", "Parcela
+ * paga"), sem negação antes ("Não pago") e sem pegar "a pagar" ou "pagamento".
+ */
+export function isPagoStatus(status) {
+  const words = norm(status).split(' ');
+  return words.some(
+    (w, i) => /^pag[oa]s?$/.test(w) && !['nao', 'sem'].includes(words[i - 1])
+  );
+}
+/** Livro de pagamentos manda; sem lançamentos, vale o Status importado. */
+export function isPago(r) {
+  if (typeof r?._pago === 'boolean') return r._pago;
+  return isPagoStatus(r?.Status);
+}
+/**
+ * Valor da linha em número; null quando `parseBRLToNumber` não entende ou o
+ * valor é negativo (parcela a receber não tem valor abaixo de zero).
+ */
+export function valorNum(r) {
+  const n = parseBRLToNumber(r?.Valor);
+  return typeof n === 'number' && Number.isFinite(n) && n >= 0 ? n : null;
+}
+/** Vazio não é inválido: só o que foi preenchido e não dá para ler. */
+export function valorInvalido(r) {
+  return !!String(r?.Valor ?? '').trim() && valorNum(r) === null;
+}
+export function saldoOf(r) {
+  if (isPago(r)) return 0;
+  if (typeof r?._saldo === 'number') return r._saldo;
+  return valorNum(r) ?? 0;
+}
+export function recebidoOf(r) {
+  if (typeof r?._valorPago === 'number') return r._valorPago;
+  return isPago(r) ? valorNum(r) ?? 0 : 0;
+}
+export function isParcial(r) {
+  return !isPago(r) && (r?._valorPago || 0) > 0;
+}
+/** Totais em R$ dos cards; `venceHoje`/`atrasado` dependem do dia e da política. */
+export function valorTotals(rows, { venceHoje, atrasado }) {
+  const sumBy = (list, fn) => list.reduce((acc, r) => acc + fn(r), 0);
+  const valor = (r) => valorNum(r) ?? 0;
+  return {
+    totalClientes: sumBy(rows, valor),
+    pendentes: sumBy(rows, saldoOf),
+    pagos: sumBy(rows, recebidoOf),
+    venceHoje: sumBy(rows.filter(venceHoje), saldoOf),
+    atrasados: sumBy(rows.filter(atrasado), saldoOf),
+    manuais: sumBy(
+      rows.filter((r) => r._source === 'manual'),
+      valor
+    ),
+  };
+}
+
+/** ===================== Contatos ===================== */
+export const CONTACT_CHANNELS = [
+  { id: 'whatsapp', label: 'WhatsApp' },
+  { id: 'copia', label: 'Msg copiada' },
+  { id: 'ligacao', label: 'Ligação' },
+  { id: 'outro', label: 'Outro' },
+];
+export const CONTACT_OUTCOMES = [
+  { id: 'nao_atende', label: 'Não atende' },
+  { id: 'numero_errado', label: 'Número errado' },
+  { id: 'prometeu_pagar', label: 'Prometeu pagar' },
+  { id: 'recusou', label: 'Recusou' },
+];
+
+/** Acrescenta um contato ao fim do histórico da chave. */
+export function addContact(
+  store,
+  key,
+  { channel, message = '', outcome = '' },
+  at = new Date().toISOString()
+) {
+  if (!key) return store;
+  const entry = { id: uid(), at, channel, message, outcome };
+  return { ...(store || {}), [key]: [...(store?.[key] || []), entry] };
+}
+export function updateContactOutcome(store, key, id, outcome) {
+  return {
+    ...(store || {}),
+    [key]: (store?.[key] || []).map((c) =>
+      c.id === id ? { ...c, outcome } : c
+    ),
+  };
+}
+/** O histórico é só acrescentado: o último da lista é o mais recente. */
+export function lastContactIn(store, key) {
+  const list = store?.[key];
+  return list?.length ? list[list.length - 1] : null;
+}
+
+export function labelOf(list, id, fallback = '') {
+  return list.find((o) => o.id === id)?.label || fallback;
+}
@@ -0,0 +1,380 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  addContact,
+  applyLedger,
+  dropStoreKey,
+  EMPTY_CLIENT_FORM,
+  expandInstallments,
+  isPago,
+  isPagoStatus,
+  lastContactIn,
+  ledgerKeyFor,
+  renameStoreKey,
+  scheduleFromForm,
+  updateContactOutcome,
+  valorInvalido,
+  valorNum,
+  valorTotals,
+} from './ledger';
+
+describe('ledgerKeyFor', () => {
+  it('usa CPF, depois telefone', () => {
+    expect(
+      ledgerKeyFor({ CPF: '529.982.247-25', Telefone: '11988887777' })
+    ).toBe('cpf:52998224725');
+    expect(ledgerKeyFor({ Telefone: '(11) 98888-7777' })).toBe(
+      'tel:11988887777'
+    );
+  });
+
+  it('mantém a chave de um cliente anonimizado', () => {
+    expect(ledgerKeyFor({ _anonKey: 'anon:1', CPF: '' })).toBe('anon:1');
+  });
+
+  it('acordo manual sem documento usa o acordo, não a parcela', () => {
+    expect(
+      ledgerKeyFor({ _source: 'manual', _id: 'm1#2', _agreementId: 'm1' })
+    ).toBe('manual:m1');
+  });
+
+  it('linha da planilha sem documento depende do conteúdo, não da posição', () => {
+    const row = {
+      Nome: 'José  Silva',
+      VencimentoISO: new Date(2024, 2, 10).toISOString(),
+      Valor: '1.234,5',
+    };
+    expect(ledgerKeyFor(row)).toBe('linha:jose silva|2024-03-10|1234.50');
+    expect(ledgerKeyFor({ ...row, _id: 'outra-posicao' })).toBe(
+      ledgerKeyFor(row)
+    );
+  });
+});
+
+describe('applyLedger', () => {
+  const cpf = '52998224725';
+  const parcela = (n, Valor) => ({
+    CPF: cpf,
+    Valor,
+    VencimentoISO: new Date(2024, n, 10).toISOString(),
+  });
+
+  it('quita os vencimentos mais antigos primeiro', () => {
+    const rows = [parcela(2, 100), parcela(0, 100), parcela(1, 100)];
+    const out = applyLedger(rows, { [`cpf:${cpf}`]: [{ amount: 150 }] });
+    expect(out.map((r) => [r._valorPago, r._saldo, r._pago])).toEqual([
+      [0, 100, false],
+      [100, 0, true],
+      [50, 50, false],
+    ]);
+  });
+
+  it('soma pagamentos parciais e ignora centavos de arredondamento', () => {
+    const out = applyLedger([parcela(0, '100,01')], {
+      [`cpf:${cpf}`]: [{ amount: '50,00' }, { amount: 50.006 }],
+    });
+    expect(out[0]._pago).toBe(true);
+  });
+
+  it('sem lançamentos a linha segue o Status da planilha', () => {
+    const [r] = applyLedger([{ ...parcela(0, 100), Status: 'Pago' }], {});
+    expect(r._ledgerKey).toBe(`cpf:${cpf}`);
+    expect(r).not.toHaveProperty('_pago');
+  });
+
+  it('linha sem valor conta como paga quando há pagamento', () => {
+    const [r] = applyLedger([parcela(0, '')], {
+      [`cpf:${cpf}`]: [{ amount: 10 }],
+    });
+    expect(r._pago).toBe(true);
+  });
+
+  it('não altera as linhas de entrada', () => {
+    const rows = [parcela(0, 100)];
+    applyLedger(rows, { [`cpf:${cpf}`]: [{ amount: 100 }] });
+    expect(rows[0]).not.toHaveProperty('_pago');
+  });
+});
+
+describe('scheduleFromForm', () => {
+  const form = (over) => ({
+    ...EMPTY_CLIENT_FORM,
+    Valor: '1.000,00',
+    VencDate: '2024-01-31',
+    ...over,
+  });
+  const dates = (items) =>
+    items.map((it) => {
+      const d = new Date(it.VencimentoISO);
+      return `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+    });
+
+  it('parcela única no vencimento escolhido', () => {
+    const { items, error } = scheduleFromForm(form());
+    expect(error).toBe('');
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ n: 1, label: '1/1', Valor: 1000 });
+  });
+
+  it('a última parcela absorve os centavos', () => {
+    const { items } = scheduleFromForm(
+      form({ Valor: '100,00', NumParcelas: '3' })
+    );
+    expect(items.map((it) => it.Valor)).toEqual([33.33, 33.33, 33.34]);
+    expect(items.map((it) => it.label)).toEqual(['1/3', '2/3', '3/3']);
+  });
+
+  it('entrada no 1º vencimento e parcelas a partir do período seguinte', () => {
+    const { items } = scheduleFromForm(
+      form({ Entrada: '400', NumParcelas: '2' })
+    );
+    expect(items.map((it) => [it.label, it.Valor])).toEqual([
+      ['Entrada', 400],
+      ['1/2', 300],
+      ['2/2', 300],
+    ]);
+    expect(dates(items)).toEqual(['2024-1-31', '2024-2-29', '2024-3-31']);
+  });
+
+  it('mensal respeita o fim do mês sem pular meses', () => {
+    const { items } = scheduleFromForm(form({ NumParcelas: '3' }));
+    expect(dates(items)).toEqual(['2024-1-31', '2024-2-29', '2024-3-31']);
+  });
+
+  it('semanal e quinzenal contam dias corridos', () => {
+    const semanal = scheduleFromForm(
+      form({ NumParcelas: '2', Periodicidade: 'semanal' })
+    );
+    const quinzenal = scheduleFromForm(
+      form({ NumParcelas: '2', Periodicidade: 'quinzenal' })
+    );
+    expect(dates(semanal.items)).toEqual(['2024-1-31', '2024-2-7']);
+    expect(dates(quinzenal.items)).toEqual(['2024-1-31', '2024-2-15']);
+  });
+
+  it.each([
+    [{ VencDate: '' }, 'Escolha o Vencimento.'],
+    [{ Valor: '' }, 'Informe o valor total.'],
+    [{ Valor: 'abc' }, 'Informe o valor total.'],
+    [{ Entrada: '1.000,00' }, 'A entrada deve ser menor que o valor total.'],
+    [{ Entrada: '-1' }, 'A entrada deve ser menor que o valor total.'],
+    [{ NumParcelas: '0' }, 'Número de parcelas inválido.'],
+    [{ NumParcelas: '361' }, 'Número de parcelas inválido.'],
+    [
+      { Valor: '0,05', NumParcelas: '6' },
+      'Saldo pequeno demais para tantas parcelas.',
+    ],
+  ])('recusa %o', (over, error) => {
+    expect(scheduleFromForm(form(over))).toEqual({ items: [], error });
+  });
+
+  it('nunca gera parcela de R$ 0,00', () => {
+    const { items } = scheduleFromForm(
+      form({ Valor: '0,06', NumParcelas: '6' })
+    );
+    expect(items.every((it) => it.Valor > 0)).toBe(true);
+  });
+});
+
+describe('expandInstallments', () => {
+  it('uma linha por parcela, ligada ao acordo', () => {
+    const rows = [
+      {
+        _id: 'm1',
+        Nome: 'Ana',
+        Valor: 200,
+        Parcelas: [
+          { label: '1/2', Valor: 100, VencimentoISO: 'a' },
+          { label: '2/2', Valor: 100, VencimentoISO: 'b' },
+        ],
+      },
+    ];
+    expect(expandInstallments(rows)).toEqual([
+      expect.objectContaining({
+        _id: 'm1#0',
+        _agreementId: 'm1',
+        Parcela: '1/2',
+        Valor: 100,
+        ValorAcordo: 200,
+        VencimentoISO: 'a',
+      }),
+      expect.objectContaining({
+        _id: 'm1#1',
+        Parcela: '2/2',
+        VencimentoISO: 'b',
+      }),
+    ]);
+  });
+
+  it('acordo sem cronograma vira parcela única', () => {
+    expect(expandInstallments([{ _id: 'm2', Valor: 50 }])).toEqual([
+      { _id: 'm2', _agreementId: 'm2', Valor: 50 },
+    ]);
+  });
+});
+
+describe('renameStoreKey / dropStoreKey', () => {
+  it('junta as listas ao mover para uma chave que já existe', () => {
+    const store = { 'manual:m1': [{ id: 'a' }], 'cpf:1': [{ id: 'b' }] };
+    expect(renameStoreKey(store, 'manual:m1', 'cpf:1')).toEqual({
+      'cpf:1': [{ id: 'b' }, { id: 'a' }],
+    });
+  });
+
+  it('promessa existente no destino prevalece', () => {
+    const store = { 'manual:m1': { date: 'x' }, 'cpf:1': { date: 'y' } };
+    expect(renameStoreKey(store, 'manual:m1', 'cpf:1')).toEqual({
+      'cpf:1': { date: 'y' },
+    });
+  });
+
+  it('devolve a mesma store quando não há o que fazer', () => {
+    const store = { 'cpf:1': [] };
+    expect(renameStoreKey(store, 'manual:m1', 'cpf:2')).toBe(store);
+    expect(renameStoreKey(store, 'cpf:1', 'cpf:1')).toBe(store);
+    expect(dropStoreKey(store, 'manual:m1')).toBe(store);
+  });
+
+  it('remove a chave sem mexer no original', () => {
+    const store = { 'manual:m1': [{}], 'cpf:1': [{}] };
+    expect(dropStoreKey(store, 'manual:m1')).toEqual({ 'cpf:1': [{}] });
+    expect(store).toHaveProperty('manual:m1');
+  });
+});
+
+describe('histórico de contatos', () => {
+  const at = '2024-03-09T12:00:00.000Z';
+
+  it('acrescenta no fim do histórico da chave', () => {
+    const one = addContact(undefined, 'cpf:1', { channel: 'ligacao' }, at);
+    expect(one['cpf:1']).toEqual([
+      {
+        id: expect.any(String),
+        at,
+        channel: 'ligacao',
+        message: '',
+        outcome: '',
+      },
+    ]);
+    const two = addContact(one, 'cpf:1', {
+      channel: 'whatsapp',
+      message: 'Olá',
+      outcome: 'nao_atende',
+    });
+    expect(two['cpf:1'].map((c) => c.channel)).toEqual(['ligacao', 'whatsapp']);
+    expect(two['cpf:1'][1].id).not.toBe(two['cpf:1'][0].id);
+    expect(one['cpf:1']).toHaveLength(1);
+  });
+
+  it('sem chave não registra', () => {
+    const store = { 'cpf:1': [] };
+    expect(addContact(store, '', { channel: 'ligacao' })).toBe(store);
+  });
+
+  it('muda o resultado só do contato indicado', () => {
+    const store = {
+      'cpf:1': [
+        { id: 'a', outcome: '' },
+        { id: 'b', outcome: '' },
+      ],
+      'cpf:2': [{ id: 'a', outcome: '' }],
+    };
+    const next = updateContactOutcome(store, 'cpf:1', 'b', 'recusou');
+    expect(next['cpf:1']).toEqual([
+      { id: 'a', outcome: '' },
+      { id: 'b', outcome: 'recusou' },
+    ]);
+    expect(next['cpf:2']).toBe(store['cpf:2']);
+    expect(store['cpf:1'][1].outcome).toBe('');
+  });
+
+  it('último contato de cada cliente', () => {
+    let store = addContact({}, 'cpf:1', { channel: 'ligacao' }, at);
+    store = addContact(store, 'cpf:2', { channel: 'copia' }, at);
+    store = addContact(store, 'cpf:1', { channel: 'whatsapp' }, at);
+    expect(lastContactIn(store, 'cpf:1').channel).toBe('whatsapp');
+    expect(lastContactIn(store, 'cpf:2').channel).toBe('copia');
+    expect(lastContactIn(store, 'cpf:3')).toBeNull();
+    expect(lastContactIn(undefined, 'cpf:1')).toBeNull();
+  });
+});
+
+describe('valorNum / valorInvalido', () => {
+  it.each([
+    ['R$ 1.234,56', 1234.56],
+    [1234.5, 1234.5],
+    ['0,00', 0],
+  ])('lê %j', (Valor, n) => {
+    expect(valorNum({ Valor })).toBe(n);
+    expect(valorInvalido({ Valor })).toBe(false);
+  });
+
+  it.each(['R$ 1.234,5x', 'abc', '-50,00', -10])('recusa %j', (Valor) => {
+    expect(valorNum({ Valor })).toBeNull();
+    expect(valorInvalido({ Valor })).toBe(true);
+  });
+
+  it('vazio não tem valor, mas também não é inválido', () => {
+    for (const Valor of ['', '   ', null, undefined]) {
+      expect(valorNum({ Valor })).toBeNull();
+      expect(valorInvalido({ Valor })).toBe(false);
+    }
+  });
+});
+
+describe('valorTotals', () => {
+  const rows = [
+    { Valor: 'R$ 100,00', Status: '', _source: 'excel', hoje: true },
+    { Valor: '50', _pago: true, _valorPago: 50, _source: 'excel' },
+    {
+      Valor: 80,
+      _pago: false,
+      _valorPago: 30,
+      _saldo: 50,
+      _source: 'manual',
+      atraso: true,
+    },
+    { Valor: 'R$ 1.234,5x', _source: 'excel', atraso: true },
+    { Valor: '', _source: 'manual' },
+    { Valor: '-20', _source: 'excel' },
+  ];
+
+  it('soma só o que dá para ler', () => {
+    expect(
+      valorTotals(rows, {
+        venceHoje: (r) => !!r.hoje,
+        atrasado: (r) => !!r.atraso,
+      })
+    ).toEqual({
+      totalClientes: 230,
+      pendentes: 150,
+      pagos: 80,
+      venceHoje: 100,
+      atrasados: 50,
+      manuais: 80,
+    });
+    expect(rows.filter(valorInvalido)).toHaveLength(2);
+  });
+
+  it.each([
+    ['Pago', true],
+    ['PAGO', true],
+    ['Parcela paga', true],
+    ['Pagos em dia', true],
+    ['Não pago', false],
+    ['nao pago', false],
+    ['Sem pagamento', false],
+    ['A pagar', false],
+    ['Pagamento pendente', false],
+    ['Apagado', false],
+    ['', false],
+  ])('Status %j é pago? %s', (status, pago) => {
+    expect(isPagoStatus(status)).toBe(pago);
+  });
+
+  it('pago pelo Status quando não há lançamentos', () => {
+    expect(isPago({ Status: 'PAGO' })).toBe(true);
+    expect(isPago({ Status: 'Não pago' })).toBe(false);
+    expect(isPago({ Status: 'Pago', _pago: false })).toBe(false);
+  });
+});
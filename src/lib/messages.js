@@ -0,0 +1,52 @@
+import { onlyDigits } from './utils';
+
+/** ===================== Whats ===================== */
+export function buildWhatsLinkBR(telefoneComDDD, message) {
+  const d = onlyDigits(telefoneComDDD);
+  const e164 = d.startsWith('55') ? d : `55${d}`;
+  if (e164.length < 12) return '';
+  return `https://wa.me/${e164}?text=${encodeURIComponent(message)}`;
+}
+
+/** ===================== Modelos de mensagem ===================== */
+export const TEMPLATE_PLACEHOLDERS = [
+  { id: 'nome', label: 'Nome do cliente' },
+  { id: 'valor', label: 'Valor da parcela' },
+  { id: 'vencimento', label: 'Data de vencimento' },
+  { id: 'dias_atraso', label: 'Dias em atraso (vazio se em dia)' },
+  { id: 'promessa', label: 'Data da promessa' },
+  { id: 'obs', label: 'Observação' },
+];
+
+export const DEFAULT_TEMPLATES = [
+  {
+    id: 'tpl_vencimento',
+    name: 'Vencimento',
+    body: 'Olá, {nome}. Passando para confirmar o pagamento do acordo com vencimento {vencimento}. Valor: {valor}. Assim que efetuar, me envie o comprovante para anexarmos.',
+  },
+  {
+    id: 'tpl_atraso',
+    name: 'Atraso',
+    body: 'Olá, {nome}. Consta em aberto a parcela com vencimento {vencimento}[, há {dias_atraso} dias]. Valor: {valor}. Podemos regularizar hoje? Se já pagou, me envie o comprovante.',
+  },
+  {
+    id: 'tpl_promessa',
+    name: 'Promessa',
+    body: 'Olá, {nome}. Passando para confirmar a promessa de pagamento prevista para {promessa}. Valor: {valor}. [Obs: {obs}. ]Se já pagou, me envie o comprovante, por favor.',
+  },
+];
+
+/** Preenche {campos}; um trecho [entre colchetes] some se algum campo dele estiver vazio. */
+export function renderTemplate(body, vars) {
+  const fill = (txt) =>
+    txt.replace(/\{(\w+)\}/g, (m, k) =>
+      k in vars ? String(vars[k] ?? '') : m
+    );
+  return String(body || '')
+    .replace(/\[([^\]]*)\]/g, (m, inner) => {
+      const keys = [...inner.matchAll(/\{(\w+)\}/g)].map((x) => x[1]);
+      const empty = keys.some((k) => !String(vars[k] ?? '').trim());
+      return empty ? '' : fill(inner);
+    })
+    .replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k] ?? '') : m));
+}
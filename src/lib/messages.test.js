@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  buildWhatsLinkBR,
+  DEFAULT_TEMPLATES,
+  renderTemplate,
+} from './messages';
+
+describe('renderTemplate', () => {
+  it('preenche os campos conhecidos e deixa os desconhecidos', () => {
+    expect(renderTemplate('Olá, {nome}. {xyz}', { nome: 'Ana' })).toBe(
+      'Olá, Ana. {xyz}'
+    );
+  });
+
+  it('trecho entre colchetes some quando um campo dele está vazio', () => {
+    const body = 'Vence {vencimento}[, há {dias_atraso} dias].';
+    expect(renderTemplate(body, { vencimento: '10/03', dias_atraso: '' })).toBe(
+      'Vence 10/03.'
+    );
+    expect(
+      renderTemplate(body, { vencimento: '10/03', dias_atraso: '  ' })
+    ).toBe('Vence 10/03.');
+    expect(renderTemplate(body, { vencimento: '10/03', dias_atraso: 5 })).toBe(
+      'Vence 10/03, há 5 dias.'
+    );
+  });
+
+  it('trecho sem campo fica', () => {
+    expect(renderTemplate('[Obrigado!]', {})).toBe('Obrigado!');
+  });
+
+  it('campo nulo vira texto vazio', () => {
+    expect(renderTemplate('{obs}|', { obs: null })).toBe('|');
+    expect(renderTemplate(undefined, {})).toBe('');
+  });
+
+  it('os modelos padrão não deixam chaves sobrando', () => {
+    const vars = {
+      nome: 'Ana',
+      valor: 'R$ 10,00',
+      vencimento: '10/03/2024',
+      dias_atraso: '',
+      promessa: '12/03/2024',
+      obs: '',
+    };
+    for (const t of DEFAULT_TEMPLATES)
+      expect(renderTemplate(t.body, vars)).not.toMatch(/[{}[\]]/);
+  });
+});
+
+describe('buildWhatsLinkBR', () => {
+  it('prefixa 55 e codifica a mensagem', () => {
+    expect(buildWhatsLinkBR('(11) 98888-7777', 'oi & tchau')).toBe(
+      'https://wa.me/5511988887777?text=oi%20%26%20tchau'
+    );
+    expect(buildWhatsLinkBR('5511988887777', '')).toBe(
+      'https://wa.me/5511988887777?text='
+    );
+  });
+
+  it('telefone curto não gera link', () => {
+    expect(buildWhatsLinkBR('98888-7777', 'oi')).toBe('');
+  });
+});
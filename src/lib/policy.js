@@ -0,0 +1,146 @@
+import { numberToInput, parseBRLToNumber } from './utils';
+
+/** ===================== Aging ===================== */
+export const AGING_BUCKETS = [
+  { id: '1_5', label: '1–5', min: 1, max: 5 },
+  { id: '6_15', label: '6–15', min: 6, max: 15 },
+  { id: '16_30', label: '16–30', min: 16, max: 30 },
+  { id: '31_60', label: '31–60', min: 31, max: 60 },
+  { id: '61_90', label: '61–90', min: 61, max: 90 },
+  { id: '90_', label: '90+', min: 91, max: Infinity },
+];
+
+export function agingBucketFor(days) {
+  return AGING_BUCKETS.find((b) => days >= b.min && days <= b.max) || null;
+}
+
+/** ===================== Política de cobrança ===================== */
+/**
+ * Etapas em ordem de gravidade. Dias são relativos ao vencimento (negativo =
+ * antes dele); limites vazios ficam em aberto. Se mais de uma etapa casar,
+ * vale a mais grave (a última da lista).
+ */
+export const DEFAULT_POLICY = [
+  {
+    id: 'a_vencer',
+    name: 'A vencer',
+    minDays: null,
+    maxDays: -1,
+    minValor: null,
+    color: '#00c0ff',
+    templateId: 'tpl_vencimento',
+  },
+  {
+    id: 'd0',
+    name: 'D0',
+    minDays: 0,
+    maxDays: 0,
+    minValor: null,
+    color: '#ffb000',
+    templateId: 'tpl_vencimento',
+  },
+  {
+    id: 'atraso_leve',
+    name: 'Atraso leve',
+    minDays: 1,
+    maxDays: 5,
+    minValor: null,
+    color: '#ff8a3d',
+    templateId: 'tpl_atraso',
+  },
+  {
+    id: 'quebra',
+    name: 'Quebra',
+    minDays: 6,
+    maxDays: null,
+    minValor: null,
+    color: '#ff4a6c',
+    templateId: 'tpl_atraso',
+  },
+  {
+    id: 'juridico',
+    name: 'Jurídico',
+    minDays: 90,
+    maxDays: null,
+    minValor: null,
+    color: '#aa5eff',
+    templateId: 'tpl_atraso',
+  },
+];
+
+function stageMatches(stage, days, valor) {
+  if (stage.minDays !== null && days < stage.minDays) return false;
+  if (stage.maxDays !== null && days > stage.maxDays) return false;
+  if (stage.minValor !== null && valor < stage.minValor) return false;
+  return true;
+}
+export function stageFor(policy, days, valor) {
+  const list = policy || [];
+  for (let i = list.length - 1; i >= 0; i--)
+    if (stageMatches(list[i], days, valor)) return list[i];
+  return null;
+}
+function hexToRgba(hex, alpha) {
+  const h = String(hex || '').replace('#', '');
+  if (!/^[0-9a-f]{6}$/i.test(h)) return undefined;
+  const [r, g, b] = [0, 2, 4].map((i) => parseInt(h.slice(i, i + 2), 16));
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+export function stagePillStyle(stage) {
+  if (!stage) return undefined;
+  return {
+    borderColor: hexToRgba(stage.color, 0.45),
+    background: hexToRgba(stage.color, 0.12),
+  };
+}
+
+export function stageToDraft(stage) {
+  const str = (v) => (v === null || v === undefined ? '' : String(v));
+  return {
+    ...stage,
+    minDays: str(stage.minDays),
+    maxDays: str(stage.maxDays),
+    minValor: stage.minValor === null ? '' : numberToInput(stage.minValor),
+  };
+}
+/** Converte o rascunho da tela de política; devolve `{ policy }` ou `{ error }`. */
+export function policyFromDraft(draft) {
+  const policy = [];
+  for (const d of draft) {
+    const name = String(d.name || '').trim();
+    if (!name) return { error: 'Toda etapa precisa de um nome.' };
+    const days = {};
+    for (const f of ['minDays', 'maxDays']) {
+      const t = String(d[f] ?? '').trim();
+      if (!t) {
+        days[f] = null;
+        continue;
+      }
+      if (!/^-?\d+$/.test(t))
+        return { error: `"${name}": dias devem ser números inteiros.` };
+      days[f] = Number(t);
+    }
+    if (
+      days.minDays !== null &&
+      days.maxDays !== null &&
+      days.minDays > days.maxDays
+    )
+      return { error: `"${name}": o mínimo de dias passa do máximo.` };
+    let minValor = null;
+    if (String(d.minValor ?? '').trim()) {
+      minValor = parseBRLToNumber(d.minValor);
+      if (typeof minValor !== 'number')
+        return { error: `"${name}": valor mínimo inválido.` };
+    }
+    policy.push({
+      id: d.id,
+      name,
+      ...days,
+      minValor,
+      color: d.color || '#ffffff',
+      templateId: d.templateId || '',
+    });
+  }
+  if (!policy.length) return { error: 'Mantenha pelo menos uma etapa.' };
+  return { policy };
+}
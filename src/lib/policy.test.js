@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  agingBucketFor,
+  DEFAULT_POLICY,
+  policyFromDraft,
+  stageFor,
+  stageToDraft,
+} from './policy';
+
+describe('stageFor', () => {
+  const id = (days, valor = 100) => stageFor(DEFAULT_POLICY, days, valor)?.id;
+
+  it('segue os dias relativos ao vencimento', () => {
+    expect(id(-3)).toBe('a_vencer');
+    expect(id(0)).toBe('d0');
+    expect(id(1)).toBe('atraso_leve');
+    expect(id(5)).toBe('atraso_leve');
+    expect(id(6)).toBe('quebra');
+  });
+
+  it('com mais de uma etapa casando, vale a mais grave', () => {
+    expect(id(90)).toBe('juridico');
+    expect(id(400)).toBe('juridico');
+  });
+
+  it('valor mínimo tira a etapa do caminho', () => {
+    const policy = [
+      ...DEFAULT_POLICY.slice(0, 4),
+      { ...DEFAULT_POLICY[4], minValor: 1000 },
+    ];
+    expect(stageFor(policy, 120, 999.99).id).toBe('quebra');
+    expect(stageFor(policy, 120, 1000).id).toBe('juridico');
+  });
+
+  it('sem etapa que case não há etapa', () => {
+    expect(stageFor([DEFAULT_POLICY[1]], 3, 100)).toBeNull();
+    expect(stageFor(null, 3, 100)).toBeNull();
+  });
+});
+
+describe('policyFromDraft', () => {
+  it('volta à política original a partir do rascunho', () => {
+    expect(policyFromDraft(DEFAULT_POLICY.map(stageToDraft))).toEqual({
+      policy: DEFAULT_POLICY,
+    });
+  });
+
+  it('converte valor mínimo em reais', () => {
+    const draft = [
+      { ...stageToDraft(DEFAULT_POLICY[0]), minValor: '1.500,50' },
+    ];
+    expect(policyFromDraft(draft).policy[0].minValor).toBe(1500.5);
+  });
+
+  it.each([
+    [{ name: ' ' }, 'Toda etapa precisa de um nome.'],
+    [{ minDays: '1,5' }, '"D0": dias devem ser números inteiros.'],
+    [{ minDays: '3', maxDays: '2' }, '"D0": o mínimo de dias passa do máximo.'],
+    [{ minValor: 'muito' }, '"D0": valor mínimo inválido.'],
+  ])('recusa %o', (over, error) => {
+    expect(
+      policyFromDraft([{ ...stageToDraft(DEFAULT_POLICY[1]), ...over }])
+    ).toEqual({ error });
+  });
+
+  it('exige pelo menos uma etapa', () => {
+    expect(policyFromDraft([])).toEqual({
+      error: 'Mantenha pelo menos uma etapa.',
+    });
+  });
+});
+
+describe('agingBucketFor', () => {
+  it('encaixa os dias de atraso nas faixas', () => {
+    expect(agingBucketFor(0)).toBeNull();
+    expect(agingBucketFor(1).id).toBe('1_5');
+    expect(agingBucketFor(90).id).toBe('61_90');
+    expect(agingBucketFor(91).id).toBe('90_');
+  });
+});
@@ -0,0 +1,192 @@
+import { onlyDigits } from './utils';
+import { ledgerKeyFor } from './ledger';
+import { redactAudit } from './audit';
+import {
+  IDB_DATASET_KEY,
+  loadDataset,
+  loadStore,
+  LS_AUDIT,
+  LS_CAMPAIGNS,
+  LS_CONTACTS,
+  LS_MANUAL_CLIENTS,
+  LS_PAYMENTS,
+  LS_PROMISES,
+  nsKey,
+  saveDataset,
+  writeJSON,
+} from './storage';
+
+/** ===================== Privacidade (LGPD) ===================== */
+export const ANON_LABEL = 'Anonimizado';
+export const RETENTION_OPTIONS = [0, 30, 90, 180, 365]; // 0 = desligado
+export const DEFAULT_PRIVACY = { retentionDays: 0, lastRun: null };
+
+/** Tira os dados pessoais; valores e datas ficam para as estatísticas. */
+export function anonymizeRow(r, anonKey, at) {
+  return {
+    ...r,
+    CPF: '',
+    Nome: ANON_LABEL,
+    Telefone: '',
+    Obs: '',
+    _anonKey: anonKey,
+    anonymizedAt: at,
+  };
+}
+export function anonymizePromise(p, at) {
+  return {
+    ...p,
+    note: '',
+    snapshot: { Valor: p?.snapshot?.Valor ?? '' },
+    history: (p?.history || []).map((h) => ({ ...h, note: '' })),
+    anonymizedAt: at,
+  };
+}
+
+/**
+ * Como achar o titular: pelo documento, ou pelo telefone quando o cliente não
+ * tem CPF/CNPJ (é o telefone que vira a chave dele).
+ */
+export const SUBJECT_TYPES = [
+  {
+    id: 'doc',
+    label: 'CPF/CNPJ',
+    placeholder: 'CPF (11) ou CNPJ (14 dígitos)',
+  },
+  { id: 'tel', label: 'Telefone', placeholder: 'DDD + número' },
+];
+
+/** Consulta `{ type, digits }` ou null enquanto o número está incompleto. */
+export function parseSubjectQuery(type, text) {
+  const d = onlyDigits(text);
+  if (type === 'tel') {
+    const local = d.length > 11 && d.startsWith('55') ? d.slice(2) : d;
+    return local.length === 10 || local.length === 11
+      ? { type, digits: local }
+      : null;
+  }
+  return d.length === 11 || d.length === 14 ? { type: 'doc', digits: d } : null;
+}
+
+/** Stores de uma carteira que guardam dados de titulares. */
+const SUBJECT_STORES = [
+  ['manualClients', LS_MANUAL_CLIENTS, []],
+  ['promises', LS_PROMISES, {}],
+  ['payments', LS_PAYMENTS, {}],
+  ['contacts', LS_CONTACTS, {}],
+  ['campaigns', LS_CAMPAIGNS, []],
+  ['audit', LS_AUDIT, []],
+];
+
+/** Chaves do titular e a regra que diz se um registro é dele. */
+function subjectMatcher(stores, query) {
+  const keys = new Set();
+  let owns;
+  if (query.type === 'tel') {
+    keys.add(`tel:${query.digits}`);
+    keys.add(`tel:55${query.digits}`);
+    owns = () => false;
+  } else {
+    keys.add(`cpf:${query.digits}`);
+    owns = (r) => onlyDigits(r?.CPF) === query.digits;
+    const rows = [
+      ...(stores.manualClients || []),
+      ...(stores.imported?.rows || []),
+    ];
+    for (const r of rows)
+      if (owns(r) && onlyDigits(r.Telefone).length >= 10)
+        keys.add(`tel:${onlyDigits(r.Telefone)}`);
+    for (const [k, p] of Object.entries(stores.promises || {}))
+      if (owns(p?.snapshot)) keys.add(k);
+  }
+  const isSubject = (source) => (r) =>
+    owns(r) || keys.has(ledgerKeyFor({ ...r, _source: source }));
+  return { keys, isSubject };
+}
+
+/** Tudo o que uma carteira guarda sobre o titular: `{ keys, records, total }`. */
+export function findSubject(stores, query) {
+  const { keys, isSubject } = subjectMatcher(stores, query);
+  const ofKeys = (obj) =>
+    Object.fromEntries(Object.entries(obj || {}).filter(([k]) => keys.has(k)));
+  const records = {
+    manualClients: (stores.manualClients || []).filter(isSubject('manual')),
+    importedRows: (stores.imported?.rows || []).filter(isSubject('excel')),
+    promises: ofKeys(stores.promises),
+    payments: ofKeys(stores.payments),
+    contacts: ofKeys(stores.contacts),
+    campaignItems: (stores.campaigns || []).flatMap((c) =>
+      c.items
+        .filter((it) => keys.has(it.key))
+        .map((it) => ({ campaign: c.label, createdAt: c.createdAt, ...it }))
+    ),
+  };
+  const total =
+    records.manualClients.length +
+    records.importedRows.length +
+    Object.keys(records.promises).length +
+    Object.keys(records.payments).length +
+    Object.keys(records.contacts).length +
+    records.campaignItems.length;
+  return { keys: [...keys], records, total };
+}
+
+/** Uma função por store que tira o titular dela (serve de `setX(fn)`). */
+export function subjectErasers(stores, query) {
+  const { keys, isSubject } = subjectMatcher(stores, query);
+  const keep = (source) => {
+    const test = isSubject(source);
+    return (r) => !test(r);
+  };
+  const dropKeys = (obj) =>
+    Object.fromEntries(Object.entries(obj || {}).filter(([k]) => !keys.has(k)));
+  return {
+    keys,
+    manualClients: (prev) => (prev || []).filter(keep('manual')),
+    imported: (prev) =>
+      prev ? { ...prev, rows: prev.rows.filter(keep('excel')) } : prev,
+    promises: dropKeys,
+    payments: dropKeys,
+    contacts: dropKeys,
+    campaigns: (prev) =>
+      (prev || []).map((c) => {
+        const items = c.items.filter((it) => !keys.has(it.key));
+        return {
+          ...c,
+          items,
+          cursor: Math.min(c.cursor, Math.max(items.length - 1, 0)),
+        };
+      }),
+    audit: (prev) => redactAudit(prev, keys),
+  };
+}
+
+/** Lê as stores de titulares de uma carteira, inclusive a base importada. */
+export async function loadSubjectStores(workspaceId) {
+  const stores = {};
+  for (const [id, key, fallback] of SUBJECT_STORES)
+    stores[id] = loadStore(key, fallback, workspaceId);
+  const ds = await loadDataset(nsKey(IDB_DATASET_KEY, workspaceId));
+  stores.imported = Array.isArray(ds?.rows) ? ds : null;
+  return stores;
+}
+
+/**
+ * Apaga o titular de uma carteira que não está aberta (a aberta apaga pelo
+ * estado, senão ele regravaria por cima). Devolve quantos registros saíram.
+ */
+export async function eraseSubjectIn(workspaceId, query) {
+  const stores = await loadSubjectStores(workspaceId);
+  const { total } = findSubject(stores, query);
+  if (!total) return 0;
+  const erase = subjectErasers(stores, query);
+  // writeJSON (e não saveStore): uma falha de gravação tem de chegar ao app.
+  for (const [id, key] of SUBJECT_STORES)
+    writeJSON(nsKey(key, workspaceId), erase[id](stores[id]));
+  if (stores.imported)
+    await saveDataset(
+      nsKey(IDB_DATASET_KEY, workspaceId),
+      erase.imported(stores.imported)
+    );
+  return total;
+}
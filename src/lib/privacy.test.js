@@ -0,0 +1,271 @@
+import 'fake-indexeddb/auto';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { ledgerKeyFor } from './ledger';
+import {
+  ANON_LABEL,
+  anonymizePromise,
+  anonymizeRow,
+  eraseSubjectIn,
+  findSubject,
+  loadSubjectStores,
+  parseSubjectQuery,
+  subjectErasers,
+} from './privacy';
+import {
+  IDB_DATASET_KEY,
+  loadDataset,
+  loadStore,
+  LS_AUDIT,
+  LS_MANUAL_CLIENTS,
+  LS_PAYMENTS,
+  nsKey,
+  saveDataset,
+  saveStore,
+} from './storage';
+import { memoryStorage } from '../test/memoryStorage';
+
+describe('anonymizeRow', () => {
+  const row = {
+    _id: 'm1',
+    CPF: '529.982.247-25',
+    Nome: 'Ana',
+    Telefone: '11988887777',
+    Obs: 'ligar à tarde',
+    Valor: 100,
+    VencimentoISO: '2024-03-10T03:00:00.000Z',
+  };
+
+  it('tira os dados pessoais e mantém valor e data', () => {
+    const at = '2024-05-01T00:00:00.000Z';
+    expect(anonymizeRow(row, 'anon:1', at)).toEqual({
+      _id: 'm1',
+      CPF: '',
+      Nome: ANON_LABEL,
+      Telefone: '',
+      Obs: '',
+      Valor: 100,
+      VencimentoISO: '2024-03-10T03:00:00.000Z',
+      _anonKey: 'anon:1',
+      anonymizedAt: at,
+    });
+  });
+
+  it('o livro continua achando o cliente pela chave anônima', () => {
+    expect(ledgerKeyFor(anonymizeRow(row, 'anon:1', ''))).toBe('anon:1');
+  });
+});
+
+describe('anonymizePromise', () => {
+  it('guarda só o valor e limpa as notas do histórico', () => {
+    const p = {
+      promiseISO: '2024-03-12T03:00:00.000Z',
+      note: 'vai pagar com o 13º',
+      snapshot: { Nome: 'Ana', Telefone: '11988887777', Valor: 100 },
+      history: [{ outcome: 'quebrada', note: 'sumiu' }],
+    };
+    expect(anonymizePromise(p, 'agora')).toEqual({
+      promiseISO: '2024-03-12T03:00:00.000Z',
+      note: '',
+      snapshot: { Valor: 100 },
+      history: [{ outcome: 'quebrada', note: '' }],
+      anonymizedAt: 'agora',
+    });
+  });
+
+  it('aceita promessa sem snapshot nem histórico', () => {
+    expect(anonymizePromise({}, 'agora')).toEqual({
+      note: '',
+      snapshot: { Valor: '' },
+      history: [],
+      anonymizedAt: 'agora',
+    });
+  });
+});
+
+describe('parseSubjectQuery', () => {
+  it('documento: CPF ou CNPJ completos', () => {
+    expect(parseSubjectQuery('doc', '529.982.247-25')).toEqual({
+      type: 'doc',
+      digits: '52998224725',
+    });
+    expect(parseSubjectQuery('doc', '11.222.333/0001-81').digits).toBe(
+      '11222333000181'
+    );
+    expect(parseSubjectQuery('doc', '529.982')).toBeNull();
+  });
+
+  it('telefone: com DDD, aceitando o 55 na frente', () => {
+    expect(parseSubjectQuery('tel', '(11) 98888-7777')).toEqual({
+      type: 'tel',
+      digits: '11988887777',
+    });
+    expect(parseSubjectQuery('tel', '+55 11 3333-4444').digits).toBe(
+      '1133334444'
+    );
+    expect(parseSubjectQuery('tel', '98888-7777')).toBeNull();
+  });
+});
+
+describe('findSubject / subjectErasers', () => {
+  const cpf = '52998224725';
+  const stores = {
+    manualClients: [
+      {
+        _id: 'm1',
+        CPF: '529.982.247-25',
+        Nome: 'Ana',
+        Telefone: '11988887777',
+      },
+      { _id: 'm2', CPF: '', Nome: 'Bruno', Telefone: '(21) 97777-6666' },
+      { _id: 'm3', CPF: '11.222.333/0001-81', Nome: 'Loja' },
+    ],
+    imported: {
+      fileName: 'base.xlsx',
+      rows: [
+        { CPF: '', Nome: 'Ana', Telefone: '11 98888-7777', Valor: 10 },
+        { CPF: '11222333000181', Nome: 'Loja', Valor: 20 },
+      ],
+    },
+    promises: {
+      [`cpf:${cpf}`]: { promiseISO: 'a', snapshot: { CPF: cpf } },
+      'tel:21977776666': { promiseISO: 'b', snapshot: { Nome: 'Bruno' } },
+    },
+    payments: {
+      [`cpf:${cpf}`]: [{ id: 'p1' }],
+      'tel:11988887777': [{ id: 'p2' }],
+      'tel:21977776666': [{ id: 'p3' }],
+    },
+    contacts: { 'cpf:11222333000181': [{ id: 'c1' }] },
+    campaigns: [
+      {
+        label: 'Março',
+        cursor: 2,
+        items: [
+          { key: 'tel:21977776666' },
+          { key: 'cpf:11222333000181' },
+          { key: `cpf:${cpf}` },
+        ],
+      },
+    ],
+    audit: [
+      { id: 'a1', subject: `cpf:${cpf}`, label: 'Ana', before: {}, after: {} },
+      {
+        id: 'a2',
+        subject: 'cpf:11222333000181',
+        label: 'Loja',
+        before: null,
+        after: {},
+      },
+    ],
+  };
+
+  it('pelo CPF acha também o que ficou no telefone dele', () => {
+    const found = findSubject(stores, parseSubjectQuery('doc', cpf));
+    expect(found.keys.sort()).toEqual([`cpf:${cpf}`, 'tel:11988887777']);
+    expect(found.records.manualClients.map((c) => c._id)).toEqual(['m1']);
+    expect(found.records.importedRows.map((r) => r.Nome)).toEqual(['Ana']);
+    expect(Object.keys(found.records.payments).sort()).toEqual([
+      `cpf:${cpf}`,
+      'tel:11988887777',
+    ]);
+    expect(found.records.campaignItems).toEqual([
+      { campaign: 'Março', createdAt: undefined, key: `cpf:${cpf}` },
+    ]);
+    expect(found.total).toBe(6);
+  });
+
+  it('pelo telefone acha o cliente sem documento', () => {
+    const found = findSubject(
+      stores,
+      parseSubjectQuery('tel', '21 97777-6666')
+    );
+    expect(found.records.manualClients.map((c) => c._id)).toEqual(['m2']);
+    expect(Object.keys(found.records.promises)).toEqual(['tel:21977776666']);
+    expect(found.total).toBe(4);
+  });
+
+  it('por CNPJ', () => {
+    const found = findSubject(
+      stores,
+      parseSubjectQuery('doc', '11222333000181')
+    );
+    expect(found.records.manualClients.map((c) => c._id)).toEqual(['m3']);
+    expect(found.records.importedRows).toHaveLength(1);
+    expect(found.total).toBe(4);
+  });
+
+  it('apaga o titular de todas as stores e deixa os demais', () => {
+    const query = parseSubjectQuery('tel', '21977776666');
+    const erase = subjectErasers(stores, query);
+    expect(erase.manualClients(stores.manualClients).map((c) => c._id)).toEqual(
+      ['m1', 'm3']
+    );
+    expect(erase.imported(stores.imported)).toEqual(stores.imported);
+    expect(Object.keys(erase.promises(stores.promises))).toEqual([
+      `cpf:${cpf}`,
+    ]);
+    expect(Object.keys(erase.payments(stores.payments))).toHaveLength(2);
+    expect(erase.campaigns(stores.campaigns)[0]).toMatchObject({
+      cursor: 1,
+      items: [{ key: 'cpf:11222333000181' }, { key: `cpf:${cpf}` }],
+    });
+    expect(erase.imported(null)).toBeNull();
+  });
+
+  it('redige a auditoria do titular', () => {
+    const erase = subjectErasers(stores, parseSubjectQuery('doc', cpf));
+    const [a1, a2] = erase.audit(stores.audit);
+    expect(a1).toMatchObject({ subject: '', label: '', redacted: true });
+    expect(a2).toBe(stores.audit[1]);
+  });
+});
+
+describe('eraseSubjectIn', () => {
+  beforeEach(() => vi.stubGlobal('localStorage', memoryStorage()));
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('apaga numa carteira fechada, inclusive na base do IndexedDB', async () => {
+    const cpf = '52998224725';
+    const query = parseSubjectQuery('doc', cpf);
+    const other = 'cart_b';
+    saveStore(LS_MANUAL_CLIENTS, [{ _id: 'm1', CPF: cpf, Nome: 'Ana' }], other);
+    saveStore(
+      LS_PAYMENTS,
+      { [`cpf:${cpf}`]: [{ id: 'p1' }], 'cpf:1': [{ id: 'p2' }] },
+      other
+    );
+    saveStore(LS_AUDIT, [{ subject: `cpf:${cpf}`, label: 'Ana' }], other);
+    await saveDataset(nsKey(IDB_DATASET_KEY, other), {
+      rows: [
+        { CPF: cpf, Nome: 'Ana' },
+        { CPF: '11222333000181', Nome: 'Loja' },
+      ],
+    });
+    // A carteira padrão tem o mesmo titular e não deve ser tocada aqui.
+    saveStore(LS_MANUAL_CLIENTS, [{ _id: 'm9', CPF: cpf }], 'padrao');
+
+    expect(findSubject(await loadSubjectStores(other), query).total).toBe(3);
+    expect(await eraseSubjectIn(other, query)).toBe(3);
+
+    expect(loadStore(LS_MANUAL_CLIENTS, null, other)).toEqual([]);
+    expect(loadStore(LS_PAYMENTS, null, other)).toEqual({
+      'cpf:1': [{ id: 'p2' }],
+    });
+    expect(loadStore(LS_AUDIT, null, other)[0]).toMatchObject({
+      redacted: true,
+    });
+    expect((await loadDataset(nsKey(IDB_DATASET_KEY, other))).rows).toEqual([
+      { CPF: '11222333000181', Nome: 'Loja' },
+    ]);
+    expect(loadStore(LS_MANUAL_CLIENTS, null, 'padrao')).toHaveLength(1);
+    expect(findSubject(await loadSubjectStores(other), query).total).toBe(0);
+  });
+
+  it('carteira sem o titular fica como está', async () => {
+    const query = parseSubjectQuery('doc', '52998224725');
+    saveStore(LS_AUDIT, [{ subject: 'cpf:1' }], 'cart_c');
+    expect(await eraseSubjectIn('cart_c', query)).toBe(0);
+    expect(localStorage.getItem(nsKey(LS_MANUAL_CLIENTS, 'cart_c'))).toBeNull();
+  });
+});
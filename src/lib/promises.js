@@ -0,0 +1,54 @@
+import { amountOf, sumPayments } from './ledger';
+
+/** ===================== Promessas (resultado) ===================== */
+export const PROMISE_OUTCOMES = [
+  { id: 'cumprida', label: 'Cumprida', pill: 'pill pillGood' },
+  { id: 'quebrada', label: 'Quebrada', pill: 'pill pillBad' },
+  { id: 'renegociada', label: 'Renegociada', pill: 'pill pillWarn' },
+];
+export const PROMISE_WEEKS = 8;
+
+export function startOfDay(v) {
+  const d = new Date(v);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+/** Segunda-feira da semana da data. */
+export function startOfWeek(v) {
+  const d = startOfDay(v);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+/**
+ * Resultado de uma promessa. O manual prevalece; senão é cumprida quando houve
+ * pagamento entre o registro e o dia prometido (ou tudo da chave já consta
+ * pago), quebrada quando o dia passou sem isso e pendente até lá.
+ */
+export function resolvePromise(p, { payments, allPaid, today }) {
+  const due = startOfDay(p?.promiseISO);
+  const dayEnd = new Date(due.getFullYear(), due.getMonth(), due.getDate() + 1);
+  const from = startOfDay(p?.createdAt || p?.updatedAt || 0);
+  const inWindow = (payments || []).filter((x) => {
+    const t = new Date(x.dateISO);
+    return t >= from && t < dayEnd;
+  });
+  const snapshotValor = amountOf(p?.snapshot?.Valor);
+
+  if (p?.resolution?.status) {
+    const status = p.resolution.status;
+    const recovered =
+      status === 'cumprida'
+        ? inWindow.length
+          ? sumPayments(inWindow)
+          : snapshotValor
+        : 0;
+    return { status, auto: false, recovered };
+  }
+  if (inWindow.length)
+    return { status: 'cumprida', auto: true, recovered: sumPayments(inWindow) };
+  if (allPaid)
+    return { status: 'cumprida', auto: true, recovered: snapshotValor };
+  if (isNaN(due) || due >= today)
+    return { status: 'pendente', auto: true, recovered: 0 };
+  return { status: 'quebrada', auto: true, recovered: 0 };
+}
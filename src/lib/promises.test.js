@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+
+import { resolvePromise, startOfWeek } from './promises';
+
+const day = (d, h = 0) => new Date(2024, 2, d, h).toISOString();
+
+describe('resolvePromise', () => {
+  const promise = {
+    createdAt: day(5, 15),
+    promiseISO: day(10),
+    snapshot: { Valor: '300,00' },
+  };
+  const today = new Date(2024, 2, 12);
+  const resolve = (over, ctx) =>
+    resolvePromise({ ...promise, ...over }, { payments: [], today, ...ctx });
+
+  it('pagamento entre o registro e o fim do dia prometido cumpre', () => {
+    const payments = [
+      { amount: 100, dateISO: day(4) },
+      { amount: 120, dateISO: day(5, 9) },
+      { amount: 80, dateISO: day(10, 23) },
+      { amount: 50, dateISO: day(11) },
+    ];
+    expect(resolve({}, { payments })).toEqual({
+      status: 'cumprida',
+      auto: true,
+      recovered: 200,
+    });
+  });
+
+  it('sem pagamento, quebra só depois do dia prometido', () => {
+    expect(resolve({}).status).toBe('quebrada');
+    expect(resolve({}, { today: new Date(2024, 2, 10) }).status).toBe(
+      'pendente'
+    );
+    expect(resolve({ promiseISO: '' }).status).toBe('pendente');
+  });
+
+  it('tudo pago conta como cumprida pelo valor da promessa', () => {
+    expect(resolve({}, { allPaid: true })).toEqual({
+      status: 'cumprida',
+      auto: true,
+      recovered: 300,
+    });
+  });
+
+  it('resultado manual prevalece', () => {
+    const payments = [{ amount: 100, dateISO: day(8) }];
+    expect(
+      resolve({ resolution: { status: 'quebrada' } }, { payments })
+    ).toEqual({
+      status: 'quebrada',
+      auto: false,
+      recovered: 0,
+    });
+    expect(resolve({ resolution: { status: 'cumprida' } })).toEqual({
+      status: 'cumprida',
+      auto: false,
+      recovered: 300,
+    });
+    expect(
+      resolve({ resolution: { status: 'cumprida' } }, { payments }).recovered
+    ).toBe(100);
+  });
+});
+
+describe('startOfWeek', () => {
+  it('volta para a segunda-feira, inclusive aos domingos', () => {
+    expect(startOfWeek(day(13, 18))).toEqual(new Date(2024, 2, 11));
+    expect(startOfWeek(day(17))).toEqual(new Date(2024, 2, 11));
+    expect(startOfWeek(day(11))).toEqual(new Date(2024, 2, 11));
+  });
+});
@@ -0,0 +1,11 @@
+/** ===================== Snapshots ===================== */
+const SNAPSHOT_KEEP_DAYS = 400;
+export const TREND_RANGES = [30, 90];
+
+/** Mantém só os dias mais recentes (chaves YYYY-MM-DD ordenam como datas). */
+export function pruneSnapshots(map) {
+  const keys = Object.keys(map || {}).sort();
+  return Object.fromEntries(
+    keys.slice(-SNAPSHOT_KEEP_DAYS).map((k) => [k, map[k]])
+  );
+}
@@ -0,0 +1,21 @@
+import { describe, expect, it } from 'vitest';
+
+import { pruneSnapshots } from './snapshots';
+import { isoToDateInput } from './utils';
+
+describe('pruneSnapshots', () => {
+  it('mantém os 400 dias mais recentes', () => {
+    const map = {};
+    for (let i = 0; i < 410; i++)
+      map[isoToDateInput(new Date(2023, 0, 1 + i).toISOString())] = { i };
+    const kept = pruneSnapshots(map);
+    const keys = Object.keys(kept);
+    expect(keys).toHaveLength(400);
+    expect(keys[0]).toBe('2023-01-11');
+    expect(kept[keys.at(-1)]).toEqual({ i: 409 });
+  });
+
+  it('aceita histórico vazio', () => {
+    expect(pruneSnapshots(undefined)).toEqual({});
+  });
+});
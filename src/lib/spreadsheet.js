@@ -0,0 +1,439 @@
+import * as XLSX from 'xlsx';
+
+import {
+  dateInputToISO,
+  excelToDate,
+  formatBR,
+  keyForClientLike,
+  norm,
+  onlyDigits,
+  parseBRLToNumber,
+  toBRL,
+} from './utils';
+import { amountOf, isPagoStatus } from './ledger';
+import { buildWhatsLinkBR } from './messages';
+
+/** ===================== Validação ===================== */
+function isValidCPF(d) {
+  if (d.length !== 11 || /^(\d)\1+$/.test(d)) return false;
+  for (const len of [9, 10]) {
+    let sum = 0;
+    for (let i = 0; i < len; i++) sum += Number(d[i]) * (len + 1 - i);
+    const dv = ((sum * 10) % 11) % 10;
+    if (dv !== Number(d[len])) return false;
+  }
+  return true;
+}
+function isValidCNPJ(d) {
+  if (d.length !== 14 || /^(\d)\1+$/.test(d)) return false;
+  for (const len of [12, 13]) {
+    let sum = 0;
+    let w = len - 7;
+    for (let i = 0; i < len; i++) {
+      sum += Number(d[i]) * w;
+      w = w === 2 ? 9 : w - 1;
+    }
+    const r = sum % 11;
+    const dv = r < 2 ? 0 : 11 - r;
+    if (dv !== Number(d[len])) return false;
+  }
+  return true;
+}
+function docIssue(cpfCnpj) {
+  const d = onlyDigits(cpfCnpj);
+  if (!d) return '';
+  if (d.length === 11) return isValidCPF(d) ? '' : 'CPF com dígito inválido';
+  if (d.length === 14) return isValidCNPJ(d) ? '' : 'CNPJ com dígito inválido';
+  return `CPF/CNPJ com ${d.length} dígitos`;
+}
+
+/** ===================== Re-importação (diff) ===================== */
+function summarizeByKey(rows) {
+  const map = new Map();
+  for (const r of rows || []) {
+    const k = keyForClientLike(r);
+    if (!k) continue;
+    if (!map.has(k)) map.set(k, []);
+    map.get(k).push(r);
+  }
+  const out = new Map();
+  for (const [k, list] of map) {
+    const statuses = [...new Set(list.map((r) => r.Status).filter(Boolean))];
+    const vencs = list
+      .map((r) => r.VencimentoISO)
+      .filter(Boolean)
+      .sort()
+      .map((iso) => formatBR(new Date(iso)));
+    out.set(k, {
+      key: k,
+      Nome: list[0].Nome,
+      CPF: list[0].CPF,
+      Telefone: list[0].Telefone,
+      Status: statuses.join(' / '),
+      pago: list.every((r) => isPagoStatus(r.Status)),
+      valor: list.reduce((acc, r) => acc + amountOf(r.Valor), 0),
+      vencimentos: vencs.join(', '),
+    });
+  }
+  return out;
+}
+
+/** Compara a base anterior com a nova por `keyForClientLike`. */
+export function diffDatasets(prevRows, nextRows) {
+  const before = summarizeByKey(prevRows);
+  const after = summarizeByKey(nextRows);
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [k, n] of after) {
+    const o = before.get(k);
+    if (!o) {
+      added.push(n);
+      continue;
+    }
+    const changes = [];
+    if (o.Status !== n.Status)
+      changes.push(`Status: ${o.Status || '—'} → ${n.Status || '—'}`);
+    if (Math.abs(o.valor - n.valor) > 0.005)
+      changes.push(`Valor: ${toBRL(o.valor)} → ${toBRL(n.valor)}`);
+    if (o.vencimentos !== n.vencimentos)
+      changes.push(
+        `Vencimento: ${o.vencimentos || '—'} → ${n.vencimentos || '—'}`
+      );
+    if (changes.length)
+      changed.push({ ...n, changes, becamePaid: n.pago && !o.pago });
+  }
+  for (const [k, o] of before) if (!after.has(k)) removed.push(o);
+
+  return {
+    added,
+    removed,
+    changed,
+    becamePaid: changed.filter((c) => c.becamePaid).length,
+  };
+}
+
+/** ===================== Excel helpers ===================== */
+export function findHeaderRow(aoa) {
+  const maxScan = Math.min(25, aoa.length);
+
+  const looksCpf = (cell) => {
+    const t = norm(cell);
+    return (
+      t === 'cpf' ||
+      t.includes('cpf') ||
+      t.includes('cpf cnpj') ||
+      t.includes('cpf/cnpj') ||
+      t.includes('documento')
+    );
+  };
+
+  const looksNome = (cell) => {
+    const t = norm(cell);
+    return t === 'nome' || t.includes('nome') || t.includes('cliente');
+  };
+
+  for (let i = 0; i < maxScan; i++) {
+    const row = aoa[i] || [];
+    let cpfOk = false;
+    let nomeOk = false;
+
+    for (const cell of row) {
+      if (!cpfOk && looksCpf(cell)) cpfOk = true;
+      if (!nomeOk && looksNome(cell)) nomeOk = true;
+    }
+    if (cpfOk && nomeOk) return i;
+  }
+
+  for (let i = 0; i < maxScan; i++) {
+    const filled = (aoa[i] || []).filter(
+      (c) => String(c ?? '').trim() !== ''
+    ).length;
+    if (filled >= 3) return i;
+  }
+
+  return 0;
+}
+
+/** ===================== Column mapping ===================== */
+export const MAP_FIELDS = [
+  { id: 'CPF', label: 'CPF/CNPJ' },
+  { id: 'Nome', label: 'Nome' },
+  { id: 'Valor', label: 'Valor' },
+  { id: 'Vencimento', label: 'Vencimento' },
+  { id: 'Telefone', label: 'Telefone' },
+  { id: 'TipoNegociacao', label: 'Tipo de negociação' },
+  { id: 'Status', label: 'Status' },
+  { id: 'Obs', label: 'Obs' },
+];
+
+const FIELD_GUESSES = {
+  CPF: (k) =>
+    k === 'cpf' ||
+    k.includes('cpf') ||
+    k.includes('cnpj') ||
+    (k.includes('documento') && !k.includes('tipo')),
+  Nome: (k) => k === 'nome' || k.includes('nome') || k.includes('cliente'),
+  Valor: (k) =>
+    k === 'valor' ||
+    k.includes('valor') ||
+    k.includes('vlr') ||
+    k.includes('parcela') ||
+    k.includes('acordo'),
+  Vencimento: (k) =>
+    k === 'data' ||
+    k.includes('venc') ||
+    k.includes('dt venc') ||
+    k.includes('vcto'),
+  Telefone: (k) =>
+    k.includes('tel') ||
+    k.includes('fone') ||
+    /\bcel/.test(k) || // "parcela" não é celular
+    k.includes('contato') ||
+    k.includes('whats'),
+  TipoNegociacao: (k) =>
+    k.includes('negoci') ||
+    k.includes('modalidade') ||
+    (k.includes('tipo') && !k.includes('doc')),
+  Status: (k) =>
+    k === 'status' ||
+    k === 'pago' ||
+    k.includes('status') ||
+    k.includes('situacao') ||
+    (k.includes('pag') && !/^(data|dt)\b/.test(k)),
+  Obs: (k) =>
+    k.includes('obs') ||
+    k.includes('observacao') ||
+    k.includes('coment') ||
+    k.includes('anot'),
+};
+
+/** Campos mais específicos escolhem primeiro ("Venc. parcela" não vira Valor). */
+const GUESS_ORDER = [
+  'CPF',
+  'Nome',
+  'Vencimento',
+  'Telefone',
+  'Valor',
+  'Status',
+  'TipoNegociacao',
+  'Obs',
+];
+
+/** Cada coluna é usada por no máximo um campo (a primeira que casar). */
+export function guessMapping(headers) {
+  const used = new Set();
+  const mapping = {};
+  for (const field of GUESS_ORDER) {
+    mapping[field] = -1;
+    for (let i = 0; i < headers.length; i++) {
+      if (used.has(i)) continue;
+      const nk = norm(headers[i]);
+      if (nk && FIELD_GUESSES[field](nk)) {
+        mapping[field] = i;
+        used.add(i);
+        break;
+      }
+    }
+  }
+  return mapping;
+}
+
+export function headerSignature(headers) {
+  return (headers || []).map(norm).join('|').replace(/\|+$/, '');
+}
+
+export function columnLabel(headers, i) {
+  const h = String(headers?.[i] ?? '').trim();
+  return `${XLSX.utils.encode_col(i)} — ${h || '(sem título)'}`;
+}
+
+export const EMPTY_IMPORT_VIEW = {
+  headers: [],
+  preview: [],
+  issues: [],
+  withIssues: [],
+  pending: 0,
+  skipped: 0,
+  visible: [],
+  diff: null,
+};
+
+export function draftHeaders(draft) {
+  return (draft?.aoa?.[draft.headerRow] || []).map((c) => String(c ?? ''));
+}
+
+/** Linhas não vazias abaixo do cabeçalho, com o número real da linha na planilha. */
+export function draftItems(draft) {
+  if (!draft) return [];
+  const items = [];
+  draft.aoa.slice(draft.headerRow + 1).forEach((cells, i) => {
+    const filled = MAP_FIELDS.some(
+      (f) => String(mappedCell(cells, draft.mapping, f.id) ?? '').trim() !== ''
+    );
+    if (!filled) return;
+    items.push({
+      sheetRow: draft.rowOffset + draft.headerRow + i + 2,
+      row: mapRow(cells, draft.mapping),
+      rawVenc: mappedCell(cells, draft.mapping, 'Vencimento'),
+      decision: '',
+      edited: false,
+    });
+  });
+  return items;
+}
+
+/** Correção feita na validação; fica em `fixes` para sobreviver a um remapeamento. */
+export function applyImportFix(item, field, value) {
+  const row = { ...item.row };
+  let rawVenc = item.rawVenc;
+  if (field === 'Vencimento') {
+    row.VencimentoISO = dateInputToISO(value);
+    rawVenc = value;
+  } else {
+    row[field] = value;
+  }
+  return {
+    ...item,
+    row,
+    rawVenc,
+    edited: true,
+    fixes: { ...(item.fixes || {}), [field]: value },
+  };
+}
+
+/** Reaplica correções e decisões anteriores, casando pela linha da planilha. */
+export function carryImportEdits(items, prevItems) {
+  const prev = new Map((prevItems || []).map((it) => [it.sheetRow, it]));
+  return items.map((it) => {
+    const old = prev.get(it.sheetRow);
+    if (!old) return it;
+    let next = { ...it, decision: old.decision || '' };
+    for (const [field, value] of Object.entries(old.fixes || {}))
+      next = applyImportFix(next, field, value);
+    return next;
+  });
+}
+
+function importRowIssues(item, mapping) {
+  const r = item.row;
+  const issues = [];
+
+  if (!r.CPF && !r.Nome && !r.Telefone)
+    issues.push({ field: 'Nome', msg: 'Sem CPF, Nome e Telefone' });
+
+  const doc = docIssue(r.CPF);
+  if (doc) issues.push({ field: 'CPF', msg: doc });
+
+  if (mapping?.Telefone >= 0 && !buildWhatsLinkBR(r.Telefone, ''))
+    issues.push({
+      field: 'Telefone',
+      msg: r.Telefone ? 'Telefone curto para WhatsApp' : 'Sem telefone',
+    });
+
+  if (!r.VencimentoISO && mapping?.Vencimento >= 0) {
+    const raw = String(item.rawVenc ?? '').trim();
+    issues.push({
+      field: 'Vencimento',
+      msg: raw ? `Data inválida (“${raw}”)` : 'Sem vencimento',
+    });
+  }
+
+  if (
+    String(r.Valor ?? '').trim() !== '' &&
+    typeof parseBRLToNumber(r.Valor) !== 'number'
+  )
+    issues.push({ field: 'Valor', msg: `Valor inválido (“${r.Valor}”)` });
+
+  return issues;
+}
+
+/** Problemas por item (mesmo índice de `items`), incluindo chaves repetidas no lote. */
+export function validateImportItems(items, mapping) {
+  const byKey = new Map();
+  (items || []).forEach((it, i) => {
+    if (it.decision === 'skip') return;
+    const k = keyForClientLike(it.row);
+    if (!k) return;
+    if (!byKey.has(k)) byKey.set(k, []);
+    byKey.get(k).push(i);
+  });
+
+  return (items || []).map((it, i) => {
+    const issues = importRowIssues(it, mapping);
+    const same = byKey.get(keyForClientLike(it.row));
+    if (same && same.length > 1 && it.decision !== 'skip') {
+      const others = same.filter((j) => j !== i).map((j) => items[j].sheetRow);
+      issues.push({
+        field: 'CPF',
+        msg: `Chave duplicada (linha ${others.slice(0, 5).join(', ')}${
+          others.length > 5 ? '…' : ''
+        })`,
+      });
+    }
+    return issues;
+  });
+}
+
+function mappedCell(cells, mapping, field) {
+  const i = mapping?.[field];
+  return i >= 0 ? cells?.[i] ?? '' : '';
+}
+
+function mapRow(cells, mapping) {
+  const get = (field) => mappedCell(cells, mapping, field);
+
+  const vencDate = excelToDate(get('Vencimento'));
+
+  return {
+    CPF: String(get('CPF') ?? '').trim(),
+    Nome: String(get('Nome') ?? '').trim(),
+    Valor: get('Valor'),
+    VencimentoISO: vencDate ? vencDate.toISOString() : '',
+    Telefone: String(get('Telefone') ?? '').trim(),
+    TipoNegociacao: String(get('TipoNegociacao') ?? '').trim(),
+    Status: String(get('Status') ?? '').trim(),
+    Obs: String(get('Obs') ?? '').trim(),
+  };
+}
+
+/** ===================== Export helpers ===================== */
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+export function downloadCSV(rows, filename) {
+  if (!rows.length) return;
+
+  const headers = Object.keys(rows[0]);
+  const esc = (val) => {
+    const s = String(val ?? '');
+    if (s.includes('"') || s.includes(',') || s.includes('\n'))
+      return `"${s.replace(/"/g, '""')}"`;
+    return s;
+  };
+
+  const csv = [
+    headers.join(','),
+    ...rows.map((r) => headers.map((h) => esc(r[h])).join(',')),
+  ].join('\n');
+
+  downloadBlob(filename, new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+}
+export function downloadXLSX(rows, filename) {
+  const ws = XLSX.utils.json_to_sheet(rows);
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, 'Clientes');
+  const array = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+  downloadBlob(
+    filename,
+    new Blob([array], {
+      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    })
+  );
+}
@@ -0,0 +1,297 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  applyImportFix,
+  carryImportEdits,
+  diffDatasets,
+  draftItems,
+  guessMapping,
+  headerSignature,
+  validateImportItems,
+} from './spreadsheet';
+
+describe('guessMapping', () => {
+  it('reconhece os cabeçalhos usuais da planilha', () => {
+    const headers = [
+      'CPF',
+      'Nome',
+      'Valor',
+      'Vencimento',
+      'Telefone',
+      'Status',
+    ];
+    expect(guessMapping(headers)).toEqual({
+      CPF: 0,
+      Nome: 1,
+      Vencimento: 3,
+      Telefone: 4,
+      Valor: 2,
+      Status: 5,
+      TipoNegociacao: -1,
+      Obs: -1,
+    });
+  });
+
+  it('ignora acentos, caixa e pontuação', () => {
+    const m = guessMapping([
+      'Situação',
+      'Observação',
+      'Nº Celular',
+      'Dt. Vcto',
+    ]);
+    expect(m.Status).toBe(0);
+    expect(m.Obs).toBe(1);
+    expect(m.Telefone).toBe(2);
+    expect(m.Vencimento).toBe(3);
+  });
+
+  it('usa cada coluna para um campo só, o mais específico primeiro', () => {
+    const m = guessMapping([
+      'Nome do cliente',
+      'Venc. parcela',
+      'Valor parcela',
+    ]);
+    expect(m.Nome).toBe(0);
+    expect(m.Vencimento).toBe(1);
+    expect(m.Valor).toBe(2);
+  });
+
+  it('não confunde data de pagamento com status', () => {
+    const m = guessMapping(['Data pagamento', 'Pago']);
+    expect(m.Status).toBe(1);
+  });
+
+  it('deixa -1 quando nenhuma coluna casa', () => {
+    expect(guessMapping(['', 'xyz']).CPF).toBe(-1);
+  });
+});
+
+describe('headerSignature', () => {
+  it('normaliza e ignora colunas vazias no fim', () => {
+    expect(headerSignature(['CPF', 'Situação', '', ''])).toBe('cpf|situacao');
+    expect(headerSignature(['cpf ', 'SITUACAO'])).toBe('cpf|situacao');
+  });
+});
+
+describe('draftItems', () => {
+  const draft = {
+    aoa: [
+      ['Relatório de acordos'],
+      ['CPF', 'Nome', 'Valor'],
+      ['123', 'Ana', '100,00'],
+      ['', '', ''],
+      ['456', 'Bruno', '50'],
+    ],
+    headerRow: 1,
+    rowOffset: 0,
+    mapping: guessMapping(['CPF', 'Nome', 'Valor']),
+  };
+
+  it('pula linhas vazias e guarda a linha real da planilha', () => {
+    const items = draftItems(draft);
+    expect(items.map((it) => it.sheetRow)).toEqual([3, 5]);
+    expect(items[0].row).toMatchObject({
+      CPF: '123',
+      Nome: 'Ana',
+      Valor: '100,00',
+    });
+  });
+
+  it('soma o deslocamento de planilhas com linhas antes do intervalo', () => {
+    expect(draftItems({ ...draft, rowOffset: 4 })[0].sheetRow).toBe(7);
+  });
+
+  it('sem rascunho não há itens', () => {
+    expect(draftItems(null)).toEqual([]);
+  });
+});
+
+describe('validateImportItems', () => {
+  const mapping = guessMapping([
+    'CPF',
+    'Nome',
+    'Valor',
+    'Vencimento',
+    'Telefone',
+  ]);
+  const item = (sheetRow, row, extra = {}) => ({
+    sheetRow,
+    row: {
+      CPF: '',
+      Nome: 'Ana',
+      Valor: '100,00',
+      VencimentoISO: '2024-03-10T03:00:00.000Z',
+      Telefone: '11 98888-7777',
+      ...row,
+    },
+    rawVenc: '10/03/2024',
+    decision: '',
+    ...extra,
+  });
+  const msgs = (issues) => issues.map((i) => i.msg);
+
+  it('aceita CPF e CNPJ com dígitos corretos', () => {
+    const [cpf, cnpj] = validateImportItems(
+      [
+        item(2, { CPF: '529.982.247-25' }),
+        item(3, { CPF: '11.222.333/0001-81' }),
+      ],
+      mapping
+    );
+    expect(cpf).toEqual([]);
+    expect(cnpj).toEqual([]);
+  });
+
+  it('aponta dígito verificador errado e tamanho estranho', () => {
+    const issues = validateImportItems(
+      [
+        item(2, { CPF: '529.982.247-24' }),
+        item(3, { CPF: '11.222.333/0001-80' }),
+        item(4, { CPF: '111.111.111-11' }),
+        item(5, { CPF: '12345' }),
+      ],
+      mapping
+    );
+    expect(issues.map(msgs)).toEqual([
+      ['CPF com dígito inválido'],
+      ['CNPJ com dígito inválido'],
+      ['CPF com dígito inválido'],
+      ['CPF/CNPJ com 5 dígitos'],
+    ]);
+  });
+
+  it('aponta telefone, vencimento e valor que não dá para usar', () => {
+    const [issues] = validateImportItems(
+      [
+        item(
+          2,
+          { Telefone: '9999', VencimentoISO: '', Valor: 'abc' },
+          { rawVenc: '31/02' }
+        ),
+      ],
+      mapping
+    );
+    expect(msgs(issues)).toEqual([
+      'Telefone curto para WhatsApp',
+      'Data inválida (“31/02”)',
+      'Valor inválido (“abc”)',
+    ]);
+  });
+
+  it('marca chaves repetidas no lote, exceto as puladas', () => {
+    const items = [
+      item(2, { CPF: '529.982.247-25' }),
+      item(3, { CPF: '52998224725' }),
+      item(4, { CPF: '529.982.247-25' }, { decision: 'skip' }),
+    ];
+    const issues = validateImportItems(items, mapping);
+    expect(msgs(issues[0])).toEqual(['Chave duplicada (linha 3)']);
+    expect(msgs(issues[1])).toEqual(['Chave duplicada (linha 2)']);
+    expect(issues[2]).toEqual([]);
+  });
+});
+
+describe('carryImportEdits', () => {
+  const base = (sheetRow, Nome) => ({
+    sheetRow,
+    row: { Nome, VencimentoISO: '' },
+    rawVenc: '',
+    decision: '',
+    edited: false,
+  });
+
+  it('reaplica correções e decisões casando pela linha da planilha', () => {
+    const prev = [
+      {
+        ...applyImportFix(base(2, 'Ana'), 'Nome', 'Ana Maria'),
+        decision: 'keep',
+      },
+      { ...base(3, 'Bruno'), decision: 'skip' },
+    ];
+    const next = carryImportEdits(
+      [base(3, 'Bruno'), base(2, 'Ana'), base(4, 'Caio')],
+      prev
+    );
+    expect(next[0].decision).toBe('skip');
+    expect(next[1]).toMatchObject({
+      decision: 'keep',
+      edited: true,
+      row: { Nome: 'Ana Maria' },
+    });
+    expect(next[2]).toEqual(base(4, 'Caio'));
+  });
+
+  it('correção de vencimento volta a valer como data', () => {
+    const prev = [applyImportFix(base(2, 'Ana'), 'Vencimento', '2024-03-10')];
+    const [it] = carryImportEdits([base(2, 'Ana')], prev);
+    expect(it.rawVenc).toBe('2024-03-10');
+    expect(new Date(it.row.VencimentoISO).getDate()).toBe(10);
+  });
+});
+
+describe('diffDatasets', () => {
+  const row = (CPF, over) => ({
+    CPF,
+    Nome: 'Ana',
+    Valor: '100,00',
+    VencimentoISO: new Date(2024, 2, 10).toISOString(),
+    Status: 'Em aberto',
+    ...over,
+  });
+
+  it('separa novos, removidos e alterados pela chave do cliente', () => {
+    const prev = [row('529.982.247-25'), row('11.222.333/0001-81')];
+    const next = [
+      row('52998224725', { Status: 'Pago' }),
+      row('', { Telefone: '11988887777' }),
+    ];
+    const diff = diffDatasets(prev, next);
+    expect(diff.added.map((c) => c.key)).toEqual(['tel:11988887777']);
+    expect(diff.removed.map((c) => c.key)).toEqual(['cpf:11222333000181']);
+    expect(diff.changed).toHaveLength(1);
+    expect(diff.changed[0].changes).toEqual(['Status: Em aberto → Pago']);
+    expect(diff.becamePaid).toBe(1);
+  });
+
+  it('soma as parcelas do cliente antes de comparar valor e vencimentos', () => {
+    const cpf = '52998224725';
+    const prev = [
+      row(cpf),
+      row(cpf, { VencimentoISO: new Date(2024, 3, 10).toISOString() }),
+    ];
+    const next = [row(cpf, { Valor: 250 })];
+    const [c] = diffDatasets(prev, next).changed;
+    expect(c.changes).toHaveLength(2);
+    expect(c.changes[0]).toMatch(/^Valor: R\$\s200,00 → R\$\s250,00$/);
+    expect(c.changes[1]).toBe(
+      'Vencimento: 10/03/2024, 10/04/2024 → 10/03/2024'
+    );
+    expect(c.becamePaid).toBe(false);
+  });
+
+  it('"Não pago" não conta como quitado', () => {
+    const cpf = '52998224725';
+    const diff = diffDatasets(
+      [row(cpf), row('11222333000181')],
+      [
+        row(cpf, { Status: 'Não pago' }),
+        row('11222333000181', { Status: 'A pagar' }),
+      ]
+    );
+    expect(diff.changed.map((c) => c.becamePaid)).toEqual([false, false]);
+    expect(diff.becamePaid).toBe(0);
+  });
+
+  it('ignora linhas sem chave e diferenças de centavo', () => {
+    const diff = diffDatasets(
+      [row('52998224725'), row('')],
+      [row('52998224725', { Valor: 100.004 }), row('')]
+    );
+    expect(diff).toEqual({
+      added: [],
+      removed: [],
+      changed: [],
+      becamePaid: 0,
+    });
+  });
+});
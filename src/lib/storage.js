@@ -0,0 +1,488 @@
+import { isPlainObject, safeParse, uid } from './utils';
+import {
+  bytesToB64,
+  decryptText,
+  deriveKey,
+  encryptText,
+  IDLE_OPTIONS,
+  isEncrypted,
+  PIN_ITERATIONS,
+} from './crypto';
+
+/** ===================== IndexedDB ===================== */
+const IDB_NAME = 'operador_acordos';
+const IDB_STORE = 'datasets';
+export const IDB_DATASET_KEY = 'importacao_atual';
+
+function idbOpen() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(IDB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(IDB_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+async function idbRequest(mode, run) {
+  const db = await idbOpen();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IDB_STORE, mode);
+    const req = run(tx.objectStore(IDB_STORE));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(req.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+}
+function idbGet(key) {
+  return idbRequest('readonly', (store) => store.get(key));
+}
+function idbSet(key, value) {
+  return idbRequest('readwrite', (store) => store.put(value, key));
+}
+export function idbDel(key) {
+  return idbRequest('readwrite', (store) => store.delete(key));
+}
+function idbKeys() {
+  return idbRequest('readonly', (store) => store.getAllKeys());
+}
+
+/** ===================== Storage Keys ===================== */
+export const LS_MANUAL_CLIENTS = 'operador_clientes_manuais_v4';
+export const LS_PROMISES = 'operador_promessas_v4';
+export const LS_MAPPING_PROFILES = 'operador_mapeamentos_v4';
+export const LS_PAYMENTS = 'operador_pagamentos_v4';
+export const LS_CONTACTS = 'operador_contatos_v4';
+export const LS_TEMPLATES = 'operador_modelos_v4';
+export const LS_CAMPAIGNS = 'operador_campanhas_v4';
+export const LS_SNAPSHOTS = 'operador_snapshots_v4';
+export const LS_POLICY = 'operador_politica_v4';
+export const LS_PRIVACY = 'operador_privacidade_v4';
+export const LS_AUDIT = 'operador_auditoria_v4';
+const LS_META = 'operador_meta';
+export const LS_WORKSPACES = 'operador_carteiras';
+export const DEFAULT_WORKSPACE_ID = 'padrao';
+const LS_MIGRATION_BACKUP_PREFIX = 'operador_backup_migracao_';
+/** Fora do prefixo `operador_`: o app não lê nem regrava, só guarda. */
+export const LS_QUARANTINE_PREFIX = 'quarentena:';
+const LS_LOCK = 'operador_cadeado';
+
+/** ===================== Storage ===================== */
+/**
+ * Versão do formato dos dados. As chaves continuam com sufixo `_v4`; a versão
+ * real fica no registro `LS_META` e só muda via migração.
+ */
+const SCHEMA_VERSION = 6;
+
+/**
+ * Com PIN ativo, os valores ficam cifrados no localStorage e em claro só neste
+ * cache em memória, preenchido no desbloqueio e esvaziado ao bloquear. A
+ * gravação cifrada é assíncrona; `pendingWrites` descarta as que ficaram
+ * velhas antes de terminar e `inFlight` guarda as promessas para `flushWrites`.
+ */
+let cryptoKey = null;
+const plainCache = new Map();
+const pendingWrites = new Map();
+const inFlight = new Set();
+let writeSeq = 0;
+
+function isProtectedKey(key) {
+  return key.startsWith('operador_') && key !== LS_LOCK && key !== LS_META;
+}
+function readRaw(key) {
+  if (cryptoKey && isProtectedKey(key))
+    return plainCache.has(key) ? plainCache.get(key) : null;
+  return localStorage.getItem(key);
+}
+
+/**
+ * Falhas de gravação (cota do navegador cheia, modo privado...) vão para quem
+ * assinou, uma vez por chave até ela voltar a gravar. O erro segue para quem
+ * chamou: migrações precisam saber que o passo não foi salvo.
+ */
+const errorListeners = new Set();
+const failedKeys = new Set();
+export function onStorageError(listener) {
+  errorListeners.add(listener);
+  return () => errorListeners.delete(listener);
+}
+export function isQuotaError(err) {
+  return (
+    err?.name === 'QuotaExceededError' ||
+    err?.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+  );
+}
+function reportError(key, err) {
+  if (failedKeys.has(key)) return;
+  failedKeys.add(key);
+  for (const listener of errorListeners) listener({ key, error: err });
+}
+function setItem(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch (err) {
+    reportError(key, err);
+    throw err;
+  }
+  failedKeys.delete(key);
+}
+
+function writeRaw(key, value) {
+  if (!cryptoKey || !isProtectedKey(key)) {
+    pendingWrites.delete(key);
+    setItem(key, value);
+    return;
+  }
+  plainCache.set(key, value);
+  const seq = ++writeSeq;
+  pendingWrites.set(key, seq);
+  const write = encryptText(cryptoKey, value)
+    .then((payload) => {
+      if (pendingWrites.get(key) !== seq) return;
+      pendingWrites.delete(key);
+      setItem(key, payload);
+    })
+    .catch((err) => {
+      console.error(err);
+      reportError(key, err);
+    })
+    .finally(() => inFlight.delete(write));
+  inFlight.add(write);
+}
+/** Espera as gravações cifradas em andamento (antes de bloquear ou sair). */
+export async function flushWrites() {
+  while (inFlight.size) await Promise.all([...inFlight]);
+}
+export function hasPendingWrites() {
+  return inFlight.size > 0;
+}
+export function removeRaw(key) {
+  plainCache.delete(key);
+  pendingWrites.delete(key);
+  localStorage.removeItem(key);
+}
+/** Chaves do app, incluindo as que ainda estão sendo cifradas. */
+export function storageKeys() {
+  const keys = new Set(plainCache.keys());
+  for (let i = 0; i < localStorage.length; i++) keys.add(localStorage.key(i));
+  return [...keys].filter((k) => k.startsWith('operador_'));
+}
+
+export function readJSON(key, fallback) {
+  const raw = readRaw(key);
+  return raw === null ? fallback : safeParse(raw, fallback);
+}
+export function writeJSON(key, value) {
+  writeRaw(key, JSON.stringify(value));
+}
+
+/** Base importada (IndexedDB), cifrada quando há PIN. */
+export async function loadDataset(key) {
+  const v = await idbGet(key);
+  if (!v?.encrypted) return v;
+  if (!cryptoKey) throw new Error('Base importada cifrada e sem chave.');
+  const ds = safeParse(await decryptText(cryptoKey, v.payload), null);
+  if (!ds) throw new Error('Base importada ilegível.');
+  return ds;
+}
+export async function saveDataset(key, value) {
+  if (!cryptoKey) return idbSet(key, value);
+  const payload = await encryptText(cryptoKey, JSON.stringify(value));
+  return idbSet(key, { encrypted: true, payload });
+}
+
+/**
+ * Grava (ou apaga, com `value` nulo) a base de uma carteira. Se a leitura da
+ * base salva falhou, nulo quer dizer "não carregou", não "apagou": nada é
+ * feito e a função devolve null, para não perder o que está no IndexedDB.
+ */
+export function persistDataset(key, value, loadFailed) {
+  if (!value && loadFailed) return null;
+  return value ? saveDataset(key, value) : idbDel(key);
+}
+
+/** ===== PIN ===== */
+export function readLockConfig() {
+  return safeParse(localStorage.getItem(LS_LOCK), null);
+}
+export function writeLockConfig(config) {
+  localStorage.setItem(LS_LOCK, JSON.stringify(config));
+}
+
+/**
+ * Confere o PIN (só pelo `check`) e decifra tudo para o cache. Uma chave que
+ * não decifra (corrompida, gravada no meio de uma troca de PIN) não trava a
+ * entrada: vai intacta para `quarentena:<chave>` e volta em `unreadable`.
+ */
+export async function unlockStorage(pin) {
+  // Uma gravação da sessão anterior ainda cifrando deixaria o cache velho.
+  await flushWrites();
+  const config = readLockConfig();
+  const key = await deriveKey(pin, config.salt, config.iterations);
+  try {
+    await decryptText(key, config.check);
+  } catch {
+    return { ok: false, unreadable: [] };
+  }
+
+  plainCache.clear();
+  const leftovers = [];
+  const unreadable = [];
+  for (const k of storageKeys()) {
+    if (!isProtectedKey(k)) continue;
+    const raw = localStorage.getItem(k);
+    if (!isEncrypted(raw)) {
+      leftovers.push([k, raw]);
+      continue;
+    }
+    try {
+      plainCache.set(k, await decryptText(key, raw));
+    } catch (err) {
+      console.error(err);
+      localStorage.setItem(LS_QUARANTINE_PREFIX + k, raw);
+      localStorage.removeItem(k);
+      unreadable.push(k);
+    }
+  }
+  cryptoKey = key;
+  // Algo gravado em claro (ex.: interrompido ao ativar o PIN) é cifrado agora.
+  for (const [k, raw] of leftovers) writeRaw(k, raw);
+  return { ok: true, unreadable };
+}
+export function lockStorage() {
+  cryptoKey = null;
+  plainCache.clear();
+}
+
+/**
+ * Regrava tudo (localStorage e bases no IndexedDB) com a chave do novo PIN,
+ * ou em claro quando `pin` é null.
+ */
+export async function rekeyStorage(pin) {
+  const values = storageKeys()
+    .filter(isProtectedKey)
+    .map((k) => [k, readRaw(k)])
+    .filter(([, raw]) => raw !== null && !isEncrypted(raw));
+  const datasets = [];
+  for (const k of await idbKeys()) datasets.push([k, await loadDataset(k)]);
+
+  if (pin) {
+    const prev = readLockConfig();
+    const salt = bytesToB64(crypto.getRandomValues(new Uint8Array(16)));
+    const key = await deriveKey(pin, salt, PIN_ITERATIONS);
+    writeLockConfig({
+      salt,
+      iterations: PIN_ITERATIONS,
+      check: await encryptText(key, 'ok'),
+      idleMinutes: prev?.idleMinutes || IDLE_OPTIONS[0],
+    });
+    cryptoKey = key;
+  } else {
+    lockStorage();
+    localStorage.removeItem(LS_LOCK);
+  }
+
+  for (const [k, raw] of values) writeRaw(k, raw);
+  for (const [k, v] of datasets) if (v) await saveDataset(k, v);
+}
+
+/**
+ * Chave de uma carteira. A padrão usa as chaves sem sufixo (dados de antes das
+ * carteiras); as demais gravam em `chave::<id>`. A carteira vai sempre
+ * explícita: nada de estado global trocado durante o render.
+ */
+export function nsKey(key, workspaceId) {
+  return workspaceId && workspaceId !== DEFAULT_WORKSPACE_ID
+    ? `${key}::${workspaceId}`
+    : key;
+}
+export function loadStore(key, fallback, workspaceId) {
+  return readJSON(nsKey(key, workspaceId), fallback);
+}
+/**
+ * Se não gravar, o estado em memória segue valendo e o aviso sai pelo
+ * `onStorageError`.
+ */
+export function saveStore(key, value, workspaceId) {
+  try {
+    writeJSON(nsKey(key, workspaceId), value);
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+/** Até a v4 cada versão gravava clientes e promessas em chaves próprias. */
+const LEGACY_BASES = ['clientes_manuais', 'promessas'];
+function legacyKey(base, v) {
+  return `operador_${base}_v${v}`;
+}
+function renameLegacy(from, to) {
+  for (const base of LEGACY_BASES) {
+    const raw = readRaw(legacyKey(base, from));
+    if (raw === null) continue;
+    if (readRaw(legacyKey(base, to)) === null)
+      writeRaw(legacyKey(base, to), raw);
+    removeRaw(legacyKey(base, from));
+  }
+}
+
+/** Migrações em ordem; cada uma leva os dados de `from` para `to`. */
+const MIGRATIONS = [
+  { from: 1, to: 2, up: () => renameLegacy(1, 2) },
+  { from: 2, to: 3, up: () => renameLegacy(2, 3) },
+  {
+    from: 3,
+    to: 4,
+    up: () => {
+      renameLegacy(3, 4);
+      // Clientes sem id e promessas gravadas só como data (ISO).
+      const clients = readJSON(LS_MANUAL_CLIENTS, []);
+      if (!Array.isArray(clients)) throw new Error('clientes não é uma lista');
+      writeJSON(
+        LS_MANUAL_CLIENTS,
+        clients.map((c) => ({ ...c, _id: c?._id || uid() }))
+      );
+      const promises = readJSON(LS_PROMISES, {});
+      const next = {};
+      for (const [k, v] of Object.entries(promises || {}))
+        next[k] =
+          typeof v === 'string'
+            ? { promiseISO: v, updatedAt: v, note: '', snapshot: {} }
+            : v;
+      writeJSON(LS_PROMISES, next);
+    },
+  },
+  {
+    from: 4,
+    to: 5,
+    up: () => {
+      // Promessas ganham createdAt/history; clientes, a lista de parcelas.
+      const promises = readJSON(LS_PROMISES, {});
+      const next = {};
+      for (const [k, v] of Object.entries(promises || {}))
+        next[k] = {
+          ...v,
+          createdAt: v?.createdAt || v?.updatedAt || '',
+          history: Array.isArray(v?.history) ? v.history : [],
+        };
+      writeJSON(LS_PROMISES, next);
+      const clients = readJSON(LS_MANUAL_CLIENTS, []);
+      if (!Array.isArray(clients)) throw new Error('clientes não é uma lista');
+      writeJSON(
+        LS_MANUAL_CLIENTS,
+        clients.map((c) => ({
+          ...c,
+          Parcelas: Array.isArray(c?.Parcelas) ? c.Parcelas : [],
+        }))
+      );
+    },
+  },
+  {
+    from: 5,
+    to: 6,
+    up: () => {
+      // Acordo manual sem CPF/telefone: o livro era por parcela
+      // (`manual:<id>#<n>`), agora é um só por acordo (`manual:<id>`).
+      const ledgers = storageKeys().filter((k) =>
+        [LS_PAYMENTS, LS_CONTACTS].some(
+          (base) => k === base || k.startsWith(`${base}::`)
+        )
+      );
+      for (const k of ledgers) {
+        const store = readJSON(k, {});
+        if (!isPlainObject(store)) throw new Error(`${k} não é um mapa`);
+        const next = {};
+        for (const [key, list] of Object.entries(store)) {
+          const to = key.replace(/^(manual:.+)#\d+$/, '$1');
+          next[to] = [...(next[to] || []), ...(list || [])];
+        }
+        writeJSON(k, next);
+      }
+    },
+  },
+];
+
+function detectSchemaVersion() {
+  const meta = readJSON(LS_META, null);
+  if (Number.isInteger(meta?.schemaVersion)) return meta.schemaVersion;
+  for (let v = 1; v <= 4; v++)
+    if (LEGACY_BASES.some((b) => readRaw(legacyKey(b, v)) !== null)) return v;
+  return SCHEMA_VERSION;
+}
+
+/** Cópia de todas as chaves do app (menos meta e cópias de segurança). */
+function dumpAppKeys() {
+  const out = {};
+  for (const k of storageKeys())
+    if (
+      isProtectedKey(k) &&
+      k !== LS_WORKSPACES &&
+      !k.startsWith(LS_MIGRATION_BACKUP_PREFIX)
+    )
+      out[k] = readRaw(k);
+  return out;
+}
+function restoreAppKeys(dump) {
+  for (const k of Object.keys(dumpAppKeys())) if (!(k in dump)) removeRaw(k);
+  for (const [k, v] of Object.entries(dump)) writeRaw(k, v);
+}
+
+/**
+ * Roda as migrações pendentes. Se uma falhar, guarda uma cópia de segurança
+ * dos dados anteriores, desfaz o passo e para na última versão boa.
+ */
+export function runMigrations() {
+  let version = detectSchemaVersion();
+  for (const m of MIGRATIONS) {
+    if (m.from !== version) continue;
+    const before = dumpAppKeys();
+    try {
+      m.up();
+      version = m.to;
+      writeJSON(LS_META, {
+        schemaVersion: version,
+        migratedAt: new Date().toISOString(),
+      });
+    } catch (err) {
+      console.error(err);
+      const backupKey = `${LS_MIGRATION_BACKUP_PREFIX}v${m.from}`;
+      try {
+        writeJSON(backupKey, { at: new Date().toISOString(), keys: before });
+      } catch (copyErr) {
+        console.error(copyErr);
+      }
+      restoreAppKeys(before);
+      return {
+        version,
+        failed: m,
+        error: String(err?.message || err),
+        backupKey,
+      };
+    }
+  }
+  if (readJSON(LS_META, null)?.schemaVersion !== version)
+    writeJSON(LS_META, { schemaVersion: version });
+  return { version };
+}
+
+/**
+ * LGPD: as cópias de segurança das migrações (e o que ficou em quarentena no
+ * desbloqueio) guardam dados pessoais de todas as carteiras, sem como apagar
+ * um titular só. Na eliminação ou anonimização elas vão embora inteiras.
+ */
+export function purgeRecoveryCopies() {
+  const keys = storageKeys().filter((k) =>
+    k.startsWith(LS_MIGRATION_BACKUP_PREFIX)
+  );
+  for (const k of keys) removeRaw(k);
+  const quarantined = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const k = localStorage.key(i);
+    if (k?.startsWith(LS_QUARANTINE_PREFIX)) quarantined.push(k);
+  }
+  for (const k of quarantined) localStorage.removeItem(k);
+  return keys.length + quarantined.length;
+}
@@ -0,0 +1,382 @@
+import 'fake-indexeddb/auto';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { bytesToB64, deriveKey, encryptText, isEncrypted } from './crypto';
+import {
+  DEFAULT_WORKSPACE_ID,
+  flushWrites,
+  hasPendingWrites,
+  isQuotaError,
+  loadDataset,
+  loadStore,
+  LS_CONTACTS,
+  LS_MANUAL_CLIENTS,
+  LS_PAYMENTS,
+  LS_PROMISES,
+  lockStorage,
+  nsKey,
+  onStorageError,
+  persistDataset,
+  purgeRecoveryCopies,
+  readJSON,
+  runMigrations,
+  saveDataset,
+  saveStore,
+  unlockStorage,
+  writeJSON,
+  writeLockConfig,
+} from './storage';
+import { memoryStorage } from '../test/memoryStorage';
+
+beforeEach(() => {
+  vi.stubGlobal('localStorage', memoryStorage());
+  lockStorage();
+});
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe('runMigrations', () => {
+  const meta = () => readJSON('operador_meta', null);
+
+  it('instalação nova já nasce na versão atual', () => {
+    expect(runMigrations()).toEqual({ version: 6 });
+    expect(meta()).toEqual({ schemaVersion: 6 });
+  });
+
+  it('leva dados da v1 até a versão atual', () => {
+    localStorage.setItem(
+      'operador_clientes_manuais_v1',
+      JSON.stringify([{ Nome: 'Ana' }])
+    );
+    localStorage.setItem(
+      'operador_promessas_v1',
+      JSON.stringify({ 'cpf:1': '2024-03-12T03:00:00.000Z' })
+    );
+
+    expect(runMigrations()).toEqual({ version: 6 });
+    expect(meta().schemaVersion).toBe(6);
+    expect(localStorage.getItem('operador_clientes_manuais_v1')).toBeNull();
+    expect(localStorage.getItem('operador_promessas_v1')).toBeNull();
+
+    const [client] = readJSON(LS_MANUAL_CLIENTS, []);
+    expect(client).toMatchObject({ Nome: 'Ana', Parcelas: [] });
+    expect(client._id).toMatch(/^id:/);
+    expect(readJSON(LS_PROMISES, {})).toEqual({
+      'cpf:1': {
+        promiseISO: '2024-03-12T03:00:00.000Z',
+        updatedAt: '2024-03-12T03:00:00.000Z',
+        createdAt: '2024-03-12T03:00:00.000Z',
+        note: '',
+        snapshot: {},
+        history: [],
+      },
+    });
+  });
+
+  it('não sobrescreve uma chave mais nova que já existe', () => {
+    localStorage.setItem(
+      'operador_promessas_v2',
+      JSON.stringify({ a: 'velha' })
+    );
+    localStorage.setItem(
+      'operador_promessas_v3',
+      JSON.stringify({ b: 'nova' })
+    );
+    writeJSON('operador_meta', { schemaVersion: 2 });
+    runMigrations();
+    expect(Object.keys(readJSON(LS_PROMISES, {}))).toEqual(['b']);
+  });
+
+  it('junta o livro por parcela de acordos manuais em todas as carteiras', () => {
+    writeJSON('operador_meta', { schemaVersion: 5 });
+    writeJSON(LS_PAYMENTS, {
+      'manual:m1#0': [{ id: 'p1' }],
+      'manual:m1#1': [{ id: 'p2' }],
+      'cpf:1': [{ id: 'p3' }],
+    });
+    writeJSON(`${LS_CONTACTS}::outra`, { 'manual:m2#3': [{ id: 'c1' }] });
+
+    expect(runMigrations()).toEqual({ version: 6 });
+    expect(readJSON(LS_PAYMENTS, {})).toEqual({
+      'manual:m1': [{ id: 'p1' }, { id: 'p2' }],
+      'cpf:1': [{ id: 'p3' }],
+    });
+    expect(readJSON(`${LS_CONTACTS}::outra`, {})).toEqual({
+      'manual:m2': [{ id: 'c1' }],
+    });
+  });
+
+  it('migração que falha desfaz o passo e guarda uma cópia', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    writeJSON('operador_meta', { schemaVersion: 4 });
+    writeJSON(LS_MANUAL_CLIENTS, { nao: 'é lista' });
+    writeJSON(LS_PROMISES, { 'cpf:1': { promiseISO: 'x' } });
+
+    const result = runMigrations();
+    expect(result).toMatchObject({
+      version: 4,
+      failed: { from: 4, to: 5 },
+      error: 'clientes não é uma lista',
+      backupKey: 'operador_backup_migracao_v4',
+    });
+    expect(meta().schemaVersion).toBe(4);
+    expect(readJSON(LS_PROMISES, {})).toEqual({ 'cpf:1': { promiseISO: 'x' } });
+    expect(readJSON(result.backupKey, null).keys).toEqual({
+      [LS_MANUAL_CLIENTS]: JSON.stringify({ nao: 'é lista' }),
+      [LS_PROMISES]: JSON.stringify({ 'cpf:1': { promiseISO: 'x' } }),
+    });
+  });
+});
+
+describe('nsKey / loadStore / saveStore', () => {
+  it('a carteira padrão usa as chaves de antes das carteiras', () => {
+    expect(nsKey(LS_PAYMENTS, DEFAULT_WORKSPACE_ID)).toBe(LS_PAYMENTS);
+    expect(nsKey(LS_PAYMENTS, '')).toBe(LS_PAYMENTS);
+    expect(nsKey(LS_PAYMENTS, 'c2')).toBe(`${LS_PAYMENTS}::c2`);
+  });
+
+  it('cada carteira lê e grava só a própria chave', () => {
+    saveStore(LS_PAYMENTS, { a: [1] }, DEFAULT_WORKSPACE_ID);
+    saveStore(LS_PAYMENTS, { b: [2] }, 'c2');
+    expect(loadStore(LS_PAYMENTS, {}, DEFAULT_WORKSPACE_ID)).toEqual({
+      a: [1],
+    });
+    expect(loadStore(LS_PAYMENTS, {}, 'c2')).toEqual({ b: [2] });
+    expect(loadStore(LS_PAYMENTS, 'vazio', 'c3')).toBe('vazio');
+  });
+});
+
+describe('onStorageError', () => {
+  const quota = () =>
+    Object.assign(new Error('cheio'), { name: 'QuotaExceededError' });
+
+  it('avisa uma vez por chave quando o navegador recusa a gravação', () => {
+    const seen = [];
+    const off = onStorageError(({ key, error }) =>
+      seen.push([key, isQuotaError(error)])
+    );
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const setItem = vi.spyOn(localStorage, 'setItem').mockImplementation(() => {
+      throw quota();
+    });
+
+    expect(() => saveStore(LS_PROMISES, { a: 1 }, 'c1')).not.toThrow();
+    saveStore(LS_PROMISES, { a: 2 }, 'c1');
+    expect(() => writeJSON(LS_CONTACTS, {})).toThrow('cheio');
+    expect(seen).toEqual([
+      [nsKey(LS_PROMISES, 'c1'), true],
+      [LS_CONTACTS, true],
+    ]);
+
+    // Voltou a gravar: a próxima falha avisa de novo.
+    setItem.mockRestore();
+    saveStore(LS_PROMISES, { a: 3 }, 'c1');
+    expect(loadStore(LS_PROMISES, null, 'c1')).toEqual({ a: 3 });
+    vi.spyOn(localStorage, 'setItem').mockImplementation(() => {
+      throw new Error('outro');
+    });
+    saveStore(LS_PROMISES, { a: 4 }, 'c1');
+    expect(seen).toHaveLength(3);
+    expect(seen[2]).toEqual([nsKey(LS_PROMISES, 'c1'), false]);
+
+    off();
+    saveStore(LS_PAYMENTS, {});
+    expect(seen).toHaveLength(3);
+    vi.mocked(localStorage.setItem).mockRestore();
+    writeJSON(LS_CONTACTS, {});
+    saveStore(LS_PAYMENTS, {});
+  });
+});
+
+describe('unlockStorage', () => {
+  const salt = bytesToB64(new Uint8Array(16).fill(1));
+
+  async function lockWith(pin, values) {
+    const key = await deriveKey(pin, salt, 1000);
+    writeLockConfig({
+      salt,
+      iterations: 1000,
+      check: await encryptText(key, 'ok'),
+    });
+    for (const [k, v] of Object.entries(values))
+      localStorage.setItem(k, await encryptText(key, JSON.stringify(v)));
+    return key;
+  }
+
+  it('PIN errado não abre nem mexe em nada', async () => {
+    await lockWith('1234', { [LS_PROMISES]: { a: 1 } });
+    const raw = localStorage.getItem(LS_PROMISES);
+    expect(await unlockStorage('0000')).toEqual({ ok: false, unreadable: [] });
+    expect(localStorage.getItem(LS_PROMISES)).toBe(raw);
+  });
+
+  it('decifra para o cache e cifra o que for gravado depois', async () => {
+    await lockWith('1234', { [LS_PROMISES]: { a: 1 } });
+    expect(await unlockStorage('1234')).toEqual({ ok: true, unreadable: [] });
+    expect(readJSON(LS_PROMISES, null)).toEqual({ a: 1 });
+
+    writeJSON(LS_PAYMENTS, { b: [2] });
+    expect(readJSON(LS_PAYMENTS, null)).toEqual({ b: [2] });
+    await vi.waitFor(() =>
+      expect(isEncrypted(localStorage.getItem(LS_PAYMENTS))).toBe(true)
+    );
+    lockStorage();
+    expect(readJSON(LS_PAYMENTS, null)).toBeNull();
+  });
+
+  it('flushWrites espera a gravação cifrada terminar', async () => {
+    await lockWith('1234', { [LS_PROMISES]: { a: 1 } });
+    await unlockStorage('1234');
+    const before = localStorage.getItem(LS_PROMISES);
+    writeJSON(LS_PROMISES, { a: 2 });
+    writeJSON(LS_PROMISES, { a: 3 });
+    expect(hasPendingWrites()).toBe(true);
+    expect(localStorage.getItem(LS_PROMISES)).toBe(before);
+
+    await flushWrites();
+    expect(hasPendingWrites()).toBe(false);
+    lockStorage();
+    await unlockStorage('1234');
+    expect(readJSON(LS_PROMISES, null)).toEqual({ a: 3 });
+  });
+
+  it('desbloquear espera a gravação da sessão anterior', async () => {
+    await lockWith('1234', { [LS_PROMISES]: { a: 1 } });
+    await unlockStorage('1234');
+    const encrypt = crypto.subtle.encrypt.bind(crypto.subtle);
+    let release;
+    const gate = new Promise((resolve) => (release = resolve));
+    vi.spyOn(crypto.subtle, 'encrypt').mockImplementationOnce(
+      async (...args) => {
+        await gate;
+        return encrypt(...args);
+      }
+    );
+    writeJSON(LS_PROMISES, { a: 2 });
+    lockStorage();
+
+    const unlocking = unlockStorage('1234');
+    await new Promise((r) => setTimeout(r, 50));
+    release();
+    await unlocking;
+    expect(readJSON(LS_PROMISES, null)).toEqual({ a: 2 });
+  });
+
+  it('falha ao cifrar chega a quem assinou', async () => {
+    await lockWith('1234', {});
+    await unlockStorage('1234');
+    const seen = [];
+    const off = onStorageError(({ key, error }) =>
+      seen.push([key, error.message])
+    );
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(crypto.subtle, 'encrypt').mockRejectedValueOnce(
+      new Error('sem cifra')
+    );
+    writeJSON(LS_PAYMENTS, { b: [2] });
+    await flushWrites();
+    off();
+    expect(seen).toEqual([[LS_PAYMENTS, 'sem cifra']]);
+    expect(localStorage.getItem(LS_PAYMENTS)).toBeNull();
+
+    writeJSON(LS_PAYMENTS, { b: [3] });
+    await flushWrites();
+    expect(isEncrypted(localStorage.getItem(LS_PAYMENTS))).toBe(true);
+  });
+
+  it('cifra o que ficou em claro', async () => {
+    await lockWith('1234', {});
+    localStorage.setItem(LS_PROMISES, JSON.stringify({ a: 1 }));
+    await unlockStorage('1234');
+    expect(readJSON(LS_PROMISES, null)).toEqual({ a: 1 });
+    await vi.waitFor(() =>
+      expect(isEncrypted(localStorage.getItem(LS_PROMISES))).toBe(true)
+    );
+  });
+
+  it('chave que não decifra vai para a quarentena sem travar a entrada', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    await lockWith('1234', { [LS_PROMISES]: { a: 1 } });
+    const other = await deriveKey('9999', salt, 1000);
+    const bad = await encryptText(other, '{}');
+    localStorage.setItem(LS_PAYMENTS, bad);
+
+    expect(await unlockStorage('1234')).toEqual({
+      ok: true,
+      unreadable: [LS_PAYMENTS],
+    });
+    expect(readJSON(LS_PROMISES, null)).toEqual({ a: 1 });
+    expect(localStorage.getItem(LS_PAYMENTS)).toBeNull();
+    expect(localStorage.getItem(`quarentena:${LS_PAYMENTS}`)).toBe(bad);
+  });
+});
+
+describe('loadDataset / saveDataset', () => {
+  const ds = {
+    fileName: 'base.xlsx',
+    rows: [{ CPF: '529.982.247-25', Nome: 'José', Valor: 10 }],
+  };
+
+  it('ida e volta no IndexedDB, por carteira', async () => {
+    await saveDataset(nsKey('base', 'c1'), ds);
+    expect(await loadDataset(nsKey('base', 'c1'))).toEqual(ds);
+    expect(await loadDataset(nsKey('base', 'c2'))).toBeUndefined();
+  });
+
+  it('com PIN grava cifrado e só lê desbloqueado', async () => {
+    const salt = bytesToB64(new Uint8Array(16).fill(2));
+    const key = await deriveKey('1234', salt, 1000);
+    writeLockConfig({
+      salt,
+      iterations: 1000,
+      check: await encryptText(key, 'ok'),
+    });
+    await unlockStorage('1234');
+    await saveDataset('cifrada', ds);
+    expect(await loadDataset('cifrada')).toEqual(ds);
+
+    lockStorage();
+    await expect(loadDataset('cifrada')).rejects.toThrow(
+      'Base importada cifrada e sem chave.'
+    );
+  });
+});
+
+describe('persistDataset', () => {
+  const ds = { rows: [{ Nome: 'Ana' }] };
+
+  it('grava a base e apaga quando ela sai', async () => {
+    await persistDataset('p1', ds, false);
+    expect(await loadDataset('p1')).toEqual(ds);
+    await persistDataset('p1', null, false);
+    expect(await loadDataset('p1')).toBeUndefined();
+  });
+
+  it('leitura que falhou não deixa o estado vazio apagar a base salva', async () => {
+    await saveDataset('p2', ds);
+    expect(persistDataset('p2', null, true)).toBeNull();
+    expect(await loadDataset('p2')).toEqual(ds);
+
+    // Uma base importada depois da falha grava normalmente.
+    const next = { rows: [{ Nome: 'Bruno' }] };
+    await persistDataset('p2', next, true);
+    expect(await loadDataset('p2')).toEqual(next);
+  });
+});
+
+describe('purgeRecoveryCopies', () => {
+  it('apaga cópias de migração e quarentena, e nada mais', () => {
+    writeJSON('operador_backup_migracao_v4', { keys: {} });
+    localStorage.setItem(`quarentena:${LS_PAYMENTS}`, 'enc1:x');
+    writeJSON(LS_PROMISES, { a: 1 });
+    localStorage.setItem('outro_app', '1');
+
+    purgeRecoveryCopies();
+    expect(localStorage.getItem('operador_backup_migracao_v4')).toBeNull();
+    expect(localStorage.getItem(`quarentena:${LS_PAYMENTS}`)).toBeNull();
+    expect(readJSON(LS_PROMISES, null)).toEqual({ a: 1 });
+    expect(localStorage.getItem('outro_app')).toBe('1');
+  });
+});
@@ -0,0 +1,51 @@
+/** ===================== Desfazer ===================== */
+export const UNDO_LIMIT = 50;
+export const UNDO_TOAST_MS = 6000;
+
+/** Stores cobertas pelo desfazer: listas por `idField`, mapas por chave. */
+export const UNDO_STORES = {
+  manualClients: '_id',
+  promises: null,
+  payments: null,
+  contacts: null,
+};
+
+/** Valor atual só dos registros `ids` (ausente = `item: undefined`). */
+export function pickEntries(value, ids, idField) {
+  if (!idField) return ids.map((id) => ({ id, item: value?.[id] }));
+  const list = value || [];
+  return ids.map((id) => {
+    const index = list.findIndex((x) => x?.[idField] === id);
+    return { id, index, item: index >= 0 ? list[index] : undefined };
+  });
+}
+
+/** Devolve só esses registros ao estado salvo; o resto da store fica como está. */
+export function restoreEntries(value, saved, idField) {
+  if (!idField) {
+    const next = { ...(value || {}) };
+    for (const { id, item } of saved) {
+      if (item === undefined) delete next[id];
+      else next[id] = item;
+    }
+    return next;
+  }
+  const ids = new Set(saved.map((e) => e.id));
+  const list = (value || []).filter((x) => !ids.has(x?.[idField]));
+  const back = saved
+    .filter((e) => e.item !== undefined)
+    .sort((a, b) => a.index - b.index);
+  for (const e of back) list.splice(Math.min(e.index, list.length), 0, e.item);
+  return list;
+}
+
+/** Atalhos de teclado não roubam o desfazer nativo dos campos de texto. */
+export function isTypingTarget(el) {
+  const tag = el?.tagName;
+  return (
+    tag === 'INPUT' ||
+    tag === 'TEXTAREA' ||
+    tag === 'SELECT' ||
+    !!el?.isContentEditable
+  );
+}
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+
+import { pickEntries, restoreEntries } from './undo';
+
+describe('pickEntries / restoreEntries', () => {
+  it('lista: devolve só os registros tocados, na posição de antes', () => {
+    const before = [{ _id: 'a' }, { _id: 'b', v: 1 }, { _id: 'c' }];
+    const saved = pickEntries(before, ['b', 'x'], '_id');
+    expect(saved).toEqual([
+      { id: 'b', index: 1, item: { _id: 'b', v: 1 } },
+      { id: 'x', index: -1, item: undefined },
+    ]);
+
+    // Depois da ação: 'b' mudou, 'x' foi criado e 'd' entrou por outra ação.
+    const now = [
+      { _id: 'a' },
+      { _id: 'c' },
+      { _id: 'b', v: 2 },
+      { _id: 'x' },
+      { _id: 'd' },
+    ];
+    expect(restoreEntries(now, saved, '_id')).toEqual([
+      { _id: 'a' },
+      { _id: 'b', v: 1 },
+      { _id: 'c' },
+      { _id: 'd' },
+    ]);
+  });
+
+  it('lista: registro excluído volta mesmo se a lista encolheu', () => {
+    const saved = pickEntries(
+      [{ _id: 'a' }, { _id: 'b' }, { _id: 'c' }],
+      ['c'],
+      '_id'
+    );
+    expect(restoreEntries([], saved, '_id')).toEqual([{ _id: 'c' }]);
+  });
+
+  it('mapa: repõe chaves alteradas e remove as criadas', () => {
+    const saved = pickEntries({ k1: [1], k2: [2] }, ['k1', 'k3'], null);
+    const now = { k1: [1, 9], k2: [2, 8], k3: [7] };
+    expect(restoreEntries(now, saved, null)).toEqual({ k1: [1], k2: [2, 8] });
+  });
+
+  it('não altera a store atual', () => {
+    const now = { k1: [9] };
+    restoreEntries(now, [{ id: 'k1', item: undefined }], null);
+    expect(now).toEqual({ k1: [9] });
+  });
+});
@@ -0,0 +1,123 @@
+import * as XLSX from 'xlsx';
+
+/** ===================== Utils ===================== */
+export function norm(s) {
+  return String(s ?? '')
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+export function onlyDigits(s) {
+  return String(s || '').replace(/\D/g, '');
+}
+export function excelToDate(value) {
+  if (value instanceof Date && !isNaN(value)) return value;
+
+  if (typeof value === 'number') {
+    const d = XLSX.SSF.parse_date_code(value);
+    if (d) return new Date(d.y, d.m - 1, d.d);
+  }
+
+  const s = String(value || '').trim();
+  const m = s.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (m) return new Date(Number(m[3]), Number(m[2]) - 1, Number(m[1]));
+
+  const d2 = new Date(s);
+  if (!isNaN(d2)) return d2;
+
+  return null;
+}
+export function sameDay(a, b) {
+  return (
+    a &&
+    b &&
+    a.getFullYear() === b.getFullYear() &&
+    a.getMonth() === b.getMonth() &&
+    a.getDate() === b.getDate()
+  );
+}
+export function formatBR(d) {
+  return d ? d.toLocaleDateString('pt-BR') : '';
+}
+export function numberFromBRLText(s) {
+  const t = String(s ?? '')
+    .replace(/R\$/i, '')
+    .replace(/\s/g, '');
+  if (!t) return NaN;
+  return Number(t.replace(/\./g, '').replace(',', '.'));
+}
+export function toBRL(v) {
+  if (typeof v === 'number')
+    return v.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+
+  const s = String(v ?? '').trim();
+  if (!s) return '';
+
+  const n = numberFromBRLText(s);
+  if (Number.isFinite(n))
+    return n.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+
+  return s;
+}
+export function parseBRLToNumber(v) {
+  if (typeof v === 'number') return v;
+  const s = String(v ?? '').trim();
+  if (!s) return '';
+  const n = numberFromBRLText(s);
+  return Number.isFinite(n) ? n : v;
+}
+export function numberToInput(v) {
+  if (typeof v === 'number') return v.toFixed(2).replace('.', ',');
+  return String(v ?? '');
+}
+export function safeParse(s, fallback) {
+  try {
+    return JSON.parse(s);
+  } catch {
+    return fallback;
+  }
+}
+export function uid() {
+  return `id:${Date.now()}_${Math.random().toString(16).slice(2)}`;
+}
+export function dateInputToISO(yyyyMmDd) {
+  if (!yyyyMmDd) return '';
+  const [y, m, d] = yyyyMmDd.split('-').map(Number);
+  if (!y || !m || !d) return '';
+  const dt = new Date(y, m - 1, d);
+  return isNaN(dt) ? '' : dt.toISOString();
+}
+export function isoToDateInput(iso) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  if (isNaN(d)) return '';
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+export function keyForClientLike(r) {
+  const cpf = onlyDigits(r?.CPF);
+  if (cpf && cpf.length >= 8) return `cpf:${cpf}`;
+  const tel = onlyDigits(r?.Telefone);
+  if (tel && tel.length >= 10) return `tel:${tel}`;
+  return '';
+}
+/** Chave do cliente; anonimizados mantêm a chave `anon:` que receberam. */
+export function clientKeyOf(r) {
+  return r?._anonKey || keyForClientLike(r);
+}
+
+export function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+/** Cópia rasa sem os campos `keys`. */
+export function omit(obj, keys) {
+  const out = { ...(obj || {}) };
+  for (const k of keys) delete out[k];
+  return out;
+}